@@ -1,4 +1,4 @@
-import type { BaseVirtualConsoleOptions, GlobalConsoleRouting, LogEntry, WriteAsLevelArg } from './src/shared.d.mts'
+import type { BaseVirtualConsoleOptions, EntryExport, EntryFilter, EntryIterationOptions, EntryMiddleware, GlobalConsoleRouting, GoldenTextOptions, LogEntry, OfflineLogEntry, WaitForOptions, WriteAsLevelArg } from './src/shared.d.mts'
 
 export type {
 	CapturedLogLevel,
@@ -34,13 +34,20 @@ export class VirtualConsole {
 	readonly outputs: string
 	/** 所有捕获输出拼接成的 HTML 字符串 */
 	readonly outputsHtml: string
-	/** 结构化日志条目数组 */
+	/**
+	 * 结构化日志条目数组（环形缓冲区的数组兼容视图，可按数组读取与修改；子控制台返回根控制台的视图）。
+	 * 赋值或经视图改写不改变保留条目的 `seq` / `id`，也不通知条目监听器；移出的条目通知淘汰监听器
+	 */
 	outputEntries: LogEntry[]
 	/** 最终合并后的配置项（日志监听请用 {@link addLogEntryListener} / {@link removeLogEntryListener}） */
 	options: Required<Omit<VirtualConsoleOptions, 'baseConsole'>> & {
 		baseConsole?: VirtualConsole | Console
 	}
 
+	/** 本实例 `console.count` 计数器快照（标签 → 次数），不与 `baseConsole` 共享 */
+	readonly counters: Map<string, number>
+	/** 本实例进行中的 `console.time` 计时器快照（标签 → 已耗时毫秒数） */
+	readonly timers: Map<string, number>
 	/**
 	 * 采集调用栈时额外跳过的帧数；初始为 `0`。
 	 * 在自定义包装函数中调用 `console.*` 时，在调用前 `+1`，`finally` 中 `-1`，
@@ -50,8 +57,54 @@ export class VirtualConsole {
 
 	constructor(options?: VirtualConsoleOptions)
 
-	/** 注册新日志条目回调（可多路订阅） */
-	addLogEntryListener(fn: (entry: LogEntry) => void): void
+	/**
+	 * 创建共享本实例缓冲区、监听器与 `options` 的子控制台；其记录的每个条目都带上合并后的 `fields` 与 `prefix`
+	 * （嵌套时 `fields` 逐级合并、`prefix` 以空格拼接）。分组、计数与计时状态各自独立。
+	 */
+	child(options?: { fields?: Record<string, unknown>; prefix?: string }): VirtualConsole
+
+	/**
+	 * 按条件查询已记录的条目（`levels` / `methods` 经索引加速）；默认旧 → 新。
+	 * @param filter 过滤条件
+	 */
+	query(filter?: EntryFilter): LogEntry[]
+
+	/**
+	 * 异步遍历已记录的条目（由旧到新）；`follow` 时继续产出之后写入的条目，终止迭代即移除内部监听器
+	 * @param options 跟随、过滤与中止选项
+	 */
+	entries(options?: EntryIterationOptions): AsyncGenerator<LogEntry, void, undefined>
+
+	/**
+	 * 等待首个命中的条目（已记录或之后写入的均可）
+	 * @param predicate 谓词或过滤对象（同 {@link query}）
+	 * @param options 超时与中止选项
+	 */
+	waitFor(predicate: EntryFilter | ((entry: LogEntry) => boolean), options?: WaitForOptions): Promise<LogEntry>
+
+	/**
+	 * 将当前缓冲区序列化为确定性的快照文本（相对时间戳、项目相对路径、顺序占位的 id / ref），供快照测试比对
+	 * @param options 输出格式与规范化选项
+	 */
+	toGoldenText(options?: GoldenTextOptions): string
+
+	/** 将当前缓冲区导出为带 `schemaVersion` 的转储对象（可 `JSON.stringify` 后离线保存） */
+	exportEntries(): EntryExport
+
+	/**
+	 * 载入转储：重建离线条目并按顺序写入缓冲区（重新分配 `seq` / `id`，触发条目监听器，不经过中间件）
+	 * @param dump 转储对象、其 JSON 文本，或旧版的 `toJSON()` 数组
+	 */
+	importEntries(dump: EntryExport | Record<string, unknown>[] | string): OfflineLogEntry[]
+
+	/** 由转储创建新的控制台并载入其条目 */
+	static fromJSON(dump: EntryExport | Record<string, unknown>[] | string, options?: VirtualConsoleOptions): VirtualConsole
+
+	/**
+	 * 注册新日志条目回调（可多路订阅）
+	 * @param filter 可选过滤对象（忽略 `limit` / `reverse`）或谓词；仅命中的条目触发回调
+	 */
+	addLogEntryListener(fn: (entry: LogEntry) => void, filter?: EntryFilter | ((entry: LogEntry) => boolean)): void
 
 	/** 移除由 {@link addLogEntryListener} 注册的回调 */
 	removeLogEntryListener(fn: (entry: LogEntry) => void): void
@@ -62,6 +115,30 @@ export class VirtualConsole {
 	/** 移除由 {@link addClearListener} 注册的回调 */
 	removeClearListener(fn: () => void): void
 
+	/** 注册条目淘汰回调（保留策略丢弃最旧条目时逐条同步调用；`clear()` 不触发） */
+	addEvictListener(fn: (entry: LogEntry) => void): void
+
+	/** 移除由 {@link addEvictListener} 注册的回调 */
+	removeEvictListener(fn: (entry: LogEntry) => void): void
+
+	/** 注册条目更新回调（`collapseRepeats` 下重复条目折叠进已有条目、其 `repeatCount` 递增后同步调用） */
+	addUpdateListener(fn: (entry: LogEntry) => void): void
+
+	/** 移除由 {@link addUpdateListener} 注册的回调 */
+	removeUpdateListener(fn: (entry: LogEntry) => void): void
+
+	/**
+	 * 追加条目中间件：条目写入缓冲区、触发监听器与线路广播之前按注册顺序依次经过各中间件，
+	 * 可就地修改、丢弃、替换或扇出条目；子控制台与根共用同一管线
+	 */
+	use(fn: EntryMiddleware<VirtualConsole>): void
+
+	/** 移除由 {@link use} 追加的中间件 */
+	unuse(fn: EntryMiddleware<VirtualConsole>): void
+
+	/** 等待仍在异步中间件中排队的条目全部写入 */
+	flushMiddleware(): Promise<void>
+
 	/**
 	 * 传入函数时，使用 save/restore 机制在函数内将 `console` 绑定到此实例，
 	 * 返回函数结果的 Promise。
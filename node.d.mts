@@ -1,8 +1,11 @@
 import type { AsyncLocalStorage } from 'node:async_hooks'
+import type { ChildProcess, SpawnOptions } from 'node:child_process'
 import type { Console } from 'node:console'
 import type { Writable } from 'node:stream'
+import type { MessagePort, Worker } from 'node:worker_threads'
 
-import type { BaseVirtualConsoleOptions, GlobalConsoleRouting, LogEntry, WriteAsLevelArg } from './src/shared.d.mts'
+import { OfflineLogEntry } from './src/shared.d.mts'
+import type { BaseVirtualConsoleOptions, EntryExport, EntryFilter, EntryIterationOptions, EntryMiddleware, GlobalConsoleRouting, GoldenTextOptions, LogEntry, LogSegment, WaitForOptions, WriteAsLevelArg } from './src/shared.d.mts'
 
 export type {
 	CapturedLogLevel,
@@ -36,6 +39,16 @@ export interface VirtualConsoleOptions extends BaseVirtualConsoleOptions<Virtual
 	 * 未指定时由 `supports-ansi` 检测；若 `baseConsole` 为 `VirtualConsole` 则继承其 `options.supportsAnsi`。
 	 */
 	supportsAnsi?: boolean
+	/**
+	 * 为 `true` 时，本实例为活动控制台期间的进程警告（`process.on('warning')`：`emitWarning`、弃用与实验性警告）
+	 * 记为 `method: 'processWarning'`、级别 `warn` 的条目，`fields` 附 `name` / `code` / `detail`；运行时仍照常打印。默认 false
+	 */
+	captureWarnings?: boolean
+	/**
+	 * 为 `true` 时，每个写入缓冲区的条目以 {@link EntryChannelMessage} 发布到 `node:diagnostics_channel` 的 {@link ENTRY_CHANNEL_NAME}，
+	 * `clear()` 以 {@link ClearChannelMessage} 发布到 {@link CLEAR_CHANNEL_NAME}；无订阅者时不构造消息。默认 false
+	 */
+	diagnosticsChannel?: boolean
 }
 
 /**
@@ -47,7 +60,10 @@ export class VirtualConsole extends Console {
 	readonly outputs: string
 	/** 所有捕获输出拼接成的 HTML 字符串 */
 	readonly outputsHtml: string
-	/** 结构化日志条目数组 */
+	/**
+	 * 结构化日志条目数组（环形缓冲区的数组兼容视图，可按数组读取与修改；子控制台返回根控制台的视图）。
+	 * 赋值或经视图改写不改变保留条目的 `seq` / `id`，也不通知条目监听器；移出的条目通知淘汰监听器
+	 */
 	outputEntries: LogEntry[]
 	/** 最终合并后的配置项（日志监听请用 {@link addLogEntryListener} / {@link removeLogEntryListener}） */
 	options: Required<Omit<VirtualConsoleOptions, 'baseConsole'>> & {
@@ -55,6 +71,10 @@ export class VirtualConsole extends Console {
 	}
 	/** `realConsoleOutput` 的透传目标控制台实例 */
 	baseConsole: VirtualConsole | Console
+	/** 本实例 `console.count` 计数器快照（标签 → 次数），不与 `baseConsole` 共享 */
+	readonly counters: Map<string, number>
+	/** 本实例进行中的 `console.time` 计时器快照（标签 → 已耗时毫秒数） */
+	readonly timers: Map<string, number>
 	/**
 	 * 采集调用栈时额外跳过的帧数；初始为 `0`。
 	 * 在自定义包装函数中调用 `console.*` 时，在调用前 `+1`，`finally` 中 `-1`，
@@ -71,8 +91,73 @@ export class VirtualConsole extends Console {
 
 	constructor(options?: VirtualConsoleOptions)
 
-	/** 注册新日志条目回调（可多路订阅） */
-	addLogEntryListener(fn: (entry: LogEntry) => void): void
+	/**
+	 * 创建共享本实例缓冲区、监听器与 `options` 的子控制台；其记录的每个条目都带上合并后的 `fields` 与 `prefix`
+	 * （嵌套时 `fields` 逐级合并、`prefix` 以空格拼接）。分组、计数与计时状态各自独立。
+	 */
+	child(options?: { fields?: Record<string, unknown>; prefix?: string }): VirtualConsole
+
+	/**
+	 * 按条件查询已记录的条目（`levels` / `methods` 经索引加速）；默认旧 → 新。
+	 * @param filter 过滤条件
+	 */
+	query(filter?: EntryFilter): LogEntry[]
+
+	/**
+	 * 异步遍历已记录的条目（由旧到新）；`follow` 时继续产出之后写入的条目，终止迭代即移除内部监听器
+	 * @param options 跟随、过滤与中止选项
+	 */
+	entries(options?: EntryIterationOptions): AsyncGenerator<LogEntry, void, undefined>
+
+	/**
+	 * 等待首个命中的条目（已记录或之后写入的均可）
+	 * @param predicate 谓词或过滤对象（同 {@link query}）
+	 * @param options 超时与中止选项
+	 */
+	waitFor(predicate: EntryFilter | ((entry: LogEntry) => boolean), options?: WaitForOptions): Promise<LogEntry>
+
+	/**
+	 * 将当前缓冲区序列化为确定性的快照文本（相对时间戳、项目相对路径、顺序占位的 id / ref），供快照测试比对
+	 * @param options 输出格式与规范化选项
+	 */
+	toGoldenText(options?: GoldenTextOptions): string
+
+	/** 将当前缓冲区导出为带 `schemaVersion` 的转储对象（可 `JSON.stringify` 后离线保存） */
+	exportEntries(): EntryExport
+
+	/**
+	 * 载入转储：重建离线条目并按顺序写入缓冲区（重新分配 `seq` / `id`，触发条目监听器，不经过中间件）
+	 * @param dump 转储对象、其 JSON 文本，或旧版的 `toJSON()` 数组
+	 */
+	importEntries(dump: EntryExport | Record<string, unknown>[] | string): OfflineLogEntry[]
+
+	/** 由转储创建新的控制台并载入其条目 */
+	static fromJSON(dump: EntryExport | Record<string, unknown>[] | string, options?: VirtualConsoleOptions): VirtualConsole
+
+	/**
+	 * 接收 worker 经 {@link installWorkerConsoleBridge} 转发的条目：作为 {@link WorkerLogEntry}（带 `threadId`）经中间件写入缓冲区。
+	 * 应在构造 `Worker` 后立即调用；worker 退出后自动断开
+	 */
+	attachWorker(worker: Worker): WorkerAttachment
+
+	/**
+	 * 捕获子进程经管道输出的 stdout / stderr：每段文本记为 `stdout` / `stderr` 条目，`fields` 带 `pid` 与 `label`；
+	 * `ipc` 时还接收子进程经 {@link installChildProcessConsoleBridge} 发送的结构化条目（{@link ChildProcessLogEntry}）。子进程关闭后自动断开
+	 */
+	captureChildProcess(child: ChildProcess, options?: ChildProcessCaptureOptions): ChildProcessCapture
+
+	/**
+	 * 以管道 stdio 启动子进程并立即 {@link captureChildProcess}；参数同 `child_process.spawn`，选项另含 `label` / `ipc`。
+	 * stdin 沿用 `stdio`（默认 `'pipe'`），stdout / stderr 恒为管道，`ipc` 时追加 IPC 通道
+	 */
+	spawn(command: string, args?: readonly string[], options?: SpawnOptions & ChildProcessCaptureOptions): ChildProcess
+	spawn(command: string, options?: SpawnOptions & ChildProcessCaptureOptions): ChildProcess
+
+	/**
+	 * 注册新日志条目回调（可多路订阅）
+	 * @param filter 可选过滤对象（忽略 `limit` / `reverse`）或谓词；仅命中的条目触发回调
+	 */
+	addLogEntryListener(fn: (entry: LogEntry) => void, filter?: EntryFilter | ((entry: LogEntry) => boolean)): void
 
 	/** 移除由 {@link addLogEntryListener} 注册的回调 */
 	removeLogEntryListener(fn: (entry: LogEntry) => void): void
@@ -83,6 +168,30 @@ export class VirtualConsole extends Console {
 	/** 移除由 {@link addClearListener} 注册的回调 */
 	removeClearListener(fn: () => void): void
 
+	/** 注册条目淘汰回调（保留策略丢弃最旧条目时逐条同步调用；`clear()` 不触发） */
+	addEvictListener(fn: (entry: LogEntry) => void): void
+
+	/** 移除由 {@link addEvictListener} 注册的回调 */
+	removeEvictListener(fn: (entry: LogEntry) => void): void
+
+	/** 注册条目更新回调（`collapseRepeats` 下重复条目折叠进已有条目、其 `repeatCount` 递增后同步调用） */
+	addUpdateListener(fn: (entry: LogEntry) => void): void
+
+	/** 移除由 {@link addUpdateListener} 注册的回调 */
+	removeUpdateListener(fn: (entry: LogEntry) => void): void
+
+	/**
+	 * 追加条目中间件：条目写入缓冲区、触发监听器与线路广播之前按注册顺序依次经过各中间件，
+	 * 可就地修改、丢弃、替换或扇出条目；子控制台与根共用同一管线
+	 */
+	use(fn: EntryMiddleware<VirtualConsole>): void
+
+	/** 移除由 {@link use} 追加的中间件 */
+	unuse(fn: EntryMiddleware<VirtualConsole>): void
+
+	/** 等待仍在异步中间件中排队的条目全部写入 */
+	flushMiddleware(): Promise<void>
+
 	/**
 	 * 传入函数时，在新的异步上下文中执行该函数，`console` 在函数内指向此实例，
 	 * 返回函数结果的 Promise。
@@ -151,6 +260,104 @@ export function setGlobalConsoleResolver(
 /** 读取当前的全局 `console` 代理路由逻辑 */
 export function getGlobalConsoleResolver(): GlobalConsoleRouting<VirtualConsole>
 
+/** worker 经 `parentPort` 递交桥接端口的消息 `type`；应用自己的 `worker.on('message')` 处理器应忽略该类型 */
+export const WORKER_BRIDGE_MESSAGE_TYPE: 'vc_worker_bridge'
+
+/** 父线程中来自 worker 的条目：同 {@link OfflineLogEntry} 同步渲染，{@link expand} 经桥接端口在 worker 内展开截断值 */
+export class WorkerLogEntry extends OfflineLogEntry {
+	/** 来源 worker 的 `threadId` */
+	threadId: number
+	/**
+	 * 请求 worker 展开片段中全部 `truncated` 节点并就地替换；桥接已断开或条目已被 worker 淘汰时拒绝
+	 * @param maxDepth 自片段快照根起的目标深度；未提供时每个节点按 worker 的默认深度展开一层
+	 */
+	expand(maxDepth?: number): Promise<LogSegment[]>
+}
+
+/** `VirtualConsole#attachWorker` 的返回值 */
+export interface WorkerAttachment {
+	/** worker 的 `threadId` */
+	threadId: number
+	/** 停止接收并关闭桥接端口；挂起的展开请求被拒绝 */
+	detach(): void
+}
+
+/** {@link installWorkerConsoleBridge} 的返回值 */
+export interface WorkerConsoleBridge {
+	/** worker 侧的桥接端口 */
+	port: MessagePort
+	/** 停止转发并关闭端口（父线程随之断开） */
+	close(): void
+}
+
+/**
+ * 在 worker 内调用：将控制台的条目经新的 `MessagePort` 转发给父线程的 `vc.attachWorker(worker)`。
+ * 安装前已记录的条目先作为快照发送；被转发的控制台会开启 `recordOutput`，条目仍保留在 worker 的缓冲区中以便展开
+ */
+export function installWorkerConsoleBridge(options?: {
+	/** 被转发的控制台（默认 {@link defaultConsole}，即未经 `hookAsyncContext` 的全部输出） */
+	console?: VirtualConsole
+	/** 递交桥接端口的通道（默认 `parentPort`） */
+	port?: MessagePort
+}): WorkerConsoleBridge
+
+/** 子进程 IPC 桥接消息的 `type`；应用自己的 `child.on('message')` / `process.on('message')` 处理器应忽略该类型 */
+export const CHILD_PROCESS_BRIDGE_MESSAGE_TYPE: 'vc_child_bridge'
+
+/** 父进程中经 IPC 收到的子进程条目：同 {@link OfflineLogEntry} 同步渲染，`fields` 含 `pid` 与 `label`，{@link expand} 在子进程内展开截断值 */
+export class ChildProcessLogEntry extends OfflineLogEntry {
+	/**
+	 * 请求子进程展开片段中全部 `truncated` 节点并就地替换；子进程已断开或条目已被淘汰时拒绝
+	 * @param maxDepth 自片段快照根起的目标深度；未提供时每个节点按子进程的默认深度展开一层
+	 */
+	expand(maxDepth?: number): Promise<LogSegment[]>
+}
+
+/** `VirtualConsole#captureChildProcess` / `VirtualConsole#spawn` 的捕获选项 */
+export interface ChildProcessCaptureOptions {
+	/** 写入各条目 `fields.label`，便于区分多个子进程 */
+	label?: string
+	/** 同时接收子进程经 {@link installChildProcessConsoleBridge} 发送的结构化条目（子进程需带 `'ipc'` stdio），默认 false */
+	ipc?: boolean
+}
+
+/** `VirtualConsole#captureChildProcess` 的返回值 */
+export interface ChildProcessCapture {
+	/** 子进程 pid（亦写入各条目 `fields.pid`） */
+	pid: number | undefined
+	/** 停止捕获；挂起的展开请求被拒绝 */
+	detach(): void
+}
+
+/**
+ * 在子进程内调用：将控制台的条目经 IPC 通道发送给父进程的 `vc.captureChildProcess(child, { ipc: true })` / `vc.spawn(..., { ipc: true })`。
+ * 被转发的控制台会开启 `recordOutput` 并关闭 `realConsoleOutput`；IPC 通道被 `unref`，不阻止子进程退出。无 IPC 通道时抛出 `vc_child_bridge_no_ipc`
+ */
+export function installChildProcessConsoleBridge(options?: {
+	/** 被转发的控制台（默认 {@link defaultConsole}，即未经 `hookAsyncContext` 的全部输出） */
+	console?: VirtualConsole
+}): { close(): void }
+
+/** 条目写入缓冲区后发布 {@link EntryChannelMessage} 的 `diagnostics_channel` 通道名（需开启 `diagnosticsChannel`） */
+export const ENTRY_CHANNEL_NAME: 'virtual-console:entry'
+
+/** `clear()` 完成后发布 {@link ClearChannelMessage} 的 `diagnostics_channel` 通道名（需开启 `diagnosticsChannel`） */
+export const CLEAR_CHANNEL_NAME: 'virtual-console:clear'
+
+/** {@link ENTRY_CHANNEL_NAME} 上的消息 */
+export interface EntryChannelMessage {
+	/** 持有缓冲区的控制台（子控制台的条目为其根控制台） */
+	console: VirtualConsole
+	/** 刚写入的条目 */
+	entry: LogEntry
+}
+
+/** {@link CLEAR_CHANNEL_NAME} 上的消息 */
+export interface ClearChannelMessage {
+	/** 被清空的控制台 */
+	console: VirtualConsole
+}
+
 /** 全局 `console` 代理对象——所有调用委托给当前异步上下文中激活的 `VirtualConsole` */
 export const console: VirtualConsole
 
@@ -0,0 +1,124 @@
+/**
+ * 捕获期过滤：在条目创建前依据 `minLevel` / `levels` / `methods` / `mute` 选项决定是否屏蔽一次输出。
+ */
+
+import { renderPlain } from '../format/render.mjs'
+import { buildArgsSegments } from '../format/segments.mjs'
+
+import { methodNameToLevel } from './entries.mjs'
+
+/** `minLevel` 比较用的级别序；不在表中的级别（自定义 `writeAs` 级别等）不受 `minLevel` 影响。 */
+const LEVEL_SEVERITY = {
+	debug: 0,
+	log: 1,
+	info: 1,
+	warn: 2,
+	error: 3,
+}
+
+/**
+ * @typedef {object} CaptureMuteRule
+ * @property {string | RegExp} [filePath] - 调用处（首个带路径的栈帧）路径包含的子串或需匹配的正则。
+ * @property {string | RegExp} [text] - 输出纯文本包含的子串或需匹配的正则。
+ * @property {string | string[]} [method] - 来源方法名。
+ * @property {string | string[]} [level] - 语义级别。
+ */
+
+/**
+ * @typedef {object} CaptureCallInfo
+ * @property {string} method - 来源方法名。
+ * @property {string} level - 语义级别。
+ * @property {any[]} args - 原始参数。
+ * @property {import('../shared.d.mts').StackFrame[]} stack - 调用栈。
+ * @property {string} text - 输出纯文本（首次读取时才渲染）。
+ */
+
+/**
+ * @typedef {object} CaptureFilterOptions
+ * @property {string} [minLevel] - 低于此级别（见 {@link LEVEL_SEVERITY}）的输出被屏蔽。
+ * @property {string[]} [levels] - 语义级别白名单。
+ * @property {string[]} [methods] - 来源方法白名单。
+ * @property {CaptureMuteRule[] | ((call: CaptureCallInfo) => boolean)} [mute] - 屏蔽规则：任一规则的全部字段命中即屏蔽；或自定义判定函数。
+ */
+
+/**
+ * @param {string | RegExp} pattern - 子串或正则。
+ * @param {string} value - 待测文本。
+ * @returns {boolean} 是否命中。
+ */
+function matchesPattern(pattern, value) {
+	if (pattern instanceof RegExp) {
+		pattern.lastIndex = 0
+		return pattern.test(value)
+	}
+	return value.includes(pattern)
+}
+
+/**
+ * @param {string | string[]} expected - 单值或数组。
+ * @param {string} value - 实际值。
+ * @returns {boolean} 是否命中。
+ */
+function matchesName(expected, value) {
+	return [expected].flat().includes(value)
+}
+
+/**
+ * 构造一次调用的判定信息；`text` 惰性渲染（不注册展开引用）。
+ * @param {string} method - 来源方法名。
+ * @param {any[]} args - 原始参数。
+ * @param {import('../shared.d.mts').StackFrame[]} stack - 调用栈。
+ * @returns {CaptureCallInfo} 判定信息。
+ */
+function createCallInfo(method, args, stack) {
+	let text
+	return {
+		method,
+		level: methodNameToLevel(method),
+		args,
+		stack,
+		/** @returns {string} 输出纯文本。 */
+		get text() {
+			if (text !== undefined) return text
+			if (method === 'stdout' || method === 'stderr') return text = String(args[0] ?? '')
+			return text = renderPlain(buildArgsSegments(method === 'freshLine' ? args.slice(1) : args))
+		},
+	}
+}
+
+/**
+ * @param {CaptureMuteRule} rule - 屏蔽规则。
+ * @param {CaptureCallInfo} call - 判定信息。
+ * @returns {boolean} 规则中指定的字段是否全部命中（空规则不命中）。
+ */
+function matchesMuteRule(rule, call) {
+	const { filePath, text, method, level } = rule
+	if (filePath === undefined && text === undefined && method === undefined && level === undefined) return false
+	if (method !== undefined && !matchesName(method, call.method)) return false
+	if (level !== undefined && !matchesName(level, call.level)) return false
+	if (filePath !== undefined) {
+		const callsite = call.stack.find(frame => frame.filePath)?.filePath
+		if (!callsite || !matchesPattern(filePath, callsite)) return false
+	}
+	if (text !== undefined && !matchesPattern(text, call.text)) return false
+	return true
+}
+
+/**
+ * 判定一次输出是否应被捕获期过滤屏蔽（每次调用实时读取选项，便于运行中调整）。
+ * @param {CaptureFilterOptions} options - 虚拟控制台选项。
+ * @param {string} method - 来源方法名。
+ * @param {any[]} args - 原始参数。
+ * @param {import('../shared.d.mts').StackFrame[]} [stack=[]] - 调用栈。
+ * @returns {boolean} 为 true 时不应记录该输出。
+ */
+export function isCaptureMuted({ minLevel, levels, methods, mute }, method, args, stack = []) {
+	const level = methodNameToLevel(method)
+	if (minLevel !== undefined && level in LEVEL_SEVERITY && LEVEL_SEVERITY[level] < (LEVEL_SEVERITY[minLevel] ?? 0)) return true
+	if (levels && !levels.includes(level)) return true
+	if (methods && !methods.includes(method)) return true
+	if (!mute) return false
+	const call = createCallInfo(method, args, stack)
+	if (mute instanceof Function) return Boolean(mute(call))
+	return mute.some(rule => matchesMuteRule(rule, call))
+}
@@ -0,0 +1,109 @@
+/**
+ * `console.count` / `console.time` 系列的标签状态：每个方法返回应记录的条目 `[method, args, forwardMethod]`，无需记录时返回 `undefined`。
+ */
+
+import { formatDuration } from '../format/duration.mjs'
+
+/**
+ * @typedef {[method: string, args: any[], forwardMethod?: string]} OwnEntryCall
+ * 交给控制台 `#writeOwnEntry` 的参数：条目方法名、条目参数与转发给 `baseConsole` 的方法（计数 / 计时以 `log` 转发）。
+ */
+
+/**
+ * `console.count` 计数器（标签 → 次数）。
+ */
+export class LabelCounters {
+	/** @type {Map<string, number>} */
+	#counts = new Map()
+
+	/**
+	 * 标签计数 +1。
+	 * @param {unknown} label - 计数标签。
+	 * @returns {OwnEntryCall} `label: N` 条目。
+	 */
+	count(label) {
+		label = `${label}`
+		const count = (this.#counts.get(label) ?? 0) + 1
+		this.#counts.set(label, count)
+		return ['count', [`${label}: ${count}`], 'log']
+	}
+
+	/**
+	 * 将标签计数归零。
+	 * @param {unknown} label - 计数标签。
+	 * @returns {OwnEntryCall | undefined} 标签不存在时的 `warn` 条目。
+	 */
+	reset(label) {
+		label = `${label}`
+		if (!this.#counts.has(label)) return ['warn', [`Count for '${label}' does not exist`]]
+		this.#counts.set(label, 0)
+	}
+
+	/**
+	 * @returns {Map<string, number>} 当前计数的副本；`reset` 后的标签值为 `0`。
+	 */
+	snapshot() {
+		return new Map(this.#counts)
+	}
+}
+
+/**
+ * `console.time` 计时器（标签 → `performance.now()` 起点）。
+ */
+export class LabelTimers {
+	/** @type {Map<string, number>} */
+	#starts = new Map()
+
+	/**
+	 * 启动计时器；标签已存在时不重置起点。
+	 * @param {unknown} label - 计时标签。
+	 * @returns {OwnEntryCall | undefined} 标签已存在时的 `warn` 条目。
+	 */
+	start(label) {
+		label = `${label}`
+		if (this.#starts.has(label)) return ['warn', [`Label '${label}' already exists for console.time()`]]
+		this.#starts.set(label, performance.now())
+	}
+
+	/**
+	 * 读取当前耗时（与 Node 一致以 `'%s: %s'` 格式输出标签与耗时）。
+	 * @param {unknown} label - 计时标签。
+	 * @param {any[]} [data=[]] - 追加输出的参数。
+	 * @returns {OwnEntryCall} `timeLog` 条目；标签不存在时为 `warn` 条目。
+	 */
+	log(label, data = []) {
+		label = `${label}`
+		if (!this.#starts.has(label)) return ['warn', [`No such label '${label}' for console.timeLog()`]]
+		return ['timeLog', this.#timerArgs(label, data), 'log']
+	}
+
+	/**
+	 * 同 {@link log}（不带附加参数），随后移除该计时器。
+	 * @param {unknown} label - 计时标签。
+	 * @returns {OwnEntryCall} `timeEnd` 条目；标签不存在时为 `warn` 条目。
+	 */
+	end(label) {
+		label = `${label}`
+		if (!this.#starts.has(label)) return ['warn', [`No such label '${label}' for console.timeEnd()`]]
+		const call = ['timeEnd', this.#timerArgs(label), 'log']
+		this.#starts.delete(label)
+		return call
+	}
+
+	/**
+	 * @returns {Map<string, number>} 进行中的计时器（标签 → 已耗时毫秒数）。
+	 */
+	snapshot() {
+		const now = performance.now()
+		return new Map([...this.#starts].map(([label, start]) => [label, now - start]))
+	}
+
+	/**
+	 * @param {string} label - 已存在的计时标签。
+	 * @param {any[]} [data=[]] - 追加输出的参数。
+	 * @returns {any[]} 条目参数。
+	 */
+	#timerArgs(label, data = []) {
+		return ['%s: %s', label, formatDuration(performance.now() - this.#starts.get(label)), ...data]
+	}
+}
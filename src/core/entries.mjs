@@ -1,12 +1,16 @@
-import { renderAnsi, renderHtml as renderHtmlFromSegments, renderPlain as renderPlainFromSegments } from '../format/render.mjs'
+import { appendRepeatSuffix, renderAnsi, renderHtml as renderHtmlFromSegments, renderPlain as renderPlainFromSegments } from '../format/render.mjs'
 import { buildArgsSegments } from '../format/segments.mjs'
+import { buildTableSegment } from '../format/table.mjs'
 
+import { redactFields } from './redact.mjs'
 import {
 	DEFAULT_SNAPSHOT_DEPTH,
 	createExpansionScope,
 	resolvePrimaryCallsiteFromSegments,
 	serializeArgSnapshot,
+	unregisterExpandRefsForEntry,
 } from './snapshot.mjs'
+import { estimateBytes } from './size-estimate.mjs'
 import { getStackInfo } from './stack.mjs'
 
 /**
@@ -17,32 +21,74 @@ import { getStackInfo } from './stack.mjs'
 export function methodNameToLevel(methodName) {
 	return {
 		dir: 'log',
+		table: 'log',
+		assert: 'error',
+		count: 'log',
+		timeLog: 'log',
+		timeEnd: 'log',
+		group: 'log',
+		groupCollapsed: 'log',
 		freshLine: 'log',
 		trace: 'debug',
 		stdout: 'log',
 		stderr: 'error',
+		uncaught: 'error',
+		processWarning: 'warn',
 	}[methodName] ?? methodName
 }
 
+/**
+ * @typedef {object} LogEntryOptions
+ * @property {string} method - 日志方法名。
+ * @property {any[]} [args] - 日志参数；流为 `[text]`。
+ * @property {ReturnType<typeof getStackInfo>} [stack] - 调用栈。
+ * @property {number} [timestamp] - 日志时间戳（默认 Date.now()）。
+ * @property {boolean} [supportsAnsi] - 是否支持 ANSI 序列。
+ * @property {string[]} [groupPath] - 外层 `console.group` 标签（由外到内）；长度即 `groupDepth`。
+ * @property {Record<string, unknown>} [fields] - 上下文字段（如子控制台的 `requestId`）。
+ * @property {string} [prefix] - 渲染时置于正文前的行首标签。
+ * @property {import('./redact.mjs').Redactor | null} [redactor] - 脱敏器：作用于片段、参数快照、流文本与 `fields`。
+ */
+
 /**
  * 单条日志条目：`segments` 由 {@link LogEntry#toSegments} 按需构造；`stdout`/`stderr` 带 `text`。
  */
 export class LogEntry {
+	/** @type {number | undefined} {@link estimatedBytes} 的缓存 */
+	#estimatedBytes
+	/** @type {string | undefined} {@link repeatSignature} 的缓存 */
+	#repeatSignature
 	/**
-	 * @param {object} options - 日志条目选项。
-	 * @param {string} options.method - 日志方法名。
-	 * @param {any[]} options.args - 日志参数；流为 `[text]`。
-	 * @param {ReturnType<typeof getStackInfo>} options.stack - 调用栈。
-	 * @param {number} options.timestamp - 日志时间戳（默认 Date.now()）。
-	 * @param {boolean} options.supportsAnsi - 是否支持 ANSI 序列。
+	 * @param {LogEntryOptions} options - 日志条目选项。
 	 */
-	constructor({ method, args = [], stack = [], timestamp = Date.now(), supportsAnsi = false }) {
+	constructor({ method, args = [], stack = [], timestamp = Date.now(), supportsAnsi = false, groupPath = [], fields = {}, prefix = '', redactor = null }) {
 		this.level = methodNameToLevel(method)
 		this.method = method
 		this.stack = stack
 		this.timestamp = timestamp
 		this.supportsAnsi = supportsAnsi
 		this.args = args
+		this.groupPath = groupPath
+		this.groupDepth = groupPath.length
+		this.fields = redactFields(fields, redactor)
+		this.prefix = prefix
+		/** @type {import('./redact.mjs').Redactor | null} 序列化参数时使用的脱敏器（原始 `args` 不受影响） */
+		this.redactor = redactor
+		/** @type {number | null} 所属控制台内单调递增的写入序号（写入缓冲区时分配） */
+		this.seq = null
+		/** @type {string | null} 全局唯一 id（写入缓冲区时分配） */
+		this.id = null
+		/** `collapseRepeats` 折叠进本条目的次数（含自身） */
+		this.repeatCount = 1
+		/** 最近一次重复出现的时间戳（未折叠时等于 `timestamp`） */
+		this.lastTimestamp = this.timestamp
+	}
+	/**
+	 * 条目内存占用的估算值（参数与调用栈，首次读取时计算并缓存），供 `maxLogBytes` 使用。
+	 * @returns {number} 估算字节数。
+	 */
+	get estimatedBytes() {
+		return this.#estimatedBytes ??= estimateBytes([this.args, this.stack])
 	}
 	/**
 	 * 展示来源：优先片段中首个 Error 的栈帧，否则为捕获调用栈中第一条。
@@ -52,25 +98,56 @@ export class LogEntry {
 		return resolvePrimaryCallsiteFromSegments(this.toSegments(), this.stack)
 	}
 	/**
-	 * 终端 ANSI 串（`stdout`/`stderr` 为原始流文本）。
+	 * 是否参与 `collapseRepeats` 折叠（组头与 `freshLine` 不参与）。
+	 * @returns {boolean} 可折叠时为 true。
+	 */
+	get collapsible() {
+		return true
+	}
+	/**
+	 * 折叠重复判定签名：方法、ANSI 正文（含前缀与分组缩进，不含重复后缀）与首个带路径的调用帧（首次读取时计算并缓存）。
+	 * @returns {string} 签名串。
+	 */
+	get repeatSignature() {
+		if (this.#repeatSignature === undefined) {
+			const callsite = this.stack.find(frame => frame.filePath)
+			const text = renderAnsi(this.toSegments(), { groupDepth: this.groupDepth, prefix: this.prefix })
+			this.#repeatSignature = JSON.stringify([this.method, text, callsite ? `${callsite.filePath}:${callsite.line}:${callsite.column}` : ''])
+		}
+		return this.#repeatSignature
+	}
+	/**
+	 * 判断本条目是否为 `previous` 的重复：二者均可折叠，签名相同且 `fields` 各值相同。
+	 * @param {LogEntry} previous - 缓冲区中的上一条目。
+	 * @returns {boolean} 可折叠进 `previous` 时为 true。
+	 */
+	isRepeatOf(previous) {
+		if (!this.collapsible || !previous.collapsible) return false
+		const keys = Object.keys(this.fields)
+		if (keys.length !== Object.keys(previous.fields).length) return false
+		if (!keys.every(key => Object.is(this.fields[key], previous.fields[key]))) return false
+		return this.repeatSignature === previous.repeatSignature
+	}
+	/**
+	 * 终端 ANSI 串（`stdout`/`stderr` 为原始流文本）；重复条目带 `(×N)` 后缀。
 	 * @returns {string} `renderAnsi(toSegments())` 或流文本。
 	 */
 	toString() {
-		return renderAnsi(this.toSegments(), { colorize: this.supportsAnsi })
+		return renderAnsi(this.toSegments(), { colorize: this.supportsAnsi, groupDepth: this.groupDepth, prefix: this.prefix, repeatCount: this.repeatCount })
 	}
 	/**
-	 * 剥除转义与样式后的纯文本。
+	 * 剥除转义与样式后的纯文本（按 `groupDepth` 缩进，带 `prefix`）；重复条目带 `(×N)` 后缀。
 	 * @returns {string} `renderPlain(toSegments())`。
 	 */
 	toPlainText() {
-		return renderPlainFromSegments(this.toSegments())
+		return renderPlainFromSegments(this.toSegments(), { groupDepth: this.groupDepth, prefix: this.prefix, repeatCount: this.repeatCount })
 	}
 	/**
-	 * 与 `toSegments` 同管线下的 HTML。
+	 * 与 `toSegments` 同管线下的 HTML；重复条目带 `(×N)` 后缀。
 	 * @returns {string} `renderHtml(toSegments(), …)`。
 	 */
 	toHtml() {
-		return renderHtmlFromSegments(this.toSegments(), { supportsAnsi: this.supportsAnsi })
+		return renderHtmlFromSegments(this.toSegments(), { supportsAnsi: this.supportsAnsi, prefix: this.prefix, repeatCount: this.repeatCount })
 	}
 	/**
 	 * 将捕获参数序列化为可 JSON 的快照树数组。
@@ -78,7 +155,7 @@ export class LogEntry {
 	 * @returns {import('../shared.d.mts').ArgSnapshot[]} 与参数个数相同的快照数组。
 	 */
 	serializeArgs(maxDepth = DEFAULT_SNAPSHOT_DEPTH) {
-		return this.args.map(arg => serializeArgSnapshot(arg, { maxDepth }))
+		return this.args.map(arg => serializeArgSnapshot(arg, { maxDepth, redactor: this.redactor }))
 	}
 	/**
 	 * 结构化片段：`log`/`dir`/`trace` 等在末尾含 `{ kind: 'text', text: '\\n' }`；流不含。
@@ -98,35 +175,50 @@ export class LogEntry {
 	 */
 	toJSON() {
 		return {
+			id: this.id,
+			seq: this.seq,
 			method: this.method,
 			timestamp: this.timestamp,
 			segments: this.toSegments(),
 			stack: this.stack,
+			groupDepth: this.groupDepth,
+			groupPath: this.groupPath,
+			fields: this.fields,
+			prefix: this.prefix,
+			repeatCount: this.repeatCount,
+			lastTimestamp: this.lastTimestamp,
 		}
 	}
 }
 
 /**
- * `stdout` / `stderr` 流日志条目：原样透传文本，不追加换行片段。
+ * `stdout` / `stderr` 流日志条目：原样透传文本，不追加换行片段，也不按分组缩进（与 Node 一致）。
+ * 流写入不一定位于行首，故不带 `prefix`（`fields` 照常保留）。
  */
 class StreamLogEntry extends LogEntry {
 	/**
-	 * @param {object} options - 日志条目选项。
-	 * @param {'stdout' | 'stderr'} options.method - 流方法名。
-	 * @param {any[]} options.args - 原始流参数。
-	 * @param {ReturnType<typeof getStackInfo>} options.stack - 调用栈。
-	 * @param {number} options.timestamp - 日志时间戳（默认 Date.now()）。
-	 * @param {boolean} options.supportsAnsi - 是否支持 ANSI 序列。
+	 * @param {LogEntryOptions} options - 日志条目选项；`args[0]` 为原始流文本。
 	 */
-	constructor({ method, args = [], stack = [], timestamp = Date.now(), supportsAnsi = false }) {
-		const text = String(args?.[0] ?? '')
-		super({ method, args: [text], stack, timestamp, supportsAnsi })
-		this.text = text
+	constructor(options) {
+		const text = String(options.args?.[0] ?? '')
+		super({ ...options, args: [text], prefix: '' })
+		/** 流文本（已按 `redactor` 脱敏；原文仍在 `args[0]`） */
+		this.text = this.redactor ? this.redactor.redactText(text) : text
 	}
 
-	/** @returns {string} 原始流文本（不追加换行）。 */
+	/** @returns {boolean} 仅以换行结尾的完整行参与折叠（进度点等行内片段不折叠）。 */
+	get collapsible() {
+		return this.text.endsWith('\n')
+	}
+
+	/** @returns {string} 原始流文本（不追加换行；重复条目在末尾换行前带 `(×N)`）。 */
 	toString() {
-		return this.text
+		return appendRepeatSuffix(this.text, this.repeatCount)
+	}
+
+	/** @returns {string} 剥除转义后的流文本（不缩进）。 */
+	toPlainText() {
+		return renderPlainFromSegments(this.toSegments(), { repeatCount: this.repeatCount })
 	}
 
 	/**
@@ -151,18 +243,6 @@ function normalizeDirOptionsPayload(raw) {
 
 /** `console.dir` 条目：携带单个 value 段及可选 dirOptions。 */
 class DirLogEntry extends LogEntry {
-	/**
-	 * @param {object} options - 日志条目选项。
-	 * @param {'dir'} options.method - 方法名。
-	 * @param {any[]} options.args - 原始参数。
-	 * @param {ReturnType<typeof getStackInfo>} options.stack - 调用栈。
-	 * @param {number} options.timestamp - 日志时间戳（默认 Date.now()）。
-	 * @param {boolean} options.supportsAnsi - 是否支持 ANSI 序列。
-	 */
-	constructor({ method, args = [], stack = [], timestamp = Date.now(), supportsAnsi = false }) {
-		super({ method, args, stack, timestamp, supportsAnsi })
-	}
-
 	/**
 	 * @returns {import('../shared.d.mts').LogSegment[]} value + 末尾换行片段。
 	 */
@@ -180,18 +260,6 @@ class DirLogEntry extends LogEntry {
 
 /** `console.trace` 条目：普通参数片段 + trace 快照片段。 */
 class TraceLogEntry extends LogEntry {
-	/**
-	 * @param {object} options - 日志条目选项。
-	 * @param {'trace'} options.method - 方法名。
-	 * @param {any[]} options.args - 原始参数。
-	 * @param {ReturnType<typeof getStackInfo>} options.stack - 调用栈。
-	 * @param {number} options.timestamp - 日志时间戳（默认 Date.now()）。
-	 * @param {boolean} options.supportsAnsi - 是否支持 ANSI 序列。
-	 */
-	constructor({ method, args = [], stack = [], timestamp = Date.now(), supportsAnsi = false }) {
-		super({ method, args, stack, timestamp, supportsAnsi })
-	}
-
 	/**
 	 * @returns {import('../shared.d.mts').LogSegment[]} 参数片段、trace 片段与末尾换行。
 	 */
@@ -207,20 +275,96 @@ class TraceLogEntry extends LogEntry {
 }
 
 /**
- * `console.freshLine` 条目：首个参数为行 id，不进入日志格式化。
+ * `console.assert` 失败条目：`args` 为断言之后的消息参数（不含条件）。
+ * 与 Node 一致：有消息时首参被字符串化并加上 `Assertion failed: ` 前缀（其余格式占位符照常生效），无消息时仅输出 `Assertion failed`。
+ */
+class AssertLogEntry extends LogEntry {
+	/**
+	 * @returns {import('../shared.d.mts').LogSegment[]} 带 `Assertion failed` 前缀的参数片段与末尾换行。
+	 */
+	toSegments() {
+		const expansionScope = createExpansionScope(this)
+		const [first, ...rest] = this.args
+		const args = this.args.length ? [`Assertion failed: ${String(first)}`, ...rest] : ['Assertion failed']
+		return [...buildArgsSegments(args, expansionScope, DEFAULT_SNAPSHOT_DEPTH), { kind: 'text', text: '\n' }]
+	}
+}
+
+/**
+ * @param {any[]} args - `console.group` 的标签参数。
+ * @param {import('./redact.mjs').Redactor | null} [redactor=null] - 脱敏器。
+ * @returns {string} 标签纯文本（即后续条目 `groupPath` 中的一段）；无参数时为空串。
+ */
+export function formatGroupLabel(args, redactor = null) {
+	return renderPlainFromSegments(buildArgsSegments(args, null, DEFAULT_SNAPSHOT_DEPTH, redactor)).trimEnd()
+}
+
+/** `console.group` / `console.groupCollapsed` 的组头条目：本身位于外层深度，其后条目的 `groupPath` 追加本组标签。 */
+export class GroupLogEntry extends LogEntry {
+	/** @returns {string} 组标签的纯文本（作为后续条目 `groupPath` 的一段）；无参数时为空串。 */
+	get label() {
+		return formatGroupLabel(this.args, this.redactor)
+	}
+
+	/** @returns {boolean} 是否为 `groupCollapsed` 打开的组（HTML 中默认折叠）。 */
+	get collapsed() {
+		return this.method === 'groupCollapsed'
+	}
+
+	/** @returns {boolean} 组头各自开启新分组，不参与重复折叠。 */
+	get collapsible() {
+		return false
+	}
+
+	/**
+	 * 无参数时与 Node 一致不输出任何内容。
+	 * @returns {import('../shared.d.mts').LogSegment[]} 标签片段与末尾换行；无标签时为空数组。
+	 */
+	toSegments() {
+		return this.args.length ? super.toSegments() : []
+	}
+
+	/**
+	 * 组头的 JSON 传输视图：在基类字段上追加 `collapsed`。
+	 * @returns {Record<string, unknown>} JSON 友好对象。
+	 */
+	toJSON() {
+		return {
+			...super.toJSON(),
+			collapsed: this.collapsed,
+		}
+	}
+}
+
+/** `console.table` 条目：对象数据生成单个 `table` 片段；非对象数据与 Node 一致回退为普通 `log` 输出。 */
+class TableLogEntry extends LogEntry {
+	/**
+	 * @returns {import('../shared.d.mts').LogSegment[]} table 片段（或回退的参数片段）与末尾换行。
+	 */
+	toSegments() {
+		const expansionScope = createExpansionScope(this)
+		const [data, properties] = this.args
+		const table = buildTableSegment(data, properties, expansionScope)
+		const segs = table ? [table] : buildArgsSegments(this.args.slice(0, 1), expansionScope, DEFAULT_SNAPSHOT_DEPTH)
+		return [...segs, { kind: 'text', text: '\n' }]
+	}
+}
+
+/**
+ * `console.freshLine` 条目：首个参数为行 id（`lineId`），不进入日志格式化。
  */
 export class FreshLineLogEntry extends LogEntry {
 	/**
-	 * @param {object} options - 日志条目选项。
-	 * @param {'freshLine'} options.method - 方法名。
-	 * @param {any[]} options.args - 原始参数，首项应为 id。
-	 * @param {ReturnType<typeof getStackInfo>} options.stack - 调用栈。
-	 * @param {number} options.timestamp - 日志时间戳（默认 Date.now()）。
-	 * @param {boolean} options.supportsAnsi - 是否支持 ANSI 序列。
+	 * @param {LogEntryOptions} options - 日志条目选项；`args[0]` 应为 id。
 	 */
-	constructor({ method, args = [], stack = [], timestamp = Date.now(), supportsAnsi = false }) {
-		super({ method, args, stack, timestamp, supportsAnsi })
-		this.id = String(args[0] ?? '')
+	constructor(options) {
+		super(options)
+		this.lineId = String(this.args[0] ?? '')
+	}
+
+	/** @returns {boolean} 同一行 id 的刷新由 `freshLine` 自行覆盖，不参与重复折叠。 */
+	get collapsible() {
+		return false
 	}
 
 	/**
@@ -229,7 +373,7 @@ export class FreshLineLogEntry extends LogEntry {
 	 * @returns {import('../shared.d.mts').ArgSnapshot[]} 除 id 外参数的快照数组。
 	 */
 	serializeArgs(maxDepth = DEFAULT_SNAPSHOT_DEPTH) {
-		return this.args.slice(1).map(arg => serializeArgSnapshot(arg, { maxDepth }))
+		return this.args.slice(1).map(arg => serializeArgSnapshot(arg, { maxDepth, redactor: this.redactor }))
 	}
 
 	/**
@@ -245,13 +389,13 @@ export class FreshLineLogEntry extends LogEntry {
 		}]
 	}
 	/**
-	 * freshLine 的 JSON 传输视图：在基类字段上追加 id。
+	 * freshLine 的 JSON 传输视图：在基类字段上追加行 id。
 	 * @returns {Record<string, unknown>} JSON 友好对象。
 	 */
 	toJSON() {
 		return {
 			...super.toJSON(),
-			id: this.id,
+			lineId: this.lineId,
 		}
 	}
 }
@@ -261,6 +405,10 @@ const methodToConstructorMap = {
 	stderr: StreamLogEntry,
 	dir: DirLogEntry,
 	trace: TraceLogEntry,
+	table: TableLogEntry,
+	assert: AssertLogEntry,
+	group: GroupLogEntry,
+	groupCollapsed: GroupLogEntry,
 	freshLine: FreshLineLogEntry,
 }
 
@@ -274,9 +422,24 @@ function methodToConstructor(method) {
 }
 
 /**
- * @param {object} options - 见 {@link LogEntry} 构造函数。
+ * @param {LogEntryOptions} options - 见 {@link LogEntry} 构造函数。
  * @returns {LogEntry} 新分配的日志条目实例。
  */
 export function newLogEntry(options) {
 	return new (methodToConstructor(options.method))(options)
 }
+
+/**
+ * `collapseRepeats`：`entry` 重复缓冲区最末条目时将其并入后者（递增 `repeatCount`、更新 `lastTimestamp`），并释放 `entry` 的展开引用。
+ * @param {{ at(index: number): LogEntry | undefined }} buffer - 条目缓冲区。
+ * @param {LogEntry} entry - 待写入的新条目。
+ * @returns {LogEntry | null} 吸收它的条目；不重复时为 `null`（调用方照常写入）。
+ */
+export function collapseRepeat(buffer, entry) {
+	const previous = buffer.at(-1)
+	if (!previous || !entry.isRepeatOf(previous)) return null
+	unregisterExpandRefsForEntry(entry)
+	previous.repeatCount++
+	previous.lastTimestamp = entry.timestamp
+	return previous
+}
@@ -0,0 +1,252 @@
+/**
+ * 日志条目环形缓冲区：头部淘汰 O(1)，并通过 {@link EntryRingBuffer#view} 暴露与数组兼容的 `outputEntries` 视图。
+ */
+
+/** 初始槽位数（须为 2 的幂，便于按位取模）。 */
+const INITIAL_CAPACITY = 16
+
+/**
+ * @param {string | symbol} key - 属性键。
+ * @returns {number} 合法数组下标时返回其数值，否则为 -1。
+ */
+function toArrayIndex(key) {
+	if (typeof key !== 'string') return -1
+	const index = Number(key)
+	return Number.isInteger(index) && index >= 0 && String(index) === key ? index : -1
+}
+
+/**
+ * 按写入顺序保存条目的环形缓冲区。
+ * @template T
+ */
+export class EntryRingBuffer {
+	/** @type {T[]} */
+	#slots = new Array(INITIAL_CAPACITY)
+	#head = 0
+	#length = 0
+	/** @type {number | null} 已保存条目的 `estimatedBytes` 之和；首次读取 {@link bytes} 前不统计 */
+	#bytes = null
+	/** @type {T[]} */
+	#view
+	/** @type {() => void} 经视图改写后调用 */
+	#onViewWrite
+
+	/**
+	 * @param {() => void} [onViewWrite] - 经 {@link view} 写入下标或 `length` 后调用（供持有者同步索引等派生状态）。
+	 */
+	constructor(onViewWrite = () => { }) {
+		this.#onViewWrite = onViewWrite
+	}
+
+	/** @returns {number} 条目数。 */
+	get length() {
+		return this.#length
+	}
+
+	/**
+	 * 已保存条目的估算字节数之和（首次读取时汇总，之后随增删增量维护）。
+	 * @returns {number} 估算字节数。
+	 */
+	get bytes() {
+		if (this.#bytes === null) {
+			this.#bytes = 0
+			for (const entry of this) this.#bytes += sizeOf(entry)
+		}
+		return this.#bytes
+	}
+
+	/**
+	 * 与数组兼容的只读 / 可写视图：下标、`length`、迭代与 `Array.prototype` 方法均作用于缓冲区本身，
+	 * `Array.isArray` 亦为 true。写入下标或 `length`（含 `splice` 等变更方法）直接修改缓冲区，随后调用 `onViewWrite`。
+	 * @returns {T[]} 数组视图。
+	 */
+	get view() {
+		return this.#view ??= createArrayView(this, this.#onViewWrite)
+	}
+
+	/**
+	 * @param {number} index - 逻辑下标（0 为最旧）。
+	 * @returns {T | undefined} 该位置的条目；越界时为 undefined。
+	 */
+	at(index) {
+		if (index < 0) index += this.#length
+		if (index < 0 || index >= this.#length) return undefined
+		return this.#slots[(this.#head + index) & (this.#slots.length - 1)]
+	}
+
+	/**
+	 * 写入指定位置；`index` 等于 `length` 时追加，超出时以 undefined 填充间隙。
+	 * @param {number} index - 逻辑下标。
+	 * @param {T} value - 新条目。
+	 * @returns {void}
+	 */
+	set(index, value) {
+		while (this.#length < index) this.push(undefined)
+		if (index === this.#length) return this.push(value)
+		const slot = (this.#head + index) & (this.#slots.length - 1)
+		this.#account(this.#slots[slot], -1)
+		this.#slots[slot] = value
+		this.#account(value, 1)
+	}
+
+	/**
+	 * 追加到尾部（满时容量翻倍，均摊 O(1)）。
+	 * @param {T} value - 新条目。
+	 * @returns {void}
+	 */
+	push(value) {
+		if (this.#length === this.#slots.length) this.#grow()
+		this.#slots[(this.#head + this.#length) & (this.#slots.length - 1)] = value
+		this.#length++
+		this.#account(value, 1)
+	}
+
+	/**
+	 * 移除并返回最旧的条目（O(1)）。
+	 * @returns {T | undefined} 被移除的条目；为空时为 undefined。
+	 */
+	shift() {
+		if (!this.#length) return undefined
+		const value = this.#slots[this.#head]
+		this.#slots[this.#head] = undefined
+		this.#head = (this.#head + 1) & (this.#slots.length - 1)
+		this.#length--
+		this.#account(value, -1)
+		return value
+	}
+
+	/**
+	 * 调整长度：缩短时丢弃尾部条目，加长时以 undefined 填充。
+	 * @param {number} length - 新长度。
+	 * @returns {void}
+	 */
+	truncate(length) {
+		while (this.#length < length) this.push(undefined)
+		while (this.#length > length) {
+			const slot = (this.#head + this.#length - 1) & (this.#slots.length - 1)
+			this.#account(this.#slots[slot], -1)
+			this.#slots[slot] = undefined
+			this.#length--
+		}
+	}
+
+	/**
+	 * 以给定条目整体替换内容（不调用 `onViewWrite`）。
+	 * @param {Iterable<T>} values - 新内容（旧 → 新）。
+	 * @returns {void}
+	 */
+	replace(values) {
+		values = [...values]
+		this.clear()
+		for (const value of values) this.push(value)
+	}
+
+	/** @returns {void} */
+	clear() {
+		this.#slots = new Array(INITIAL_CAPACITY)
+		this.#head = 0
+		this.#length = 0
+		if (this.#bytes !== null) this.#bytes = 0
+	}
+
+	/** @returns {IterableIterator<T>} 由旧到新的迭代器。 */
+	*[Symbol.iterator]() {
+		for (let index = 0; index < this.#length; index++) yield this.at(index)
+	}
+
+	/** @returns {void} */
+	#grow() {
+		const slots = new Array(this.#slots.length * 2)
+		for (let index = 0; index < this.#length; index++) slots[index] = this.at(index)
+		this.#slots = slots
+		this.#head = 0
+	}
+
+	/**
+	 * @param {T} value - 进出缓冲区的条目。
+	 * @param {1 | -1} sign - 进入为 1，离开为 -1。
+	 * @returns {void}
+	 */
+	#account(value, sign) {
+		if (this.#bytes !== null) this.#bytes += sign * sizeOf(value)
+	}
+}
+
+/**
+ * @param {unknown} entry - 缓冲区中的值。
+ * @returns {number} 其 `estimatedBytes`（非条目为 0）。
+ */
+function sizeOf(entry) {
+	return Number(entry?.estimatedBytes) || 0
+}
+
+/**
+ * 以真实空数组为代理目标（使 `Array.isArray` 成立），将下标与 `length` 的读写转发到缓冲区。
+ * @template T
+ * @param {EntryRingBuffer<T>} buffer - 底层缓冲区。
+ * @param {() => void} onWrite - 每次经视图改写后调用。
+ * @returns {T[]} 数组视图。
+ */
+function createArrayView(buffer, onWrite) {
+	const target = []
+	// Node 的 util.inspect 直接格式化代理目标而不经过陷阱，此处让其显示缓冲区内容
+	Object.defineProperty(target, Symbol.for('nodejs.util.inspect.custom'), {
+		value: () => [...buffer],
+	})
+	return new Proxy(target, {
+		get(target, key, receiver) {
+			if (key === 'length') return buffer.length
+			const index = toArrayIndex(key)
+			if (index >= 0) return buffer.at(index)
+			return Reflect.get(target, key, receiver)
+		},
+		set(target, key, value, receiver) {
+			if (key === 'length') {
+				buffer.truncate(Number(value))
+				onWrite()
+				return true
+			}
+			const index = toArrayIndex(key)
+			if (index >= 0) {
+				buffer.set(index, value)
+				onWrite()
+				return true
+			}
+			return Reflect.set(target, key, value, receiver)
+		},
+		has(target, key) {
+			const index = toArrayIndex(key)
+			if (index >= 0) return index < buffer.length
+			return Reflect.has(target, key)
+		},
+		deleteProperty(target, key) {
+			const index = toArrayIndex(key)
+			if (index >= 0) {
+				if (index < buffer.length) {
+					buffer.set(index, undefined)
+					onWrite()
+				}
+				return true
+			}
+			return Reflect.deleteProperty(target, key)
+		},
+		defineProperty(target, key, descriptor) {
+			if (key === 'length' || toArrayIndex(key) >= 0) {
+				if ('value' in descriptor) this.set(target, key, descriptor.value)
+				return true
+			}
+			return Reflect.defineProperty(target, key, descriptor)
+		},
+		ownKeys(target) {
+			return [...Array.from({ length: buffer.length }, (_, index) => String(index)), ...Reflect.ownKeys(target)]
+		},
+		getOwnPropertyDescriptor(target, key) {
+			if (key === 'length')
+				return { value: buffer.length, writable: true, enumerable: false, configurable: false }
+			const index = toArrayIndex(key)
+			if (index >= 0)
+				return index < buffer.length ? { value: buffer.at(index), writable: true, enumerable: true, configurable: true } : undefined
+			return Reflect.getOwnPropertyDescriptor(target, key)
+		},
+	})
+}
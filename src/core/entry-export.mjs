@@ -0,0 +1,163 @@
+/**
+ * 捕获的离线保存与重新载入：`VirtualConsole#exportEntries` 产出带版本号的 JSON 转储，
+ * `importEntries` / `VirtualConsole.fromJSON` 由其重建 {@link OfflineLogEntry}（同步渲染，无需线路展开）。
+ */
+
+import { appendRepeatSuffix, renderAnsi, renderHtml, renderPlain } from '../format/render.mjs'
+
+import { methodNameToLevel } from './entries.mjs'
+import { estimateBytes } from './size-estimate.mjs'
+import { resolvePrimaryCallsiteFromSegments } from './snapshot.mjs'
+
+/**
+ * 当前转储格式版本。
+ * - 0：`entry.toJSON()` 组成的裸数组（本功能之前手工保存的转储，无 `level`）；
+ * - 1：`{ schemaVersion, exportedAt, entries }`，各条目为带 `level` 的 `toJSON()`。
+ */
+export const ENTRY_EXPORT_SCHEMA_VERSION = 1
+
+/**
+ * @typedef {object} EntryExport
+ * @property {number} schemaVersion - 格式版本（{@link ENTRY_EXPORT_SCHEMA_VERSION}）。
+ * @property {number} exportedAt - 导出时的 Unix 时间戳（毫秒）。
+ * @property {Record<string, unknown>[]} entries - 各条目的 `toJSON()`（附 `level`）。
+ */
+
+/** 直接写流的方法：原样输出，不按分组缩进、不带 `prefix`。 */
+const STREAM_METHODS = new Set(['stdout', 'stderr'])
+
+/** 由通用字段覆盖的载荷键；其余键（如 `lineId`、`collapsed`）原样保留。 */
+const CORE_KEYS = new Set(['id', 'seq', 'level', 'method', 'timestamp', 'stack', 'segments', 'groupDepth', 'groupPath', 'fields', 'prefix', 'repeatCount', 'lastTimestamp'])
+
+/**
+ * 由转储载荷重建的条目：`toSegments` 返回保存时的片段，`toString` / `toPlainText` / `toHtml` 同步渲染；
+ * 保存时未展开的 `truncated` 节点保持截断显示（其 `ref` 已失效）。原始 `args` 不可恢复，恒为空数组。
+ */
+export class OfflineLogEntry {
+	/** @type {number | undefined} {@link estimatedBytes} 的缓存 */
+	#estimatedBytes
+	/** @type {Record<string, unknown>} 子类特有字段（`lineId`、`collapsed` 等） */
+	#extra = {}
+
+	/**
+	 * @param {Record<string, unknown>} payload - 单条 `toJSON()` 载荷。
+	 * @param {{ supportsAnsi?: boolean }} [options] - 渲染选项。
+	 */
+	constructor(payload, { supportsAnsi = false } = {}) {
+		this.method = String(payload.method ?? 'log')
+		this.level = payload.level ?? methodNameToLevel(this.method)
+		this.args = []
+		this.id = payload.id ?? null
+		this.seq = payload.seq ?? null
+		this.timestamp = payload.timestamp
+		this.stack = payload.stack ?? []
+		this.segments = payload.segments ?? []
+		this.groupPath = payload.groupPath ?? []
+		this.groupDepth = payload.groupDepth ?? this.groupPath.length
+		this.fields = payload.fields ?? {}
+		this.prefix = payload.prefix ?? ''
+		this.repeatCount = payload.repeatCount ?? 1
+		this.lastTimestamp = payload.lastTimestamp ?? this.timestamp
+		this.supportsAnsi = supportsAnsi
+		for (const [key, value] of Object.entries(payload))
+			if (!CORE_KEYS.has(key)) this.#extra[key] = this[key] = value
+		// 旧版 `toJSON()` 以 `id` 承载 `freshLine` 行 id
+		if (this.method === 'freshLine' && this.lineId === undefined && payload.id != null) this.#extra.lineId = this.lineId = String(payload.id)
+	}
+
+	/**
+	 * @returns {number} 片段与调用栈的估算内存占用（首次读取时计算并缓存），供 `maxLogBytes` 使用。
+	 */
+	get estimatedBytes() {
+		return this.#estimatedBytes ??= estimateBytes([this.segments, this.stack])
+	}
+
+	/** @returns {import('../shared.d.mts').StackFrame | null} 展示来源：优先片段中首个 Error 的栈帧，否则为捕获调用栈中第一条。 */
+	get primaryCallsite() {
+		return resolvePrimaryCallsiteFromSegments(this.segments, this.stack)
+	}
+
+	/** @returns {boolean} 离线条目不参与 `collapseRepeats` 折叠。 */
+	get collapsible() {
+		return false
+	}
+
+	/** @returns {boolean} 恒为 false（见 {@link collapsible}）。 */
+	isRepeatOf() {
+		return false
+	}
+
+	/** @returns {boolean} 是否为 `stdout` / `stderr` 流条目。 */
+	get #isStream() {
+		return STREAM_METHODS.has(this.method)
+	}
+
+	/** @returns {import('../shared.d.mts').LogSegment[]} 保存时的片段。 */
+	toSegments() {
+		return this.segments
+	}
+
+	/** @returns {string} 终端 ANSI 串（流条目为原始流文本）。 */
+	toString() {
+		if (this.#isStream) return appendRepeatSuffix(this.segments.map(segment => segment.text ?? '').join(''), this.repeatCount)
+		return renderAnsi(this.segments, { colorize: this.supportsAnsi, groupDepth: this.groupDepth, prefix: this.prefix, repeatCount: this.repeatCount })
+	}
+
+	/** @returns {string} 剥除转义与样式后的纯文本（流条目不缩进）。 */
+	toPlainText() {
+		if (this.#isStream) return renderPlain(this.segments, { repeatCount: this.repeatCount })
+		return renderPlain(this.segments, { groupDepth: this.groupDepth, prefix: this.prefix, repeatCount: this.repeatCount })
+	}
+
+	/** @returns {string} 由保存的片段渲染的 HTML。 */
+	toHtml() {
+		return renderHtml(this.segments, { supportsAnsi: this.supportsAnsi, prefix: this.prefix, repeatCount: this.repeatCount })
+	}
+
+	/** @returns {Record<string, unknown>} 与原条目 `toJSON()` 同形的载荷。 */
+	toJSON() {
+		return {
+			id: this.id,
+			seq: this.seq,
+			method: this.method,
+			timestamp: this.timestamp,
+			segments: this.segments,
+			stack: this.stack,
+			groupDepth: this.groupDepth,
+			groupPath: this.groupPath,
+			fields: this.fields,
+			prefix: this.prefix,
+			repeatCount: this.repeatCount,
+			lastTimestamp: this.lastTimestamp,
+			...this.#extra,
+		}
+	}
+}
+
+/**
+ * 将条目导出为带版本号的转储对象（可直接 `JSON.stringify`）。
+ * @param {Iterable<{ level: string, toJSON(): Record<string, unknown> }>} entries - 条目（如 `vc.outputEntries`）。
+ * @returns {EntryExport} 转储对象。
+ */
+export function createEntryExport(entries) {
+	return {
+		schemaVersion: ENTRY_EXPORT_SCHEMA_VERSION,
+		exportedAt: Date.now(),
+		entries: [...entries].map(entry => ({ level: entry.level, ...entry.toJSON() })),
+	}
+}
+
+/**
+ * 解析转储并重建离线条目；兼容旧版本格式。
+ * @param {EntryExport | Record<string, unknown>[] | string} dump - 转储对象、其 JSON 文本，或旧版的 `toJSON()` 数组。
+ * @param {{ supportsAnsi?: boolean }} [options] - 渲染选项。
+ * @returns {OfflineLogEntry[]} 离线条目（按转储顺序）。
+ */
+export function parseEntryExport(dump, options) {
+	if (typeof dump === 'string') dump = JSON.parse(dump)
+	const { schemaVersion, entries } = Array.isArray(dump) ? { schemaVersion: 0, entries: dump } : dump ?? {}
+	if (!Number.isInteger(schemaVersion) || schemaVersion < 0 || schemaVersion > ENTRY_EXPORT_SCHEMA_VERSION)
+		throw new TypeError(`vc_import_unsupported_schema: ${schemaVersion}`)
+	if (!Array.isArray(entries)) throw new TypeError('vc_import_invalid_entries')
+	return entries.map(payload => new OfflineLogEntry(payload, options))
+}
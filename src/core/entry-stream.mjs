@@ -0,0 +1,123 @@
+/**
+ * 基于条目 / clear 监听器的异步消费：`VirtualConsole#entries` 的异步迭代与 `VirtualConsole#waitFor`。
+ * 两者在结束（迭代终止、兑现、超时或中止）时都会移除自己注册的监听器。
+ */
+
+import { compileEntryFilter } from './query.mjs'
+
+/**
+ * @typedef {object} EntrySource
+ * @property {import('./entries.mjs').LogEntry[]} outputEntries - 当前缓冲区。
+ * @property {(fn: (entry: import('./entries.mjs').LogEntry) => void, filter?: (entry: import('./entries.mjs').LogEntry) => boolean) => void} addLogEntryListener - 注册条目监听器。
+ * @property {(fn: (entry: import('./entries.mjs').LogEntry) => void) => void} removeLogEntryListener - 移除条目监听器。
+ * @property {(fn: () => void) => void} addClearListener - 注册 clear 监听器。
+ * @property {(fn: () => void) => void} removeClearListener - 移除 clear 监听器。
+ */
+
+/**
+ * @typedef {object} EntryIterationOptions
+ * @property {boolean} [follow=false] - 为 true 时遍历完现有条目后继续等待新条目，直到迭代被终止或 `signal` 中止。
+ * @property {import('./query.mjs').EntryFilter | ((entry: import('./entries.mjs').LogEntry) => boolean)} [filter] - 仅产出命中的条目（同 `query`，忽略 `limit` / `reverse`）。
+ * @property {AbortSignal} [signal] - 中止时迭代以 `signal.reason` 抛出。
+ */
+
+/**
+ * @typedef {object} WaitForOptions
+ * @property {number} [timeout=Infinity] - 超时毫秒数；超时后以 `vc_wait_timeout` 拒绝。
+ * @property {AbortSignal} [signal] - 中止时以 `signal.reason` 拒绝。
+ */
+
+/**
+ * 由旧到新产出缓冲区中的条目；`follow` 时再持续产出之后写入的条目。
+ * 跟随期间若缓冲区被 `clear()`，尚未产出的条目一并丢弃。
+ * @param {EntrySource} source - 条目来源（通常为 `VirtualConsole`）。
+ * @param {EntryIterationOptions} [options={}] - 迭代选项。
+ * @yields {import('./entries.mjs').LogEntry} 命中的条目。
+ * @returns {AsyncGenerator<import('./entries.mjs').LogEntry, void, undefined>} 异步迭代器。
+ */
+export async function* iterateEntries(source, { follow = false, filter, signal } = {}) {
+	signal?.throwIfAborted()
+	const predicate = compileEntryFilter(filter)
+	let queue = [...source.outputEntries].filter(predicate)
+	if (!follow) {
+		yield* queue
+		return
+	}
+	/** @type {(() => void) | null} */
+	let wake = null
+	/**
+	 * 唤醒等待中的迭代。
+	 * @returns {void}
+	 */
+	const notify = () => {
+		wake?.()
+		wake = null
+	}
+	/**
+	 * @param {import('./entries.mjs').LogEntry} entry - 新条目。
+	 * @returns {void}
+	 */
+	const onEntry = (entry) => {
+		queue.push(entry)
+		notify()
+	}
+	/** @returns {void} */
+	const onClear = () => { queue = [] }
+	source.addLogEntryListener(onEntry, predicate)
+	source.addClearListener(onClear)
+	signal?.addEventListener('abort', notify)
+	try {
+		while (true) {
+			signal?.throwIfAborted()
+			if (queue.length) yield queue.shift()
+			else await new Promise(resolve => wake = resolve)
+		}
+	}
+	finally {
+		source.removeLogEntryListener(onEntry)
+		source.removeClearListener(onClear)
+		signal?.removeEventListener('abort', notify)
+	}
+}
+
+/**
+ * 等待首个命中的条目：先按旧 → 新查找缓冲区中已有的条目，没有则等待之后写入的条目。
+ * @param {EntrySource} source - 条目来源（通常为 `VirtualConsole`）。
+ * @param {import('./query.mjs').EntryFilter | ((entry: import('./entries.mjs').LogEntry) => boolean)} predicate - 谓词或过滤对象（同 `query`）。
+ * @param {WaitForOptions} [options={}] - 超时与中止选项。
+ * @returns {Promise<import('./entries.mjs').LogEntry>} 命中的条目。
+ */
+export function waitForEntry(source, predicate, { timeout = Infinity, signal } = {}) {
+	const match = compileEntryFilter(predicate)
+	return new Promise((resolve, reject) => {
+		if (signal?.aborted) return reject(signal.reason)
+		const existing = source.outputEntries.find(match)
+		if (existing) return resolve(existing)
+		let timer
+		/** @returns {void} */
+		const cleanup = () => {
+			source.removeLogEntryListener(onEntry)
+			signal?.removeEventListener('abort', onAbort)
+			clearTimeout(timer)
+		}
+		/**
+		 * @param {import('./entries.mjs').LogEntry} entry - 命中的新条目。
+		 * @returns {void}
+		 */
+		const onEntry = (entry) => {
+			cleanup()
+			resolve(entry)
+		}
+		/** @returns {void} */
+		const onAbort = () => {
+			cleanup()
+			reject(signal.reason)
+		}
+		source.addLogEntryListener(onEntry, match)
+		signal?.addEventListener('abort', onAbort)
+		if (timeout < Infinity) timer = setTimeout(() => {
+			cleanup()
+			reject(new Error('vc_wait_timeout'))
+		}, timeout)
+	})
+}
@@ -0,0 +1,13 @@
+/**
+ * 不透明唯一 id 生成（条目 `id`、展开 `ref` 共用）。
+ */
+
+/**
+ * 生成全局唯一的不透明 id：优先 `crypto.randomUUID`，不可用时回退为时间戳与随机数拼接。
+ * @param {string} prefix - 回退格式的前缀，便于区分 id 用途。
+ * @returns {string} 唯一 id。
+ */
+export function createUniqueId(prefix) {
+	return globalThis.crypto?.randomUUID?.() ||
+		`${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2)}`
+}
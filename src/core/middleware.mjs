@@ -0,0 +1,168 @@
+/**
+ * 条目中间件管线（`VirtualConsole#use`）：条目写入缓冲区与广播之前，按注册顺序依次交给各中间件改写、丰富、丢弃或扇出。
+ */
+
+import { redactFields } from './redact.mjs'
+
+/**
+ * @typedef {object} EntryMiddlewareContext
+ * @property {object} console - 记录该条目的控制台（子控制台记录时为子控制台）。
+ * @property {import('../shared.d.mts').StackFrame[]} stack - 条目的调用栈（同 `entry.stack`）。
+ * @property {(method: string, args?: any[]) => import('./entries.mjs').LogEntry} createEntry - 以该条目的调用栈、分组、字段与前缀构造合成条目（不自动写入，需由中间件返回）。
+ */
+
+/**
+ * @typedef {(entry: import('./entries.mjs').LogEntry, context: EntryMiddlewareContext) => EntryMiddlewareResult | Promise<EntryMiddlewareResult>} EntryMiddleware
+ * 返回 `undefined` / `true` 保留（可能已就地修改的）条目；`false` / `null` 丢弃；返回条目则替换；返回条目数组则扇出（空数组等同丢弃）。
+ */
+
+/**
+ * @typedef {import('./entries.mjs').LogEntry | import('./entries.mjs').LogEntry[] | boolean | null | undefined | void} EntryMiddlewareResult
+ */
+
+/**
+ * @param {unknown} value - 任意值。
+ * @returns {value is PromiseLike<unknown>} 是否为 thenable。
+ */
+function isThenable(value) {
+	return typeof value?.then === 'function'
+}
+
+/**
+ * @param {EntryMiddlewareResult} result - 中间件返回值。
+ * @param {import('./entries.mjs').LogEntry} entry - 传入该中间件的条目。
+ * @returns {import('./entries.mjs').LogEntry[]} 交给下一中间件的条目。
+ */
+function normalizeResult(result, entry) {
+	if (result === undefined || result === true) return [entry]
+	if (result === false || result === null) return []
+	return Array.isArray(result) ? result : [result]
+}
+
+/**
+ * 调用单个中间件；抛错或拒绝时视为未修改，条目原样继续（不因中间件故障丢失日志）。
+ * @param {EntryMiddleware} middleware - 中间件。
+ * @param {import('./entries.mjs').LogEntry} entry - 条目。
+ * @param {EntryMiddlewareContext} context - 上下文。
+ * @returns {import('./entries.mjs').LogEntry[] | Promise<import('./entries.mjs').LogEntry[]>} 结果条目。
+ */
+function invokeMiddleware(middleware, entry, context) {
+	let result
+	try {
+		result = middleware(entry, context)
+	}
+	catch {
+		return [entry]
+	}
+	if (isThenable(result)) return Promise.resolve(result).then(value => normalizeResult(value, entry), () => [entry])
+	return normalizeResult(result, entry)
+}
+
+/**
+ * 按顺序运行中间件。全部同步时同步返回；任一中间件返回 Promise 时，其后的步骤在其兑现后继续，并返回 Promise。
+ * 结果条目的 `fields` 按各自的脱敏器重新脱敏（中间件写入的字段同样受 `redact` 约束）。
+ * @param {readonly EntryMiddleware[]} middlewares - 中间件（调用方应传入快照，运行期间不受 `use` / `unuse` 影响）。
+ * @param {import('./entries.mjs').LogEntry} entry - 新条目。
+ * @param {(entry: import('./entries.mjs').LogEntry) => EntryMiddlewareContext} createContext - 为每个条目构造上下文。
+ * @returns {import('./entries.mjs').LogEntry[] | Promise<import('./entries.mjs').LogEntry[]>} 应写入缓冲区的条目（按顺序）。
+ */
+export function runEntryMiddleware(middlewares, entry, createContext) {
+	/**
+	 * @param {number} index - 下一个中间件的下标。
+	 * @param {import('./entries.mjs').LogEntry[]} entries - 当前条目。
+	 * @returns {import('./entries.mjs').LogEntry[] | Promise<import('./entries.mjs').LogEntry[]>} 结果条目。
+	 */
+	const runFrom = (index, entries) => {
+		for (; index < middlewares.length && entries.length; index++) {
+			const middleware = middlewares[index]
+			const results = entries.map(item => invokeMiddleware(middleware, item, createContext(item)))
+			if (results.some(isThenable)) {
+				const next = index + 1
+				return Promise.all(results).then(settled => runFrom(next, settled.flat()))
+			}
+			entries = results.flat()
+		}
+		for (const item of entries) item.fields = redactFields(item.fields, item.redactor)
+		return entries
+	}
+	return runFrom(0, [entry])
+}
+
+/**
+ * 根控制台的中间件管线（`use` / `unuse` / `flushMiddleware` 与排队状态）；子控制台共用根的实例。
+ * 中间件全部同步时条目立即写入；有异步中间件时条目（及之后的条目）按调用顺序排队，兑现后写入。
+ */
+export class EntryMiddlewareQueue {
+	/**
+	 * 中间件（按注册顺序；写时复制，运行中的管线不受 `use` / `unuse` 影响）。
+	 * @type {readonly EntryMiddleware[]}
+	 */
+	#middlewares = []
+	/**
+	 * 仍在异步中间件中等待的条目链尾；非空时新条目排在其后，保证写入顺序与调用顺序一致。
+	 * @type {Promise<void> | null}
+	 */
+	#pending = null
+	/**
+	 * 同步执行中间件的嵌套层数：中间件内部产生的输出直接写入，不再经过管线。
+	 * @type {number}
+	 */
+	#depth = 0
+
+	/**
+	 * @param {EntryMiddleware} fn - 追加到末尾的中间件。
+	 * @returns {void}
+	 */
+	use(fn) {
+		this.#middlewares = [...this.#middlewares, fn]
+	}
+
+	/**
+	 * @param {EntryMiddleware} fn - 要移除的中间件（同一函数追加多次时移除最后一次）。
+	 * @returns {void}
+	 */
+	unuse(fn) {
+		const index = this.#middlewares.lastIndexOf(fn)
+		if (index !== -1) this.#middlewares = [...this.#middlewares.slice(0, index), ...this.#middlewares.slice(index + 1)]
+	}
+
+	/**
+	 * @returns {Promise<void>} 排队的条目全部写入后兑现。
+	 */
+	async flush() {
+		while (this.#pending) await this.#pending
+	}
+
+	/**
+	 * 让条目经过中间件后交给 `store` 写入。
+	 * @param {import('./entries.mjs').LogEntry} entry - 新条目。
+	 * @param {(entry: import('./entries.mjs').LogEntry) => EntryMiddlewareContext} createContext - 为每个条目构造上下文。
+	 * @param {(entries: import('./entries.mjs').LogEntry[]) => import('./entries.mjs').LogEntry | null} store - 写入中间件产出的条目，返回首个写入（或吸收它）的条目。
+	 * @returns {import('./entries.mjs').LogEntry | null} `store` 的返回值；仍在排队时为原条目。
+	 */
+	push(entry, createContext, store) {
+		if (this.#depth || !this.#middlewares.length && !this.#pending) return store([entry])
+		const middlewares = this.#middlewares
+		/**
+		 * 运行中间件管线（同步部分计入重入保护）。
+		 * @returns {import('./entries.mjs').LogEntry[] | Promise<import('./entries.mjs').LogEntry[]>} 应写入的条目。
+		 */
+		const run = () => {
+			this.#depth++
+			try {
+				return runEntryMiddleware(middlewares, entry, createContext)
+			}
+			finally {
+				this.#depth--
+			}
+		}
+		const result = this.#pending ? this.#pending.then(run) : run()
+		if (!(result instanceof Promise)) return store(result)
+		const pending = this.#pending = result.then(entries => {
+			store(entries)
+		}).finally(() => {
+			if (this.#pending === pending) this.#pending = null
+		})
+		return entry
+	}
+}
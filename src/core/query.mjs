@@ -0,0 +1,196 @@
+/**
+ * 条目查询：过滤对象 → 谓词，以及按 `level` / `method` 建索引的 {@link EntryIndex}（供 `VirtualConsole#query` 使用）。
+ */
+
+/**
+ * @typedef {object} EntryFilter
+ * @property {string | string[]} [levels] - 语义级别（`entry.level`）白名单。
+ * @property {string | string[]} [methods] - 来源方法（`entry.method`）白名单。
+ * @property {number | Date} [since] - 时间下界（含），与 `entry.timestamp` 比较。
+ * @property {number | Date} [until] - 时间上界（含）。
+ * @property {string} [text] - `toPlainText()` 需包含的子串。
+ * @property {RegExp | string} [regex] - `toPlainText()` 需匹配的正则（字符串按 `new RegExp` 编译）。
+ * @property {string | RegExp} [file] - `primaryCallsite.filePath` 需包含的子串或需匹配的正则。
+ * @property {Record<string, unknown>} [fields] - `entry.fields` 中各键需严格相等（`Object.is`）的值；值为正则时匹配其字符串形式。
+ * @property {number} [limit] - 最多返回条数（仅 `query` 使用）。
+ * @property {boolean} [reverse] - 为 true 时由新到旧返回（仅 `query` 使用；与 `limit` 组合即“最近 N 条”）。
+ */
+
+/**
+ * @param {string | string[] | undefined} value - 单值或数组。
+ * @returns {Set<string> | null} 未指定时为 `null`。
+ */
+function toNameSet(value) {
+	if (value === undefined) return null
+	return new Set([value].flat().map(String))
+}
+
+/**
+ * @param {number | Date | undefined} value - 时间戳或 `Date`。
+ * @returns {number | undefined} 毫秒时间戳。
+ */
+function toTimestamp(value) {
+	return value instanceof Date ? value.getTime() : value
+}
+
+/**
+ * @param {RegExp} regex - 可能带 `g` / `y` 标志的正则。
+ * @param {string} text - 待测文本。
+ * @returns {boolean} 是否匹配（不受 `lastIndex` 状态影响）。
+ */
+function testRegex(regex, text) {
+	regex.lastIndex = 0
+	return regex.test(text)
+}
+
+/**
+ * @param {unknown} expected - 期望值或正则。
+ * @param {unknown} actual - 条目字段值。
+ * @returns {boolean} 是否命中。
+ */
+function matchesFieldValue(expected, actual) {
+	if (expected instanceof RegExp) return actual !== undefined && testRegex(expected, String(actual))
+	return Object.is(expected, actual)
+}
+
+/**
+ * 将过滤对象编译为条目谓词（忽略 `limit` / `reverse`）；所有条件为“与”关系，未指定的字段不参与过滤。
+ * 传入函数时原样返回，便于 `addLogEntryListener` 等同时接受两种形式。
+ * @param {EntryFilter | ((entry: import('./entries.mjs').LogEntry) => boolean) | null | undefined} filter - 过滤对象或谓词。
+ * @returns {(entry: import('./entries.mjs').LogEntry) => boolean} 条目谓词。
+ */
+export function compileEntryFilter(filter) {
+	if (filter instanceof Function) return filter
+	if (!filter) return () => true
+	const levels = toNameSet(filter.levels)
+	const methods = toNameSet(filter.methods)
+	const since = toTimestamp(filter.since)
+	const until = toTimestamp(filter.until)
+	const { text, file } = filter
+	const fields = filter.fields ? Object.entries(filter.fields) : null
+	const regex = typeof filter.regex === 'string' ? new RegExp(filter.regex) : filter.regex
+	return entry => {
+		if (levels && !levels.has(entry.level)) return false
+		if (methods && !methods.has(entry.method)) return false
+		if (since !== undefined && entry.timestamp < since) return false
+		if (until !== undefined && entry.timestamp > until) return false
+		if (file !== undefined) {
+			const filePath = entry.primaryCallsite?.filePath
+			if (!filePath) return false
+			if (file instanceof RegExp ? !testRegex(file, filePath) : !filePath.includes(file)) return false
+		}
+		if (fields && !fields.every(([key, expected]) => matchesFieldValue(expected, entry.fields?.[key]))) return false
+		if (text !== undefined && !entry.toPlainText().includes(text)) return false
+		if (regex && !testRegex(regex, entry.toPlainText())) return false
+		return true
+	}
+}
+
+/**
+ * `outputEntries` 的二级索引：按 `level` / `method` 分桶并记录写入序号，
+ * 使按级别或方法查询时只需扫描命中的桶而非整个缓冲区。
+ */
+export class EntryIndex {
+	/** @type {Map<import('./entries.mjs').LogEntry, number>} 条目 → 写入序号 */
+	#ordinals = new Map()
+	/** @type {Map<string, Set<import('./entries.mjs').LogEntry>>} */
+	#byLevel = new Map()
+	/** @type {Map<string, Set<import('./entries.mjs').LogEntry>>} */
+	#byMethod = new Map()
+	#nextOrdinal = 0
+
+	/** @returns {number} 已索引的条目数。 */
+	get size() {
+		return this.#ordinals.size
+	}
+
+	/**
+	 * @param {import('./entries.mjs').LogEntry} entry - 新写入缓冲区的条目。
+	 * @returns {void}
+	 */
+	add(entry) {
+		this.#ordinals.set(entry, this.#nextOrdinal++)
+		for (const [buckets, key] of [[this.#byLevel, entry.level], [this.#byMethod, entry.method]]) {
+			if (!buckets.has(key)) buckets.set(key, new Set())
+			buckets.get(key).add(entry)
+		}
+	}
+
+	/**
+	 * @param {import('./entries.mjs').LogEntry} entry - 已移出缓冲区的条目。
+	 * @returns {void}
+	 */
+	delete(entry) {
+		if (!this.#ordinals.delete(entry)) return
+		for (const [buckets, key] of [[this.#byLevel, entry.level], [this.#byMethod, entry.method]]) {
+			const bucket = buckets.get(key)
+			bucket?.delete(entry)
+			if (!bucket?.size) buckets.delete(key)
+		}
+	}
+
+	/** @returns {void} */
+	clear() {
+		this.#ordinals.clear()
+		this.#byLevel.clear()
+		this.#byMethod.clear()
+	}
+
+	/** @returns {IterableIterator<import('./entries.mjs').LogEntry>} 已索引的条目（按写入序号）。 */
+	[Symbol.iterator]() {
+		return this.#ordinals.keys()
+	}
+
+	/**
+	 * 以给定条目重建索引（缓冲区经 `outputEntries` 视图改写后使用）。
+	 * @param {Iterable<import('./entries.mjs').LogEntry>} entries - 当前缓冲区内容（旧 → 新）。
+	 * @returns {void}
+	 */
+	rebuild(entries) {
+		this.clear()
+		for (const entry of entries) this.add(entry)
+	}
+
+	/**
+	 * @param {Map<string, Set<import('./entries.mjs').LogEntry>>} buckets - 分桶。
+	 * @param {Set<string>} keys - 需要的键。
+	 * @returns {Set<import('./entries.mjs').LogEntry>} 各桶的并集。
+	 */
+	#union(buckets, keys) {
+		const result = new Set()
+		for (const key of keys)
+			for (const entry of buckets.get(key) ?? []) result.add(entry)
+		return result
+	}
+
+	/**
+	 * 按过滤对象查询：先用 `levels` / `methods` 缩小候选集，再按写入顺序逐条套用其余条件。
+	 * @param {Iterable<import('./entries.mjs').LogEntry>} entries - 当前缓冲区内容（旧 → 新）；未指定 `levels` / `methods` 时直接扫描。
+	 * @param {EntryFilter} [filter={}] - 过滤条件。
+	 * @returns {import('./entries.mjs').LogEntry[]} 命中条目（默认旧 → 新）。
+	 */
+	query(entries, filter = {}) {
+		const levels = toNameSet(filter.levels)
+		const methods = toNameSet(filter.methods)
+		/** @type {import('./entries.mjs').LogEntry[]} */
+		let candidates
+		if (levels || methods) {
+			let set = levels ? this.#union(this.#byLevel, levels) : null
+			if (methods) {
+				const byMethod = this.#union(this.#byMethod, methods)
+				set = set ? new Set([...set].filter(entry => byMethod.has(entry))) : byMethod
+			}
+			candidates = [...set].sort((a, b) => this.#ordinals.get(a) - this.#ordinals.get(b))
+		}
+		else candidates = [...entries]
+		if (filter.reverse) candidates.reverse()
+		const predicate = compileEntryFilter({ ...filter, levels: undefined, methods: undefined })
+		const limit = filter.limit ?? Infinity
+		const result = []
+		for (const entry of candidates) {
+			if (result.length >= limit) break
+			if (predicate(entry)) result.push(entry)
+		}
+		return result
+	}
+}
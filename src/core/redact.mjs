@@ -0,0 +1,120 @@
+/**
+ * 敏感信息脱敏（`redact` 选项）：在参数快照遍历、printf 文本、流文本与上下文字段中替换敏感值，
+ * 使 `toSegments` / `toJSON` / 线路载荷与各渲染结果都不含原值（原始 `args` 仍保留原值）。
+ */
+
+/** 文本中被替换部分，以及 `fields` / `%j` 中被脱敏值的占位文本。 */
+export const REDACTED_TEXT = '[REDACTED]'
+
+/**
+ * @typedef {object} RedactOptions
+ * @property {Array<string | RegExp>} [keys] - 属性名：字符串按不区分大小写全等匹配，正则测试属性名；命中的值整体脱敏。
+ * @property {string[]} [paths] - 自各参数根起的键路径（`.` 分隔，`*` 匹配任意单段，数组下标为数字段），如 `'db.password'`、`'users.*.token'`。
+ * @property {RegExp[]} [values] - 字符串正则：所有字符串（快照中的字符串值、消息文本、流文本）中命中的部分替换为 {@link REDACTED_TEXT}。
+ * @property {(value: unknown, path: string[]) => boolean} [test] - 自定义判定，返回 true 时该值整体脱敏；抛错时按命中处理。
+ */
+
+/**
+ * @typedef {object} Redactor
+ * @property {(value: unknown, path: string[]) => boolean} matches - 位于 `path` 的值是否整体脱敏（键名、路径或 `test`）。
+ * @property {(text: string) => string} redactText - 替换文本中命中 `values` 的部分。
+ */
+
+/** @type {WeakMap<object, Redactor>} 按 `redact` 选项对象缓存编译结果 */
+const compiledRedactors = new WeakMap()
+
+/**
+ * @param {RegExp} pattern - 正则（可能带 `g` / `y`）。
+ * @param {string} text - 被测文本。
+ * @returns {boolean} 是否命中（不受 `lastIndex` 残留影响）。
+ */
+function testPattern(pattern, text) {
+	pattern.lastIndex = 0
+	return pattern.test(text)
+}
+
+/**
+ * @param {RedactOptions} options - 脱敏规则。
+ * @returns {Redactor} 编译后的脱敏器。
+ */
+function buildRedactor({ keys = [], paths = [], values = [], test }) {
+	const keyNames = new Set(keys.filter(key => typeof key === 'string').map(key => key.toLowerCase()))
+	const keyPatterns = keys.filter(key => key instanceof RegExp)
+	const pathPatterns = paths.map(path => String(path).split('.'))
+	const valuePatterns = values.map(pattern => pattern.global ? pattern : new RegExp(pattern.source, pattern.flags + 'g'))
+	/**
+	 * @param {string[]} path - 当前键路径。
+	 * @returns {boolean} 是否命中某条 `paths` 规则。
+	 */
+	const matchesPath = path => pathPatterns.some(pattern =>
+		pattern.length === path.length && pattern.every((segment, index) => segment === '*' || segment === path[index])
+	)
+	return {
+		matches(value, path) {
+			const key = path.at(-1)
+			if (key !== undefined && (keyNames.has(key.toLowerCase()) || keyPatterns.some(pattern => testPattern(pattern, key))))
+				return true
+			if (matchesPath(path)) return true
+			if (!test) return false
+			try {
+				return Boolean(test(value, [...path]))
+			}
+			catch {
+				return true
+			}
+		},
+		redactText(text) {
+			for (const pattern of valuePatterns) text = text.replace(pattern, REDACTED_TEXT)
+			return text
+		},
+	}
+}
+
+/**
+ * 编译 `redact` 选项（同一选项对象只编译一次）。
+ * @param {RedactOptions | ((value: unknown, path: string[]) => boolean) | null | undefined} redact - 规则对象，或等同于 `{ test }` 的判定函数。
+ * @returns {Redactor | null} 未配置时为 null。
+ */
+export function compileRedactor(redact) {
+	if (!redact) return null
+	let redactor = compiledRedactors.get(redact)
+	if (!redactor) {
+		redactor = buildRedactor(typeof redact === 'function' ? { test: redact } : redact)
+		compiledRedactors.set(redact, redactor)
+	}
+	return redactor
+}
+
+/**
+ * 脱敏上下文字段（浅层）：命中的值替换为 {@link REDACTED_TEXT}，字符串值替换命中 `values` 的部分。
+ * @param {Record<string, unknown>} fields - 原字段。
+ * @param {Redactor | null} redactor - 脱敏器。
+ * @returns {Record<string, unknown>} 脱敏后的新对象；无脱敏器时原样返回。
+ */
+export function redactFields(fields, redactor) {
+	if (!redactor) return fields
+	const result = {}
+	for (const [key, value] of Object.entries(fields))
+		result[key] = redactor.matches(value, [key]) ? REDACTED_TEXT
+			: typeof value === 'string' ? redactor.redactText(value) : value
+	return result
+}
+
+/**
+ * 带脱敏的 `JSON.stringify`（printf `%j`）：命中的值替换为 {@link REDACTED_TEXT}。
+ * @param {unknown} value - 待序列化的值。
+ * @param {Redactor} redactor - 脱敏器。
+ * @param {string} [indent] - 缩进。
+ * @returns {string | undefined} JSON 文本（字符串中命中 `values` 的部分同样被替换）；同 `JSON.stringify`，不可序列化的值为 undefined。
+ */
+export function stringifyRedacted(value, redactor, indent) {
+	/** @type {WeakMap<object, string[]>} 容器 → 其键路径 */
+	const holderPaths = new WeakMap()
+	const json = JSON.stringify(value, function (key, child) {
+		const path = key === '' && !holderPaths.has(this) ? [] : [...holderPaths.get(this) ?? [], key]
+		if (redactor.matches(child, path)) return REDACTED_TEXT
+		if (child !== null && typeof child === 'object') holderPaths.set(child, path)
+		return child
+	}, indent)
+	return json === undefined ? json : redactor.redactText(json)
+}
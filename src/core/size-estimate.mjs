@@ -0,0 +1,53 @@
+/**
+ * 条目内存占用的粗略估算（供 `maxLogBytes` 保留策略使用）。
+ */
+
+/** 单次估算最多访问的值节点数，避免巨型对象拖慢写入路径。 */
+const NODE_BUDGET = 1000
+
+/** 对象 / 数组自身的固定开销估值。 */
+const OBJECT_OVERHEAD = 16
+
+/**
+ * @param {object} value - 容器值。
+ * @returns {unknown[]} 需继续估算的子值（不触发 getter）。
+ */
+function childValues(value) {
+	if (Array.isArray(value)) return value
+	if (value instanceof Map) return [...value].flat()
+	if (value instanceof Set) return [...value]
+	const children = []
+	for (const key of Object.keys(value)) {
+		const descriptor = Object.getOwnPropertyDescriptor(value, key)
+		children.push(key)
+		if (descriptor && 'value' in descriptor) children.push(descriptor.value)
+	}
+	return children
+}
+
+/**
+ * 估算一组值的字节数：字符串按 UTF-16 计，原始值计 8 字节，对象计固定开销并递归其子值；
+ * 同一对象只计一次，访问节点数超出预算后的部分忽略。
+ * @param {unknown[]} values - 待估算的值。
+ * @returns {number} 估算字节数。
+ */
+export function estimateBytes(values) {
+	const seen = new Set()
+	const pending = [...values]
+	let bytes = 0
+	for (let budget = NODE_BUDGET; pending.length && budget > 0; budget--) {
+		const value = pending.pop()
+		if (typeof value === 'string') bytes += value.length * 2
+		else if (!(value instanceof Object)) bytes += 8
+		else if (!seen.has(value)) {
+			seen.add(value)
+			bytes += OBJECT_OVERHEAD
+			if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) bytes += value.byteLength
+			else if (!(value instanceof Function)) for (const child of childValues(value)) {
+				if (pending.length >= budget) break
+				pending.push(child)
+			}
+		}
+	}
+	return bytes
+}
@@ -1,3 +1,4 @@
+import { createUniqueId } from './ids.mjs'
 import { parseErrorStack } from './stack.mjs'
 
 /**
@@ -29,7 +30,7 @@ export function resolvePrimaryCallsiteFromSegments(segments, stack) {
 
 /**
  * 惰性展开 ref → 弱引用条目与强引用截断对象。
- * @type {Map<string, { weakEntryRef: WeakRef<object>, strongTarget: object }>}
+ * @type {Map<string, { weakEntryRef: WeakRef<object>, strongTarget: object, path: string[] }>}
  */
 const expandRegistry = new Map()
 
@@ -53,14 +54,15 @@ const expandEntryFinalizer = new FinalizationRegistry((refs) => {
  * 为深度截断处的对象注册惰性展开槽位。
  * @param {object} entry - 所属日志条目，用于在淘汰时成批清理 ref。
  * @param {object} strongTarget - 截断边界对象（强引用钉住直至展开或条目淘汰）。
+ * @param {string[]} path - 截断对象自参数根起的键路径（展开时据此继续匹配 `redact` 路径规则）。
  * @returns {string} 客户端请求展开时使用的不透明 `ref`。
  */
-function registerExpandSlot(entry, strongTarget) {
-	const ref = globalThis.crypto?.randomUUID?.() ||
-		`r_${Date.now().toString(36)}_${Math.random().toString(36).slice(2)}`
+function registerExpandSlot(entry, strongTarget, path) {
+	const ref = createUniqueId('r')
 	expandRegistry.set(ref, {
 		weakEntryRef: new WeakRef(entry),
 		strongTarget,
+		path,
 	})
 	let set = entryToExpandRefs.get(entry)
 	if (!set) {
@@ -87,20 +89,22 @@ export function unregisterExpandRefsForEntry(entry) {
 }
 
 /**
- * 为单次序列化构造「可分配展开 ref」的上下文（与 {@link LogEntry} 生命周期绑定）。
+ * 为单次序列化构造「可分配展开 ref」的上下文（与 {@link LogEntry} 生命周期绑定），并携带条目的脱敏器。
  * @param {object} entry - 当前正在序列化的日志条目。
- * @returns {{ allocRef: (t: object) => string }} 提供 `allocRef` 以在截断处注册强引用目标。
+ * @returns {{ allocRef: (t: object, path?: string[]) => string, redactor: import('./redact.mjs').Redactor | null }} 提供 `allocRef` 以在截断处注册强引用目标。
  */
 export function createExpansionScope(entry) {
 	return {
 		/**
 		 * 在深度边界为对象注册可展开槽位并返回不透明 ref。
 		 * @param {object} target - 被截断替换为占位符的对象引用。
+		 * @param {string[]} [path=[]] - 被截断对象的键路径。
 		 * @returns {string} 新注册的展开 ref。
 		 */
-		allocRef(target) {
-			return registerExpandSlot(entry, target)
+		allocRef(target, path = []) {
+			return registerExpandSlot(entry, target, path)
 		},
+		redactor: entry.redactor ?? null,
 	}
 }
 
@@ -124,11 +128,12 @@ function truncationLabel(value) {
  * 在达到 `maxDepth` 时将对象折叠为 `truncated` 节点，可选注册展开槽。
  * @param {object} value - 当前深度的对象值。
  * @param {ReturnType<typeof createExpansionScope> | null} expansionScope - 若有则在对象上分配 ref；否则返回空 ref 占位。
+ * @param {string[]} path - 该对象的键路径（随 ref 保存）。
  * @returns {import('../shared.d.mts').ArgSnapshotTruncated} 始终为 `kind: 'truncated'` 的快照片段。
  */
-function truncateOrPlaceholder(value, expansionScope) {
+function truncateOrPlaceholder(value, expansionScope, path) {
 	if (expansionScope && value !== null && typeof value === 'object') {
-		const ref = expansionScope.allocRef(/** @type {object} */ value)
+		const ref = expansionScope.allocRef(/** @type {object} */ value, [...path])
 		return { kind: 'truncated', ref, label: truncationLabel(value) }
 	}
 	return { kind: 'truncated', ref: '', label: truncationLabel(value) }
@@ -138,6 +143,8 @@ function truncateOrPlaceholder(value, expansionScope) {
  * @typedef {object} SerializeArgSnapshotOptions
  * @property {number} [maxDepth=DEFAULT_SNAPSHOT_DEPTH]
  * @property {ReturnType<typeof createExpansionScope> | null} [expansionScope=null]
+ * @property {import('./redact.mjs').Redactor | null} [redactor] - 脱敏器；默认取 `expansionScope.redactor`。
+ * @property {string[]} [path=[]] - 根值的键路径（展开 ref 或表格单元格时非空），供 `redact` 路径规则匹配。
  */
 
 /**
@@ -146,6 +153,8 @@ function truncateOrPlaceholder(value, expansionScope) {
  * @property {Map<object, number> | undefined} circularRefs - 作为 `[Circular *N]` / `<ref *N>` 目标的对象 → 编号。
  * @property {number} maxDepth
  * @property {ReturnType<typeof createExpansionScope> | null} expansionScope
+ * @property {import('./redact.mjs').Redactor | null} redactor
+ * @property {string[]} path - 当前值自参数根起的键路径（DFS 中随进出子值增减）。
  */
 
 /**
@@ -196,7 +205,7 @@ export function expandSnapshotRef(ref, maxDepth = DEFAULT_SNAPSHOT_DEPTH) {
 		expandRegistry.delete(ref)
 		return { ok: false, error: 'entry_gone' }
 	}
-	const { strongTarget } = slot
+	const { strongTarget, path } = slot
 	expandRegistry.delete(ref)
 	const refsSet = entryToExpandRefs.get(entry)
 	refsSet?.delete(ref)
@@ -204,7 +213,7 @@ export function expandSnapshotRef(ref, maxDepth = DEFAULT_SNAPSHOT_DEPTH) {
 
 	const nestedScope = createExpansionScope(entry)
 	try {
-		const snapshot = serializeArgSnapshot(strongTarget, { maxDepth, expansionScope: nestedScope })
+		const snapshot = serializeArgSnapshot(strongTarget, { maxDepth, expansionScope: nestedScope, path })
 		return { ok: true, snapshot }
 	}
 	catch (error) {
@@ -336,13 +345,13 @@ function tryUnwrapForwardingProxy(value) {
  * 序列化对象的自有可枚举属性（按 `Object.keys` 顺序）。
  * 读取属性值时使用快照安全读取，避免触发抛错中断整个序列化。
  * @param {object} targetObject - 待收集属性的对象。
- * @param {(child: unknown) => import('../shared.d.mts').ArgSnapshot} serializeProperty - 子值序列化函数。
+ * @param {(child: unknown, key: string) => import('../shared.d.mts').ArgSnapshot} serializeProperty - 子值序列化函数。
  * @returns {Array<{ key: string; value: import('../shared.d.mts').ArgSnapshot }>} 键值快照列表。
  */
 function collectOwnEntries(targetObject, serializeProperty) {
 	const out = []
 	for (const key of Object.keys(targetObject))
-		out.push({ key, value: serializeProperty(getOwnPropertySnapshotValue(targetObject, key)) })
+		out.push({ key, value: serializeProperty(getOwnPropertySnapshotValue(targetObject, key), key) })
 	return out
 }
 
@@ -356,28 +365,38 @@ function collectOwnEntries(targetObject, serializeProperty) {
  * @returns {import('../shared.d.mts').ArgSnapshot} 子树快照。
  */
 function snapshotObjectByTag(value, tag, depth, walkContext, walk) {
-	const { maxDepth, expansionScope } = walkContext
+	const { maxDepth, expansionScope, redactor, path } = walkContext
 	/**
 	 * 对子值再走一层 `walk`。
 	 * @param {unknown} child - 子属性或元素值。
+	 * @param {string} [key] - 子值在键路径中的段；省略时（如 Map 的键）沿用当前路径。
 	 * @returns {import('../shared.d.mts').ArgSnapshot} 子快照。
 	 */
-	const serializeChild = child => walk(child, depth + 1, walkContext)
+	const serializeChild = (child, key) => {
+		if (key === undefined) return walk(child, depth + 1, walkContext)
+		path.push(key)
+		try {
+			return walk(child, depth + 1, walkContext)
+		}
+		finally {
+			path.pop()
+		}
+	}
 
 	if (depth >= maxDepth)
-		return truncateOrPlaceholder(/** @type {object} */ value, expansionScope)
+		return truncateOrPlaceholder(/** @type {object} */ value, expansionScope, path)
 
 	if (tag === '[object Error]') {
 		const err = /** @type {Error & Record<string, unknown>} */ value
 		const entries = []
 		for (const key of Object.keys(err))
 			if (!['stack', 'message', 'name'].includes(key))
-				entries.push({ key, value: serializeChild(getOwnPropertySnapshotValue(err, key)) })
+				entries.push({ key, value: serializeChild(getOwnPropertySnapshotValue(err, key), key) })
 		const stack = parseErrorStack(err)
 		return {
 			kind: 'Error',
 			name: err.name,
-			message: err.message,
+			message: redactor && typeof err.message === 'string' ? redactor.redactText(err.message) : err.message,
 			stack,
 			entries,
 		}
@@ -413,9 +432,9 @@ function snapshotObjectByTag(value, tag, depth, walkContext, walk) {
 		const map = /** @type {Map<unknown, unknown>} */ value
 		return {
 			kind: 'Map',
-			items: [...map.entries()].map(([key, val]) => ({
+			items: [...map.entries()].map(([key, val], index) => ({
 				key: serializeChild(key),
-				value: serializeChild(val),
+				value: serializeChild(val, key !== null && typeof key === 'object' ? String(index) : String(key)),
 			})),
 		}
 	}
@@ -424,12 +443,12 @@ function snapshotObjectByTag(value, tag, depth, walkContext, walk) {
 		const set = /** @type {Set<unknown>} */ value
 		return {
 			kind: 'Set',
-			items: [...set.values()].map(el => serializeChild(el)),
+			items: [...set.values()].map((el, index) => serializeChild(el, String(index))),
 		}
 	}
 
 	if (Array.isArray(value))
-		return { kind: 'array', items: value.map(item => serializeChild(item)) }
+		return { kind: 'array', items: value.map((item, index) => serializeChild(item, String(index))) }
 
 	const obj = /** @type {object} */ value
 	const entries = collectOwnEntries(obj, serializeChild)
@@ -440,16 +459,21 @@ function snapshotObjectByTag(value, tag, depth, walkContext, walk) {
 }
 
 /**
- * 深度优先序列化入口：原语、环检测与对象分派。
+ * 深度优先序列化入口：脱敏、原语、环检测与对象分派。
  * @param {unknown} value - 当前值。
  * @param {number} depth - 从根算起的深度。
- * @param {SerializeWalkContext} walkContext - 环检测、深度、展开。
+ * @param {SerializeWalkContext} walkContext - 环检测、深度、展开、脱敏。
  * @returns {import('../shared.d.mts').ArgSnapshot} 根快照。
  */
 function walk(value, depth, walkContext) {
+	const { redactor } = walkContext
+	if (redactor?.matches(value, walkContext.path))
+		return { kind: 'redacted' }
 	if (value === null)
 		return { kind: 'null', value: null }
 	const valueType = typeof value
+	if (valueType === 'string' && redactor)
+		return snapshotPrimitive(redactor.redactText(value), valueType)
 	if (valueType !== 'object')
 		return snapshotPrimitive(value, valueType)
 
@@ -483,13 +507,15 @@ function walk(value, depth, walkContext) {
 /**
  * 将任意值序列化为可 JSON 传输的快照（与 `renderPlain(buildArgsSegments(…))` / DevTools 风格展示对齐）。
  * @param {any} value - 原始值。
- * @param {SerializeArgSnapshotOptions} [options] - `maxDepth`、`expansionScope` 等。
+ * @param {SerializeArgSnapshotOptions} [options] - `maxDepth`、`expansionScope`、`redactor` 等。
  * @returns {import('../shared.d.mts').ArgSnapshot} 可 `JSON.stringify` 的快照树。
  */
 export function serializeArgSnapshot(value, options = {}) {
 	const {
 		maxDepth = DEFAULT_SNAPSHOT_DEPTH,
 		expansionScope = null,
+		redactor = expansionScope?.redactor ?? null,
+		path = [],
 	} = options
 	/** @type {SerializeWalkContext} */
 	const walkContext = {
@@ -497,6 +523,8 @@ export function serializeArgSnapshot(value, options = {}) {
 		circularRefs: undefined,
 		maxDepth,
 		expansionScope,
+		redactor,
+		path: [...path],
 	}
 	return walk(value, 0, walkContext)
 }
@@ -0,0 +1,87 @@
+import type { EntryFilter, LogEntry } from '../shared.d.mts'
+
+/** trace 关联 */
+export interface OtlpTraceContext {
+	/** 32 位十六进制 trace id */
+	traceId: string
+	/** 16 位十六进制 span id */
+	spanId: string
+	/** W3C trace flags（写入 `flags`） */
+	traceFlags?: number
+}
+
+export interface OtlpExporterOptions {
+	/** OTLP/HTTP 日志端点（如 `http://localhost:4318/v1/logs`） */
+	endpoint: string | URL
+	/** 额外的请求头（如认证） */
+	headers?: Record<string, string>
+	/** Resource 属性（如 `{ 'service.name': 'api' }`）。默认 `{}` */
+	resource?: Record<string, unknown>
+	/** InstrumentationScope。默认 `{ name: '@steve02081504/virtual-console' }` */
+	scope?: { name: string, version?: string }
+	/** 仅导出命中的条目（同 `addLogEntryListener` 的 `filter`） */
+	filter?: EntryFilter | ((entry: LogEntry) => boolean)
+	/** 读取 trace 关联，在记录方的异步上下文中调用；默认只取条目 `fields` 中的 `traceId` / `spanId`，不读取活动 span */
+	getTraceContext?: (entry: LogEntry) => OtlpTraceContext | null | undefined
+	/** 单次请求的最大记录数；积压达到该数时立即发送。默认 512 */
+	maxBatchSize?: number
+	/** 等待发送的最大记录数；超出时丢弃最旧的记录。默认 2048 */
+	maxQueueSize?: number
+	/** 新记录最多等待多少毫秒后发送。默认 1000 */
+	flushInterval?: number
+	/** 单次请求的超时（毫秒）。默认 10000 */
+	timeout?: number
+	/** 为 true 时在 `beforeExit` 发送积压的记录。默认 true */
+	flushOnExit?: boolean
+	/** 请求失败、采集端返回非 2xx 或记录映射失败时调用（该批记录被丢弃）；默认忽略 */
+	onError?: (error: unknown) => void
+}
+
+export interface OtlpExporter {
+	/** 发送全部积压的记录 */
+	flush(): Promise<void>
+	/** 取消订阅并发送积压的记录 */
+	close(): Promise<void>
+}
+
+/** OTLP `AnyValue`（proto3 JSON 映射） */
+export type OtlpAnyValue =
+	| { stringValue: string }
+	| { boolValue: boolean }
+	| { intValue: string }
+	| { doubleValue: number }
+	| { arrayValue: { values: OtlpAnyValue[] } }
+	| { kvlistValue: { values: { key: string, value: OtlpAnyValue }[] } }
+	| Record<string, never>
+
+/** OTel LogRecord（OTLP/JSON 形状） */
+export interface OtlpLogRecord {
+	timeUnixNano: string
+	observedTimeUnixNano: string
+	/** `debug` 5、`log` / `info` 9、`warn` 13、`error` 17；自定义级别为 0 */
+	severityNumber: number
+	/** 条目的 `level` */
+	severityText: string
+	/** `toPlainText()`（去掉末尾换行） */
+	body: { stringValue: string }
+	/** `fields` 与调用处的 `code.filepath` / `code.lineno` / `code.column` / `code.function` */
+	attributes: { key: string, value: OtlpAnyValue }[]
+	traceId?: string
+	spanId?: string
+	flags?: number
+}
+
+/** 将任意值转为 OTLP `AnyValue` */
+export declare function toOtlpAnyValue(value: unknown): OtlpAnyValue
+
+/** 将条目映射为 OTel LogRecord */
+export declare function toOtlpLogRecord(entry: LogEntry, traceContext?: OtlpTraceContext | null): OtlpLogRecord
+
+/** 将控制台的新条目按批以 OTLP/JSON POST 到采集端（仅 Node） */
+export declare function createOtlpExporter(
+	virtualConsole: {
+		addLogEntryListener(fn: (entry: LogEntry) => void, filter?: EntryFilter | ((entry: LogEntry) => boolean)): void
+		removeLogEntryListener(fn: (entry: LogEntry) => void): void
+	},
+	options: OtlpExporterOptions
+): OtlpExporter
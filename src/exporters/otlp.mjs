@@ -0,0 +1,259 @@
+/**
+ * OpenTelemetry 日志导出（仅 Node）：经 `addLogEntryListener` 将条目映射为 OTel LogRecord，按批以 OTLP/JSON POST 到采集端（如 `/v1/logs`）。
+ * trace 关联在条目写入时读取：条目监听器与记录调用同步执行，传入的 `getTraceContext` 因而运行在记录方的异步上下文中；
+ * 未传时只读条目 `fields`，不接触任何 tracing 库的上下文。
+ */
+
+import process from 'node:process'
+
+/**
+ * @typedef {object} OtlpTraceContext
+ * @property {string} traceId - 32 位十六进制 trace id。
+ * @property {string} spanId - 16 位十六进制 span id。
+ * @property {number} [traceFlags] - W3C trace flags（写入 `flags`）。
+ */
+
+/**
+ * @typedef {object} OtlpExporterOptions
+ * @property {string | URL} endpoint - OTLP/HTTP 日志端点（如 `http://localhost:4318/v1/logs`）。
+ * @property {Record<string, string>} [headers] - 额外的请求头（如认证）。
+ * @property {Record<string, unknown>} [resource={}] - Resource 属性（如 `{ 'service.name': 'api' }`）。
+ * @property {{ name: string, version?: string }} [scope] - InstrumentationScope；默认 `{ name: '@steve02081504/virtual-console' }`。
+ * @property {import('../core/query.mjs').EntryFilter | ((entry: import('../core/entries.mjs').LogEntry) => boolean)} [filter] - 仅导出命中的条目（同 `addLogEntryListener` 的 `filter`）。
+ * @property {(entry: import('../core/entries.mjs').LogEntry) => OtlpTraceContext | null | undefined} [getTraceContext] -
+ *   读取 trace 关联，在记录方的异步上下文中调用（如 `() => trace.getActiveSpan()?.spanContext()`）；
+ *   默认只取条目 `fields` 中的 `traceId` / `spanId`，不读取异步上下文中的活动 span。
+ * @property {number} [maxBatchSize=512] - 单次请求的最大记录数；积压达到该数时立即发送。
+ * @property {number} [maxQueueSize=2048] - 等待发送的最大记录数；超出时丢弃最旧的记录。
+ * @property {number} [flushInterval=1000] - 新记录最多等待多少毫秒后发送。
+ * @property {number} [timeout=10000] - 单次请求的超时（毫秒）。
+ * @property {boolean} [flushOnExit=true] - 为 true 时在 `beforeExit` 发送积压的记录。
+ * @property {(error: unknown) => void} [onError] - 请求失败、采集端返回非 2xx 或记录映射失败时调用；默认忽略（不写回控制台，以免自激）。该批记录被丢弃。
+ */
+
+/**
+ * @typedef {object} OtlpExporter
+ * @property {() => Promise<void>} flush - 发送全部积压的记录。
+ * @property {() => Promise<void>} close - 取消订阅并发送积压的记录。
+ */
+
+/** 默认 InstrumentationScope。 */
+const DEFAULT_SCOPE = { name: '@steve02081504/virtual-console' }
+
+/**
+ * 语义级别 → OTel SeverityNumber（`TRACE` 1、`DEBUG` 5、`INFO` 9、`WARN` 13、`ERROR` 17）；自定义级别为 0（UNSPECIFIED）。
+ * @type {Record<string, number>}
+ */
+const SEVERITY_NUMBERS = {
+	debug: 5,
+	log: 9,
+	info: 9,
+	warn: 13,
+	error: 17,
+}
+
+/**
+ * @param {import('../core/entries.mjs').LogEntry} entry - 条目。
+ * @returns {OtlpTraceContext | undefined} 条目 `fields` 中的 `traceId` / `spanId`（两者均为字符串时）。
+ */
+function traceContextFromFields(entry) {
+	const { traceId, spanId } = entry.fields ?? {}
+	if (typeof traceId === 'string' && typeof spanId === 'string') return { traceId, spanId }
+}
+
+/**
+ * 将任意值转为 OTLP `AnyValue`（proto3 JSON 映射：int64 为十进制字符串）。
+ * @param {unknown} value - 属性值。
+ * @param {WeakSet<object>} [seen] - 已访问的对象（防止循环引用）。
+ * @returns {Record<string, unknown>} `AnyValue`。
+ */
+export function toOtlpAnyValue(value, seen = new WeakSet()) {
+	switch (typeof value) {
+		case 'string': return { stringValue: value }
+		case 'boolean': return { boolValue: value }
+		case 'bigint': return { intValue: String(value) }
+		case 'number':
+			if (Number.isSafeInteger(value)) return { intValue: String(value) }
+			return Number.isFinite(value) ? { doubleValue: value } : { stringValue: String(value) }
+		case 'undefined': return {}
+		case 'object':
+			if (value === null) return {}
+			if (value instanceof Date) return { stringValue: value.toISOString() }
+			if (seen.has(value)) return { stringValue: '[Circular]' }
+			seen.add(value)
+			try {
+				if (Array.isArray(value)) return { arrayValue: { values: value.map(item => toOtlpAnyValue(item, seen)) } }
+				return { kvlistValue: { values: toOtlpAttributes(value, seen) } }
+			}
+			finally {
+				seen.delete(value)
+			}
+		default: return { stringValue: String(value) }
+	}
+}
+
+/**
+ * @param {Record<string, unknown>} object - 属性对象。
+ * @param {WeakSet<object>} [seen] - 已访问的对象。
+ * @returns {{ key: string, value: Record<string, unknown> }[]} OTLP `KeyValue` 列表（跳过值为 `undefined` 的键）。
+ */
+function toOtlpAttributes(object, seen) {
+	return Object.entries(object).filter(([, value]) => value !== undefined).map(([key, value]) => ({ key, value: toOtlpAnyValue(value, seen) }))
+}
+
+/**
+ * @param {number} milliseconds - Unix 时间戳（毫秒）。
+ * @returns {string} 纳秒时间戳（十进制字符串）。
+ */
+function toUnixNano(milliseconds) {
+	return String(BigInt(Math.trunc(milliseconds)) * 1_000_000n)
+}
+
+/**
+ * 将条目映射为 OTel LogRecord（OTLP/JSON 形状）：级别映射为 `severityNumber`，`severityText` 为条目的 `level`；
+ * `body` 为 `toPlainText()`（去掉末尾换行）；`attributes` 含 `fields` 与调用处的 `code.*` 属性。
+ * @param {import('../core/entries.mjs').LogEntry} entry - 条目。
+ * @param {OtlpTraceContext | null} [traceContext] - trace 关联。
+ * @returns {Record<string, unknown>} LogRecord。
+ */
+export function toOtlpLogRecord(entry, traceContext) {
+	const level = String(entry.level)
+	const callsite = entry.primaryCallsite
+	const attributes = toOtlpAttributes({
+		...entry.fields,
+		'code.filepath': callsite?.filePath || undefined,
+		'code.lineno': callsite?.line,
+		'code.column': callsite?.column,
+		'code.function': callsite?.functionName || undefined,
+	})
+	const timeUnixNano = toUnixNano(entry.timestamp ?? Date.now())
+	return {
+		timeUnixNano,
+		observedTimeUnixNano: timeUnixNano,
+		severityNumber: SEVERITY_NUMBERS[level] ?? 0,
+		severityText: level,
+		body: { stringValue: entry.toPlainText().replace(/\n$/, '') },
+		attributes,
+		...traceContext?.traceId && traceContext?.spanId ? {
+			traceId: traceContext.traceId,
+			spanId: traceContext.spanId,
+			flags: traceContext.traceFlags ?? 0,
+		} : {},
+	}
+}
+
+/**
+ * 将控制台的新条目按批导出到 OTLP/HTTP 采集端（JSON 编码）。
+ * 请求在同一异步队列中串行发送；发送失败的批次交给 `onError` 后丢弃，不重试。
+ * @param {{
+ *   addLogEntryListener: (fn: (entry: import('../core/entries.mjs').LogEntry) => void, filter?: OtlpExporterOptions['filter']) => void
+ *   removeLogEntryListener: (fn: (entry: import('../core/entries.mjs').LogEntry) => void) => void
+ * }} virtualConsole - 条目来源（通常为 `VirtualConsole`）。
+ * @param {OtlpExporterOptions} options - 端点与批处理选项。
+ * @returns {OtlpExporter} 导出句柄。
+ */
+export function createOtlpExporter(virtualConsole, options) {
+	const {
+		endpoint,
+		headers = {},
+		resource = {},
+		scope = DEFAULT_SCOPE,
+		filter,
+		getTraceContext = traceContextFromFields,
+		maxBatchSize = 512,
+		maxQueueSize = 2048,
+		flushInterval = 1000,
+		timeout = 10000,
+		flushOnExit = true,
+		onError = () => { },
+	} = options
+	if (!endpoint) throw new TypeError('vc_otlp_missing_endpoint')
+	const resourceAttributes = toOtlpAttributes(resource)
+	/** @type {Record<string, unknown>[]} 等待发送的 LogRecord */
+	let pending = []
+	/** @type {ReturnType<typeof setTimeout> | null} */
+	let timer = null
+	/** @type {Promise<void>} 串行化的请求队列 */
+	let queue = Promise.resolve()
+
+	/**
+	 * 将任务排入请求队列；失败交给 `onError`，不中断后续任务。
+	 * @param {() => Promise<void>} task - 请求任务。
+	 * @returns {Promise<void>} 该任务完成后兑现。
+	 */
+	const enqueue = task => queue = queue.then(task).catch(onError)
+
+	/**
+	 * @param {Record<string, unknown>[]} logRecords - 一批 LogRecord。
+	 * @returns {Promise<void>} 采集端以 2xx 应答后兑现。
+	 */
+	const send = async (logRecords) => {
+		const response = await fetch(endpoint, {
+			method: 'POST',
+			headers: { 'content-type': 'application/json', ...headers },
+			body: JSON.stringify({
+				resourceLogs: [{
+					resource: { attributes: resourceAttributes },
+					scopeLogs: [{ scope, logRecords }],
+				}],
+			}),
+			signal: AbortSignal.timeout(timeout),
+		})
+		await response.arrayBuffer()
+		if (!response.ok) throw new Error(`vc_otlp_export_failed: ${response.status}`)
+	}
+
+	/** @returns {Promise<void>} 按 `maxBatchSize` 分批发送积压的全部记录。 */
+	const drain = async () => {
+		while (pending.length) {
+			const batch = pending.splice(0, maxBatchSize)
+			await send(batch).catch(onError)
+		}
+	}
+
+	/** @returns {Promise<void>} */
+	const flush = () => {
+		if (timer) clearTimeout(timer)
+		timer = null
+		return enqueue(drain)
+	}
+
+	/**
+	 * @param {import('../core/entries.mjs').LogEntry} entry - 新条目。
+	 * @returns {void}
+	 */
+	const onEntry = (entry) => {
+		try {
+			pending.push(toOtlpLogRecord(entry, getTraceContext(entry)))
+		}
+		catch (error) {
+			return onError(error)
+		}
+		if (pending.length > maxQueueSize) pending.splice(0, pending.length - maxQueueSize)
+		if (pending.length >= maxBatchSize) flush()
+		else if (!timer) {
+			timer = setTimeout(flush, flushInterval)
+			timer.unref?.()
+		}
+	}
+	/** @returns {void} 事件循环将空时发送积压的记录（仅在有积压时，避免反复唤醒）。 */
+	const onBeforeExit = () => {
+		if (pending.length) flush()
+	}
+
+	virtualConsole.addLogEntryListener(onEntry, filter)
+	if (flushOnExit) process.on('beforeExit', onBeforeExit)
+
+	return {
+		flush,
+		/**
+		 * 取消订阅并发送积压的记录（幂等）。
+		 * @returns {Promise<void>} 积压的记录发送完毕后兑现。
+		 */
+		close() {
+			virtualConsole.removeLogEntryListener(onEntry)
+			process.off('beforeExit', onBeforeExit)
+			return flush()
+		},
+	}
+}
@@ -61,6 +61,60 @@ export function stripTerminalDecorations(text) {
 		.replace(/[\u200B-\u200D\uFEFF]/g, '')
 }
 
+/**
+ * @param {number} code - Unicode 码点。
+ * @returns {boolean} 是否为东亚全角 / 宽字符（含常见 emoji），在终端中占两列。
+ */
+function isFullWidthCodePoint(code) {
+	return code >= 0x1100 && (
+		code <= 0x115F || // Hangul Jamo
+		code === 0x2329 || code === 0x232A || // 尖括号
+		code >= 0x2E80 && code <= 0x3247 && code !== 0x303F || // CJK 部首 … 带圈字母
+		code >= 0x3250 && code <= 0x4DBF || // 带圈字母 … CJK 扩展 A
+		code >= 0x4E00 && code <= 0xA4C6 || // CJK 统一表意文字 … 彝文部首
+		code >= 0xA960 && code <= 0xA97C || // Hangul Jamo Extended-A
+		code >= 0xAC00 && code <= 0xD7A3 || // 谚文音节
+		code >= 0xF900 && code <= 0xFAFF || // CJK 兼容表意文字
+		code >= 0xFE10 && code <= 0xFE19 || // 竖排形式
+		code >= 0xFE30 && code <= 0xFE6B || // CJK 兼容形式 … 小写变体
+		code >= 0xFF01 && code <= 0xFF60 || code >= 0xFFE0 && code <= 0xFFE6 || // 全角字符
+		code >= 0x1B000 && code <= 0x1B001 || // 假名补充
+		code >= 0x1F200 && code <= 0x1F251 || // 带圈表意文字补充
+		code >= 0x1F300 && code <= 0x1F64F || // 杂项符号与象形文字、表情符号
+		code >= 0x20000 && code <= 0x3FFFD // CJK 扩展 B … 第三平面
+	)
+}
+
+/**
+ * @param {number} code - Unicode 码点。
+ * @returns {boolean} 是否为不占列的字符（控制符、组合附加符号、变体选择符等）。
+ */
+function isZeroWidthCodePoint(code) {
+	return code <= 0x1F ||
+		code >= 0x7F && code <= 0x9F ||
+		code >= 0x300 && code <= 0x36F ||
+		code >= 0x200B && code <= 0x200F ||
+		code >= 0x20D0 && code <= 0x20FF ||
+		code >= 0xFE00 && code <= 0xFE0F ||
+		code >= 0xFE20 && code <= 0xFE2F ||
+		code >= 0xE0100 && code <= 0xE01EF
+}
+
+/**
+ * 文本在终端中的显示列数（与 Node 内部 `getStringWidth` 的非 ICU 实现一致）：先剥离终端装饰，全角字符计 2 列，零宽字符计 0 列。
+ * @param {string} text - 原始文本（可含 ANSI）。
+ * @returns {number} 显示列数。
+ */
+export function getStringWidth(text) {
+	let width = 0
+	for (const char of stripTerminalDecorations(text).normalize('NFC')) {
+		const code = char.codePointAt(0)
+		if (isFullWidthCodePoint(code)) width += 2
+		else if (!isZeroWidthCodePoint(code)) width++
+	}
+	return width
+}
+
 /**
  * OSC 8 超链接（7-bit ESC），用于终端 ANSI 输出。
  * @param {string} href - 目标 URL（如 `file:///…`）。
@@ -0,0 +1,44 @@
+/**
+ * `console.timeLog` / `console.timeEnd` 的耗时文本（与 Node 内部 `formatTime` 一致）。
+ */
+
+const SECOND = 1000
+const MINUTE = 60 * SECOND
+const HOUR = 60 * MINUTE
+
+/**
+ * @param {number} value - 非负整数。
+ * @returns {string} 左侧补零到两位的文本。
+ */
+function pad(value) {
+	return `${value}`.padStart(2, '0')
+}
+
+/**
+ * 将毫秒数格式化为 Node 风格耗时：`12.345ms`、`1.500s`，满一分钟起为 `m:ss.mmm` / `h:mm:ss.mmm`。
+ * @param {number} ms - 耗时（毫秒）。
+ * @returns {string} 耗时文本。
+ */
+export function formatDuration(ms) {
+	let hours = 0
+	let minutes = 0
+	let seconds = 0
+	if (ms >= SECOND) {
+		if (ms >= MINUTE) {
+			if (ms >= HOUR) {
+				hours = Math.floor(ms / HOUR)
+				ms %= HOUR
+			}
+			minutes = Math.floor(ms / MINUTE)
+			ms %= MINUTE
+		}
+		seconds = ms / SECOND
+	}
+	if (hours || minutes) {
+		const [wholeSeconds, millis] = seconds.toFixed(3).split('.')
+		const head = hours ? `${hours}:${pad(minutes)}` : minutes
+		return `${head}:${pad(wholeSeconds)}.${millis} (${hours ? 'h:m' : ''}m:ss.mmm)`
+	}
+	if (seconds) return `${seconds.toFixed(3)}s`
+	return `${Number(ms.toFixed(3))}ms`
+}
@@ -0,0 +1,168 @@
+/**
+ * 确定性的“金标准”快照序列化：把一次捕获转为可直接提交进仓库、跨机器与多次运行保持一致的文本 / JSON，
+ * 供快照测试比对。时间戳、绝对路径、全局唯一 id 与展开引用等每次运行都会变化的部分均被替换。
+ */
+
+import { pathToFileURL } from '../core/stack.mjs'
+
+import { stripTerminalDecorations } from './ansi.mjs'
+import { renderAnsi, renderPlain } from './render.mjs'
+
+/**
+ * @typedef {object} GoldenSnapshotOptions
+ * @property {string} [rootDir] - 项目根目录；所有字符串（含栈帧路径、Error 栈）中该前缀及其 `file:` URL 形式
+ *   会被去掉，得到项目相对路径。默认 Node 下为 `process.cwd()`、浏览器下为 `location.origin`；传空串则不替换。
+ * @property {boolean} [timestamps=false] - 为 `true` 时 `timestamp` 替换为相对首个条目的毫秒偏移；默认省略，
+ *   因为偏移含调度抖动，同一捕获多次运行也可能不同。条目顺序由 `seq` 体现。
+ * @property {boolean} [stripAnsi=false] - 为 `true` 时剥除所有字符串中的 ANSI / OSC 转义（文本格式改用纯文本渲染）。
+ * @property {boolean} [sortKeys=false] - 为 `true` 时对象键与对象快照的 `entries` 按键名排序。
+ * @property {'none' | 'project' | 'full'} [stacks='none'] - 条目调用栈与 Error 快照栈的处理：`'none'` 省略条目的 `stack` 并清空 Error 栈；
+ *   `'project'` 只保留项目相对路径的帧（去掉 `node:` 内置、`node_modules` 与 `rootDir` 之外的帧），且不含列号；`'full'` 保留完整的栈。
+ *   调用栈含调用处行号与运行时内部帧，随调用位置与 Node 版本变化，因此默认省略。
+ */
+
+/**
+ * @typedef {GoldenSnapshotOptions & { format?: 'text' | 'json' }} GoldenTextOptions
+ * `format` 默认为 `'text'`（每条一行头部加渲染正文）；`'json'` 输出规范化条目数组的缩进 JSON。
+ */
+
+/** 直接写流的方法：原样输出，不按分组缩进、不带 `prefix`。 */
+const STREAM_METHODS = new Set(['stdout', 'stderr'])
+
+/**
+ * @returns {string} 当前环境下的默认项目根目录（无法确定时为空串）。
+ */
+function defaultRootDir() {
+	return globalThis.process?.cwd?.() ?? globalThis.location?.origin ?? ''
+}
+
+/**
+ * 生成把 `rootDir` 前缀（路径与 `file:` URL 两种形式）替换为项目相对路径的函数。
+ * @param {string} rootDir - 项目根目录。
+ * @returns {(text: string) => string} 路径替换函数；`rootDir` 为空时原样返回。
+ */
+function createPathRelativizer(rootDir) {
+	if (!rootDir) return text => text
+	const base = rootDir.replace(/[\\/]+$/, '')
+	const prefixes = [...new Set([
+		pathToFileURL(base) + '/',
+		base + '/',
+		base + '\\',
+	])]
+	return text => {
+		for (const prefix of prefixes) text = text.split(prefix).join('')
+		return text
+	}
+}
+
+/**
+ * @param {string} filePath - 已去掉 `rootDir` 前缀的路径。
+ * @returns {boolean} 是否为项目内的相对路径（非 `node:` / URL / 绝对路径，且不在 `node_modules` 中）。
+ */
+function isProjectPath(filePath) {
+	return !!filePath && !/^(?:[a-z][\w+.-]*:|[\\/])/i.test(filePath) && !/(?:^|[\\/])node_modules[\\/]/.test(filePath)
+}
+
+/**
+ * 生成按 `stacks` 选项处理栈帧数组的函数。
+ * @param {GoldenSnapshotOptions['stacks']} stacks - 栈处理方式。
+ * @param {(text: string) => string} relativize - 路径替换函数。
+ * @returns {(frames: import('../shared.d.mts').StackFrame[]) => import('../shared.d.mts').StackFrame[]} 栈帧处理函数。
+ */
+function createStackNormalizer(stacks, relativize) {
+	if (stacks === 'full') return frames => frames
+	if (stacks !== 'project') return () => []
+	return frames => frames.flatMap(frame => {
+		const filePath = relativize(frame?.filePath ?? '')
+		if (!isProjectPath(filePath)) return []
+		const functionName = frame.functionName ?? ''
+		const location = `${filePath}:${frame.line}`
+		return [{ functionName, filePath, line: frame.line, raw: `    at ${functionName ? `${functionName} (${location})` : location}` }]
+	})
+}
+
+/**
+ * 将条目规范化为确定性的 JSON 友好对象：
+ * - `id` 替换为 `<id N>`（N 为条目在数组中的位置），`seq` 改为相对首个条目的差值；
+ * - `timestamp` / `lastTimestamp` 默认省略，`timestamps: true` 时改为相对首个条目的毫秒偏移；
+ * - 字符串中的 `rootDir` 前缀被去掉（栈帧 `filePath` / `raw`、Error 栈等均变为项目相对路径）；
+ * - 调用栈与 Error 快照栈按 `stacks` 选项省略、只保留项目帧或原样保留；
+ * - 展开引用 `ref` 按首次出现顺序替换为 `<ref N>`；
+ * - 按选项剥除 ANSI、排序对象键。
+ * @param {Iterable<import('../core/entries.mjs').LogEntry | import('../wire/wire-log-entry.mjs').WireLogEntry>} entries - 条目（如 `vc.outputEntries`）。
+ * @param {GoldenSnapshotOptions} [options={}] - 规范化选项。
+ * @returns {Record<string, unknown>[]} 规范化后的条目对象（含 `level`）。
+ */
+export function normalizeEntriesForSnapshot(entries, options = {}) {
+	const { timestamps = false, stripAnsi = false, sortKeys = false, stacks = 'none' } = options
+	const relativize = createPathRelativizer(options.rootDir ?? defaultRootDir())
+	const normalizeStack = createStackNormalizer(stacks, relativize)
+	/** @type {Map<string, string>} */
+	const refs = new Map()
+	/**
+	 * @param {unknown} value - JSON 友好值。
+	 * @param {string} [key] - 所在属性名。
+	 * @returns {unknown} 规范化后的值。
+	 */
+	const normalize = (value, key) => {
+		if (typeof value === 'string') {
+			if (key === 'ref' && value) {
+				if (!refs.has(value)) refs.set(value, `<ref ${refs.size}>`)
+				return refs.get(value)
+			}
+			value = relativize(value)
+			return stripAnsi ? stripTerminalDecorations(value) : value
+		}
+		if (Array.isArray(value)) {
+			if (key === 'stack') value = normalizeStack(value)
+			const items = value.map(item => normalize(item))
+			if (sortKeys && key === 'entries' && items.every(item => typeof item?.key === 'string'))
+				items.sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : 0)
+			return items
+		}
+		if (!(value instanceof Object)) return value
+		const keys = Object.keys(value)
+		if (sortKeys) keys.sort()
+		const result = {}
+		for (const name of keys) result[name] = normalize(value[name], name)
+		return result
+	}
+	const list = [...entries]
+	const first = list[0]
+	return list.map((entry, index) => {
+		const { id, seq, timestamp, lastTimestamp, ...rest } = entry.toJSON()
+		if (stacks === 'none') delete rest.stack
+		const head = {
+			id: `<id ${index}>`,
+			seq: seq == null || first.seq == null ? null : seq - first.seq,
+			level: entry.level,
+		}
+		if (timestamps) {
+			head.timestamp = timestamp - first.timestamp
+			if (lastTimestamp !== undefined) rest.lastTimestamp = lastTimestamp - first.timestamp
+		}
+		return normalize({ ...head, ...rest })
+	})
+}
+
+/**
+ * 将条目序列化为确定性的快照文本。
+ * 文本格式下每条为 `[level]`（`method` 与 `level` 不同时为 `level/method`；`timestamps: true` 时为 `[+偏移ms level]`）加渲染后的正文，
+ * 正文不以换行结尾时补一个换行；`stripAnsi` 为 false 时正文为着色 ANSI（不受运行环境是否支持颜色影响）。
+ * @param {Iterable<import('../core/entries.mjs').LogEntry | import('../wire/wire-log-entry.mjs').WireLogEntry>} entries - 条目（如 `vc.outputEntries`）。
+ * @param {GoldenTextOptions} [options={}] - 格式与规范化选项。
+ * @returns {string} 快照文本。
+ */
+export function formatGoldenText(entries, options = {}) {
+	const normalized = normalizeEntriesForSnapshot(entries, options)
+	if (options.format === 'json') return JSON.stringify(normalized, null, '\t') + '\n'
+	const render = options.stripAnsi ? renderPlain : renderAnsi
+	return normalized.map(entry => {
+		const kind = entry.method === entry.level ? entry.level : `${entry.level}/${entry.method}`
+		const head = entry.timestamp === undefined ? `[${kind}] ` : `[+${entry.timestamp}ms ${kind}] `
+		const body = STREAM_METHODS.has(entry.method)
+			? render(entry.segments, { repeatCount: entry.repeatCount })
+			: render(entry.segments, { groupDepth: entry.groupDepth, prefix: entry.prefix, repeatCount: entry.repeatCount })
+		return head + (body.endsWith('\n') ? body : body + '\n')
+	}).join('')
+}
@@ -0,0 +1,134 @@
+/**
+ * 独立 HTML 报告：将一次捕获渲染为单个自包含的 HTML 文件（内联样式与脚本），供 CI 产物与问题报告使用。
+ * 正文由 {@link renderHtml} 渲染各条目的 `toSegments()`，因此进程内、线路与离线条目均可使用。
+ */
+
+import { stackFrameToOsc8Href } from '../core/stack.mjs'
+
+import { escapeHtml } from './ansi.mjs'
+import { renderHtml, renderPlain } from './render.mjs'
+
+/**
+ * @typedef {object} HtmlReportOptions
+ * @property {string} [title='Console capture'] - 文档标题与页眉。
+ * @property {'auto' | 'light' | 'dark'} [theme='auto'] - 配色；`auto` 跟随 `prefers-color-scheme`。
+ * @property {(frame: import('../shared.d.mts').StackFrame) => string | undefined} [resolveHref] -
+ *   调用处与 trace 栈帧的链接地址；未提供或返回假值时使用 `file:` / `http(s):` URL（带 `:line:column`）。
+ */
+
+/** 直接写流的方法：不按分组缩进、不带 `prefix`。 */
+const STREAM_METHODS = new Set(['stdout', 'stderr'])
+
+/** 报告样式：`light` / `dark` 两套配色变量，`auto` 时由媒体查询选择。 */
+const REPORT_STYLE = `
+:root{--bg:#fff;--fg:#1f2328;--muted:#656d76;--border:#d0d7de;--row:#f6f8fa;--log:#57606a;--info:#0969da;--debug:#8250df;--warn:#9a6700;--error:#cf222e}
+.theme-dark{--bg:#0d1117;--fg:#e6edf3;--muted:#8b949e;--border:#30363d;--row:#161b22;--log:#8b949e;--info:#58a6ff;--debug:#d2a8ff;--warn:#d29922;--error:#f85149}
+@media (prefers-color-scheme:dark){.theme-auto{--bg:#0d1117;--fg:#e6edf3;--muted:#8b949e;--border:#30363d;--row:#161b22;--log:#8b949e;--info:#58a6ff;--debug:#d2a8ff;--warn:#d29922;--error:#f85149}}
+body{margin:0;background:var(--bg);color:var(--fg);font:13px/1.5 ui-monospace,SFMono-Regular,Menlo,Consolas,monospace}
+header{position:sticky;top:0;background:var(--bg);border-bottom:1px solid var(--border);padding:8px 16px}
+h1{font-size:16px;margin:0 0 4px}h2{font-size:14px;margin:16px}
+.controls{display:flex;flex-wrap:wrap;gap:12px;align-items:center;color:var(--muted)}
+.controls input[type=search]{flex:1;min-width:200px;font:inherit;padding:2px 6px;background:var(--bg);color:var(--fg);border:1px solid var(--border)}
+.entry{display:flex;gap:8px;align-items:baseline;padding:2px 16px;border-bottom:1px solid var(--row)}
+.entry:hover{background:var(--row)}
+.entry[hidden]{display:none}
+.time{color:var(--muted);white-space:nowrap}
+.badge{display:inline-block;min-width:44px;text-align:center;border-radius:3px;padding:0 4px;color:var(--bg);background:var(--log);font-size:11px;text-transform:uppercase}
+.level-info .badge{background:var(--info)}.level-debug .badge{background:var(--debug)}.level-warn .badge{background:var(--warn)}.level-error .badge{background:var(--error)}
+.body{flex:1;white-space:pre-wrap;word-break:break-word}
+.callsite,.stack-link{color:var(--muted);white-space:nowrap}
+#traces .entry{flex-direction:column}
+`
+
+/** 过滤脚本：按勾选的级别与搜索文本（不区分大小写）切换 `.entry[data-level]` 的 `hidden`。 */
+const REPORT_SCRIPT = `
+(() => {
+	const search = document.getElementById('vc-search')
+	const boxes = [...document.querySelectorAll('[data-level-filter]')]
+	const apply = () => {
+		const levels = new Set(boxes.filter(box => box.checked).map(box => box.dataset.levelFilter))
+		const query = search.value.toLowerCase()
+		for (const entry of document.querySelectorAll('.entry'))
+			entry.hidden = !levels.has(entry.dataset.level) || !entry.dataset.text.includes(query)
+	}
+	search.addEventListener('input', apply)
+	for (const box of boxes) box.addEventListener('change', apply)
+})()
+`
+
+/**
+ * @param {number | undefined} timestamp - Unix 时间戳（毫秒）。
+ * @returns {string} `<time>` 元素；无时间戳时为空串。
+ */
+function timeHtml(timestamp) {
+	if (!Number.isFinite(timestamp)) return ''
+	const iso = new Date(timestamp).toISOString()
+	return `<time class="time" datetime="${iso}" title="${iso}">${iso.slice(11, 23)}</time>`
+}
+
+/**
+ * @param {import('../shared.d.mts').StackFrame | null} frame - 调用处。
+ * @param {HtmlReportOptions['resolveHref']} resolveHref - 自定义链接。
+ * @returns {string} 调用处链接；无路径时为空串。
+ */
+function callsiteHtml(frame, resolveHref) {
+	if (!frame?.filePath) return ''
+	const location = `${frame.filePath}:${frame.line}:${frame.column}`
+	const label = escapeHtml(`${frame.filePath.split(/[\\/]/).at(-1)}:${frame.line}`)
+	const href = resolveHref?.(frame) || stackFrameToOsc8Href(frame)
+	if (!href) return `<span class="callsite" title="${escapeHtml(location)}">${label}</span>`
+	return `<a class="callsite" href="${escapeHtml(href)}" title="${escapeHtml(location)}">${label}</a>`
+}
+
+/**
+ * 将条目渲染为独立 HTML 报告：页眉含级别勾选框与文本搜索（内联脚本过滤），每条带时间、级别徽标、正文与调用处链接；
+ * `trace` 条目的调用栈集中在末尾的 Traces 区块，正文行链接到对应栈。
+ * @param {Iterable<import('../core/entries.mjs').LogEntry | import('../wire/wire-log-entry.mjs').WireLogEntry>} entries - 条目（如 `vc.outputEntries`）。
+ * @param {HtmlReportOptions} [options={}] - 标题、配色与链接选项。
+ * @returns {string} 完整的 HTML 文档。
+ */
+export function renderHtmlReport(entries, options = {}) {
+	const { title = 'Console capture', theme = 'auto', resolveHref } = options
+	const rows = []
+	const traces = []
+	/** @type {Map<string, number>} 级别 → 条目数 */
+	const levelCounts = new Map()
+	for (const entry of entries) {
+		const segments = entry.toSegments?.() ?? entry.segments ?? []
+		const isStream = STREAM_METHODS.has(entry.method)
+		const renderOptions = {
+			prefix: isStream ? '' : entry.prefix,
+			repeatCount: entry.repeatCount,
+		}
+		const level = String(entry.level)
+		levelCounts.set(level, (levelCounts.get(level) ?? 0) + 1)
+		const message = segments.filter(segment => segment.kind !== 'trace')
+		const text = renderPlain(message, renderOptions).trim().toLowerCase()
+		const body = renderHtml(message, { ...renderOptions, supportsAnsi: entry.supportsAnsi }).replace(/<br\/>$/, '')
+		const indent = isStream ? 0 : entry.groupDepth ?? 0
+		const head = `<div class="entry level-${escapeHtml(level)}" data-level="${escapeHtml(level)}" data-text="${escapeHtml(text)}"${indent ? ` style="padding-left:${16 + indent * 24}px"` : ''}>`
+			+ timeHtml(entry.timestamp)
+			+ `<span class="badge">${escapeHtml(level)}</span>`
+		let stackLink = ''
+		if (segments.some(segment => segment.kind === 'trace')) {
+			const id = `trace-${traces.length}`
+			stackLink = `<a class="stack-link" href="#${id}">stack ↓</a>`
+			const stackHtml = renderHtml(segments, { ...renderOptions, supportsAnsi: entry.supportsAnsi, resolveTraceFrameHref: resolveHref })
+			traces.push(`<div class="entry level-${escapeHtml(level)}" id="${id}" data-level="${escapeHtml(level)}" data-text="${escapeHtml(text)}">`
+				+ `<div>${timeHtml(entry.timestamp)} <span class="badge">${escapeHtml(level)}</span></div>`
+				+ `<div class="body">${stackHtml}</div></div>`)
+		}
+		rows.push(`${head}<div class="body">${body}</div>${stackLink}${callsiteHtml(entry.primaryCallsite, resolveHref)}</div>`)
+	}
+	const levelFilters = [...levelCounts].map(([level, count]) =>
+		`<label><input type="checkbox" data-level-filter="${escapeHtml(level)}" checked> ${escapeHtml(level)} (${count})</label>`
+	).join('')
+	return '<!DOCTYPE html>\n'
+		+ `<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">`
+		+ `<title>${escapeHtml(title)}</title><style>${REPORT_STYLE}</style></head>\n`
+		+ `<body class="theme-${escapeHtml(theme)}"><header><h1>${escapeHtml(title)}</h1>`
+		+ `<div class="controls">${levelFilters}<input type="search" id="vc-search" placeholder="Filter text" aria-label="Filter text"></div></header>\n`
+		+ `<main id="entries">\n${rows.join('\n')}\n</main>\n`
+		+ (traces.length ? `<section id="traces"><h2>Traces</h2>\n${traces.join('\n')}\n</section>\n` : '')
+		+ `<script>${REPORT_SCRIPT}</script>\n</body></html>\n`
+}
@@ -12,23 +12,33 @@ import {
 	formatSnapshotPlain,
 	resolveValueRenderOptions
 } from './snapshot-display.mjs'
+import { renderTableHtml, renderTableText } from './table.mjs'
 
 /**
  * @typedef {object} RenderHtmlOptions
  * @property {string} [traceStackWrapperStyle] - 包裹 trace 栈块的 `style` 属性值。
  * @property {string} [traceStackLinkStyle] - trace 栈内链接的 `style`。
+ * @property {string} [tableStyle] - `table` 片段 `<table>` 的 `style` 属性值。
  * @property {boolean} [omitPrintfCss=false] - 为 `true` 时忽略 `css` 片段的 `span` 包裹。
  * @property {boolean} [supportsAnsi=true] - 是否按条目能力为 `value` 生成着色 ANSI 再转 HTML。
  * @property {string} [indent='\t'] - 多行结构缩进单元。
  * @property {number} [maxDepth=Infinity] - 值快照最大展开深度（与 `dirOptions.depth` 取较小值）。
  * @property {(frame: import('../shared.d.mts').StackFrame) => string | undefined} [resolveTraceFrameHref] -
  *   若返回非空字符串则用作该帧 `<a href>`；未提供或返回假值时回退到内置 `file:` URL 逻辑。
+ * @property {string} [prefix] - 同 {@link RenderPlainOptions}。
+ * @property {Record<string, unknown>} [fields] - 同 {@link RenderPlainOptions}。
+ * @property {number} [repeatCount=1] - 同 {@link RenderPlainOptions}。
  */
 
 /**
  * @typedef {object} RenderPlainOptions
  * @property {string} [indent='\t'] - 多行结构缩进单元。
  * @property {number} [maxDepth=Infinity] - 值快照最大展开深度（与 `dirOptions.depth` 取较小值）。
+ * @property {number} [groupDepth=0] - `console.group` 嵌套深度；每行按 `groupDepth * groupIndentation` 个空格缩进。
+ * @property {number} [groupIndentation=2] - 每层分组的缩进空格数（同 Node `Console` 的 `groupIndentation`）。
+ * @property {string} [prefix] - 正文前的行首标签（如子控制台的 `prefix`），与正文以空格分隔。
+ * @property {Record<string, unknown>} [fields] - 需要展示的上下文字段；以 `key=value` 形式接在 `prefix` 之后。
+ * @property {number} [repeatCount=1] - 折叠的重复次数；大于 1 时在正文末尾（换行前）追加 `(×N)`。
  */
 
 /**
@@ -37,8 +47,53 @@ import {
  * @property {boolean} [omitPrintfCss=false] - 为 `true` 时不把 `%c` 样式映射为 ANSI 真彩色。
  * @property {string} [indent='\t'] - 多行结构缩进单元。
  * @property {number} [maxDepth=Infinity] - 值快照最大展开深度（与 `dirOptions.depth` 取较小值）。
+ * @property {number} [groupDepth=0] - 同 {@link RenderPlainOptions}。
+ * @property {number} [groupIndentation=2] - 同 {@link RenderPlainOptions}。
+ * @property {string} [prefix] - 同 {@link RenderPlainOptions}。
+ * @property {Record<string, unknown>} [fields] - 同 {@link RenderPlainOptions}。
+ * @property {number} [repeatCount=1] - 同 {@link RenderPlainOptions}。
  */
 
+/**
+ * 在正文末尾的换行（若有）之前插入重复次数后缀。
+ * @param {string} text - 已渲染正文。
+ * @param {number | undefined} repeatCount - 重复次数；不大于 1 时原样返回。
+ * @param {(label: string) => string} [decorate] - 包装 `(×N)` 标签（着色 / HTML）。
+ * @param {string} [lineEnd='\n'] - 正文末尾的换行标记。
+ * @returns {string} 追加后缀后的正文。
+ */
+export function appendRepeatSuffix(text, repeatCount, decorate = label => label, lineEnd = '\n') {
+	if (!(repeatCount > 1)) return text
+	const suffix = ' ' + decorate(`(×${repeatCount})`)
+	return text.endsWith(lineEnd) ? text.slice(0, -lineEnd.length) + suffix + lineEnd : text + suffix
+}
+
+/**
+ * 由 `prefix` 与 `fields` 组成正文前的行首标签（带尾随空格）。
+ * @param {{ prefix?: string, fields?: Record<string, unknown> }} options - 渲染选项。
+ * @returns {string} 行首文本；两者皆空时为空串。
+ */
+function formatLineHead({ prefix, fields }) {
+	const parts = prefix ? [String(prefix)] : []
+	for (const [key, value] of Object.entries(fields ?? {}))
+		parts.push(`${key}=${value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value)}`)
+	return parts.length ? parts.join(' ') + ' ' : ''
+}
+
+/**
+ * 与 Node `Console` 的分组缩进一致：每行（含多行值的续行）加前缀，末尾换行保持在最后。
+ * @param {string} text - 已渲染文本。
+ * @param {{ groupDepth?: number, groupIndentation?: number }} options - 分组深度与缩进宽度。
+ * @returns {string} 缩进后的文本；深度为 0 或文本为空时原样返回。
+ */
+function indentGroupText(text, { groupDepth = 0, groupIndentation = 2 }) {
+	if (!groupDepth || !text) return text
+	const prefix = ' '.repeat(groupDepth * groupIndentation)
+	const trailingNewline = text.endsWith('\n')
+	const body = trailingNewline ? text.slice(0, -1) : text
+	return prefix + body.replaceAll('\n', '\n' + prefix) + (trailingNewline ? '\n' : '')
+}
+
 /**
  * @param {import('../shared.d.mts').LogSegment} segment - `kind: 'trace'`。
  * @param {RenderHtmlOptions} renderContext - HTML 选项。
@@ -99,7 +154,8 @@ export function renderHtml(segments, htmlOptions = {}) {
 	const indent = htmlOptions.indent ?? '\t'
 	const maxDepth = htmlOptions.maxDepth ?? Infinity
 	let spanOpen = false
-	const parts = []
+	const lineHead = formatLineHead(htmlOptions)
+	const parts = lineHead ? [terminalChunkToHtml(lineHead)] : []
 	/**
 	 * 若存在由 `css` 片段打开且尚未闭合的 `span`，则追加 `</span>` 并清除打开状态。
 	 * @returns {void}
@@ -134,10 +190,13 @@ export function renderHtml(segments, htmlOptions = {}) {
 
 		else if (segment.kind === 'trace')
 			parts.push(traceStackHtml(segment, htmlOptions))
+
+		else if (segment.kind === 'table')
+			parts.push(renderTableHtml(segment, snapshot => formatSnapshotAnsi(snapshot, { indent, colorize: supportsAnsi }), htmlOptions.tableStyle))
 	}
 
 	closeSpan()
-	return parts.join('')
+	return appendRepeatSuffix(parts.join(''), htmlOptions.repeatCount, label => `<span style="opacity:0.6">${label}</span>`, '<br/>')
 }
 
 /**
@@ -158,8 +217,10 @@ export function renderPlain(segments, plainOptions = {}) {
 			parts.push(renderValueSegment(segment, { indent, maxDepth }, 'plain'))
 		else if (segment.kind === 'trace')
 			parts.push(renderTraceRaw(segment))
+		else if (segment.kind === 'table')
+			parts.push(renderTableText(segment, snapshot => formatSnapshotPlain(snapshot, { indent })))
 	}
-	return parts.join('')
+	return indentGroupText(appendRepeatSuffix(formatLineHead(plainOptions) + parts.join(''), plainOptions.repeatCount), plainOptions)
 }
 
 /**
@@ -207,6 +268,39 @@ export function renderAnsi(segments, ansiOptions = {}) {
 				: renderTraceRaw(segment)
 			parts.push(wrapPrintfStyle(inner))
 		}
+		else if (segment.kind === 'table')
+			parts.push(renderTableText(segment, snapshot => formatSnapshotAnsi(snapshot, { indent, colorize: baseColorize })))
+	}
+	const repeatLabel = baseColorize ? label => `\x1b[90m${label}\x1b[0m` : undefined
+	return indentGroupText(appendRepeatSuffix(formatLineHead(ansiOptions) + parts.join(''), ansiOptions.repeatCount, repeatLabel), ansiOptions)
+}
+
+/**
+ * @typedef {object} GroupedHtmlItem
+ * @property {string} html - 单条已渲染 HTML（如 `entry.toHtml()`）。
+ * @property {string} [method] - 条目方法名；`group` / `groupCollapsed` 视为组头。
+ * @property {number} [groupDepth=0] - 条目所在分组深度。
+ */
+
+/**
+ * 按条目的 `groupDepth` 将逐条 HTML 嵌套为可折叠的 `<details>`：组头成为 `<summary>`，
+ * `groupCollapsed` 默认折叠，其余组默认展开。缓冲被截断（组头已淘汰）时按深度差补齐无标题分组。
+ * @param {GroupedHtmlItem[]} items - 按时间顺序排列的条目 HTML。
+ * @returns {string} 拼接后的 HTML；无分组时等同于直接拼接各条 `html`。
+ */
+export function renderGroupedHtml(items) {
+	const parts = []
+	let openDepth = 0
+	for (const { html, method, groupDepth = 0 } of items) {
+		for (; openDepth > groupDepth; openDepth--) parts.push('</details>')
+		for (; openDepth < groupDepth; openDepth++) parts.push('<details open><summary></summary>')
+		if (method === 'group' || method === 'groupCollapsed') {
+			const summary = html.replace(/<br\/>\n?$/, '') || escapeHtml(`console.${method}`)
+			parts.push(`<details${method === 'group' ? ' open' : ''}><summary>${summary}</summary>`)
+			openDepth++
+		}
+		else parts.push(html)
 	}
+	for (; openDepth > 0; openDepth--) parts.push('</details>')
 	return parts.join('')
 }
@@ -2,6 +2,7 @@
  * 解析 `%` 格式串、将参数转为 `LogSegment[]`、单行格式化（与 Node `util.format` / `console.log` 对齐）。
  */
 
+import { REDACTED_TEXT, stringifyRedacted } from '../core/redact.mjs'
 import {
 	DEFAULT_SNAPSHOT_DEPTH,
 	serializeArgSnapshot,
@@ -20,6 +21,7 @@ import {
  * @property {import('../shared.d.mts').LogSegment[]} segments
  * @property {number} maxDepth
  * @property {object | null} expansionScope
+ * @property {import('../core/redact.mjs').Redactor | null} redactor
  * @property {(text: string) => void} pushText
  */
 
@@ -73,7 +75,11 @@ export function collectPrintfFormatParts(format, args, startArgIndex = 1) {
  * @returns {void}
  */
 function applyPrintfSpecifier(spec, value, buildContext) {
-	const { segments, maxDepth, expansionScope, pushText } = buildContext
+	const { segments, maxDepth, expansionScope, redactor, pushText } = buildContext
+	if (spec !== '%c' && spec !== '%o' && spec !== '%O' && redactor?.matches(value, [])) {
+		pushText(REDACTED_TEXT)
+		return
+	}
 	switch (spec) {
 		case '%c':
 			segments.push({ kind: 'css', css: coerceString(value) })
@@ -98,13 +104,13 @@ function applyPrintfSpecifier(spec, value, buildContext) {
 		}
 		case '%o':
 		case '%O': {
-			const snap = serializeArgSnapshot(value, { maxDepth, expansionScope })
+			const snap = serializeArgSnapshot(value, { maxDepth, expansionScope, redactor })
 			segments.push({ kind: 'value', snapshot: snap })
 			break
 		}
 		case '%j':
 			try {
-				const jsonText = JSON.stringify(value, null, '\t')
+				const jsonText = redactor ? stringifyRedacted(value, redactor, '\t') : JSON.stringify(value, null, '\t')
 				pushText(jsonText)
 			}
 			catch {
@@ -118,12 +124,14 @@ function applyPrintfSpecifier(spec, value, buildContext) {
 
 /**
  * 将 printf 实参转为结构化片段（含快照树）；`expansionScope` / `snapshotDepth` 仅影响快照序列化。
+ * 有脱敏器时，文本片段中命中的部分与整体命中的实参均替换为 `[REDACTED]`，快照中命中的值为 `redacted` 节点。
  * @param {any[]} args - `console.*` 收到的原始参数数组。
  * @param {object | null} [expansionScope=null] - 惰性展开上下文（如 {@link createExpansionScope} 返回值）；无宿主条目时为 `null`。
  * @param {number} [snapshotDepth] - 快照递归深度上限；默认 {@link DEFAULT_SNAPSHOT_DEPTH}。
+ * @param {import('../core/redact.mjs').Redactor | null} [redactor] - 脱敏器；默认取 `expansionScope.redactor`。
  * @returns {import('../shared.d.mts').LogSegment[]} 有序片段。
  */
-export function buildArgsSegments(args, expansionScope = null, snapshotDepth = DEFAULT_SNAPSHOT_DEPTH) {
+export function buildArgsSegments(args, expansionScope = null, snapshotDepth = DEFAULT_SNAPSHOT_DEPTH, redactor = expansionScope?.redactor ?? null) {
 	if (!args.length) return []
 	const maxDepth = snapshotDepth
 	const format = args[0]
@@ -133,14 +141,17 @@ export function buildArgsSegments(args, expansionScope = null, snapshotDepth = D
 			if (i) segments.push({ kind: 'text', text: ' ' })
 			segments.push({
 				kind: 'value',
-				snapshot: serializeArgSnapshot(args[i], { maxDepth, expansionScope }),
+				snapshot: serializeArgSnapshot(args[i], { maxDepth, expansionScope, redactor }),
 			})
 		}
 		return segments
 	}
 
 	// 与 Node `console.log` / `util.format` 一致：`util.format` 只有单个字符串参数时原样返回，不解析 `%`。
-	if (args.length === 1) return [{ kind: 'text', text: String(format) }]
+	if (args.length === 1) {
+		if (!redactor) return [{ kind: 'text', text: String(format) }]
+		return [{ kind: 'text', text: redactor.matches(format, []) ? REDACTED_TEXT : redactor.redactText(String(format)) }]
+	}
 
 	const segments = /** @type {import('../shared.d.mts').LogSegment[]} */[]
 	const { parts, nextArgIndex } = collectPrintfFormatParts(format, args, 1)
@@ -151,10 +162,10 @@ export function buildArgsSegments(args, expansionScope = null, snapshotDepth = D
 	 */
 	function pushText(text) {
 		if (!text) return
-		segments.push({ kind: 'text', text })
+		segments.push({ kind: 'text', text: redactor ? redactor.redactText(text) : text })
 	}
 
-	const segmentBuildContext = { segments, maxDepth, expansionScope, pushText }
+	const segmentBuildContext = { segments, maxDepth, expansionScope, redactor, pushText }
 
 	for (const part of parts) {
 		if (part.kind === 'literal') {
@@ -176,9 +187,9 @@ export function buildArgsSegments(args, expansionScope = null, snapshotDepth = D
 		if ((t === 'object' && arg !== null) || t === 'function')
 			segments.push({
 				kind: 'value',
-				snapshot: serializeArgSnapshot(arg, { maxDepth, expansionScope }),
+				snapshot: serializeArgSnapshot(arg, { maxDepth, expansionScope, redactor }),
 			})
-		else pushText(coerceString(arg))
+		else pushText(redactor?.matches(arg, []) ? REDACTED_TEXT : coerceString(arg))
 	}
 
 	return segments
@@ -390,6 +390,9 @@ function formatSnapshotInner(snap, options) {
 		if (node.kind === 'unknown')
 			return `${colors.grey}${node.value}${colors.reset}`
 
+		if (node.kind === 'redacted')
+			return `${colors.grey}[REDACTED]${colors.reset}`
+
 		if (node.kind === 'circular') {
 			const circularRefIndex = /** @type {{ refId?: number; value?: unknown }} */ node.refId
 			const text = typeof circularRefIndex === 'number'
@@ -0,0 +1,138 @@
+/**
+ * `console.table` 的 `table` 片段：由原始数据构建（行列与 Node `console.table` 一致），并排版为盒线表格 / HTML `<table>`。
+ */
+
+import { serializeArgSnapshot } from '../core/snapshot.mjs'
+
+import { escapeHtml, getStringWidth, terminalChunkToHtml } from './ansi.mjs'
+
+/** 单元格快照深度：根对象展开一层，与 Node `console.table` 内部 `util.inspect` 的 `depth: 0` 对齐。 */
+const TABLE_CELL_SNAPSHOT_DEPTH = 1
+
+/**
+ * @param {unknown} value - 任意值。
+ * @returns {boolean} 是否为可作为表格行展开的对象（含函数）。
+ */
+function isTabularObject(value) {
+	return value !== null && (typeof value === 'object' || typeof value === 'function')
+}
+
+/**
+ * 由 `console.table(data, properties)` 的实参构建 `table` 片段。
+ * 普通对象 / 数组按自有可枚举键生成 `(index)` 列；`Map` / `Set` 生成 `(iteration index)` 列与 `Key` / `Values` 列。
+ * @param {unknown} data - 表格数据。
+ * @param {string[] | undefined} [properties] - 列过滤（同 Node `console.table` 第二参数）。
+ * @param {object | null} [expansionScope=null] - 惰性展开上下文；单元格内被截断的对象经此注册 ref。
+ * @returns {Extract<import('../shared.d.mts').LogSegment, { kind: 'table' }> | null} 非对象数据返回 `null`（调用方应回退为普通 `log`）。
+ */
+export function buildTableSegment(data, properties, expansionScope = null) {
+	if (!isTabularObject(data)) return null
+	/**
+	 * @param {unknown} value - 单元格原始值。
+	 * @param {string[]} path - 单元格在数据中的键路径（供 `redact` 规则匹配）。
+	 * @returns {import('../shared.d.mts').ArgSnapshot} 单元格快照。
+	 */
+	const cell = (value, path) => serializeArgSnapshot(value, { maxDepth: TABLE_CELL_SNAPSHOT_DEPTH, expansionScope, path })
+	const tag = Object.prototype.toString.call(data)
+
+	if (tag === '[object Map]') {
+		const rows = [...data].map(([key, value], index) => ({
+			key: String(index),
+			cells: [cell(key, []), cell(value, [key !== null && typeof key === 'object' ? String(index) : String(key)])],
+		}))
+		return { kind: 'table', indexHeader: '(iteration index)', columns: ['Key', 'Values'], rows }
+	}
+	if (tag === '[object Set]') {
+		const rows = [...data].map((value, index) => ({ key: String(index), cells: [cell(value, [String(index)])] }))
+		return { kind: 'table', indexHeader: '(iteration index)', columns: ['Values'], rows }
+	}
+
+	const columnFilter = Array.isArray(properties) ? properties.map(String) : undefined
+	/** @type {Map<string, Array<import('../shared.d.mts').ArgSnapshot | null>>} */
+	const columns = new Map()
+	for (const column of columnFilter ?? []) columns.set(column, [])
+	/** @type {Array<import('../shared.d.mts').ArgSnapshot | null>} */
+	const primitiveValues = []
+	let hasPrimitives = false
+	const rowKeys = Object.keys(data)
+	rowKeys.forEach((rowKey, rowIndex) => {
+		const item = data[rowKey]
+		if (!isTabularObject(item) && !columnFilter) {
+			hasPrimitives = true
+			primitiveValues[rowIndex] = cell(item, [rowKey])
+			return
+		}
+		for (const column of columnFilter ?? Object.keys(item)) {
+			if (!columns.has(column)) columns.set(column, [])
+			columns.get(column)[rowIndex] = isTabularObject(item) && Object.hasOwn(item, column) ? cell(item[column], [rowKey, column]) : null
+		}
+	})
+	const columnNames = [...columns.keys()]
+	if (hasPrimitives) columnNames.push('Values')
+	const rows = rowKeys.map((key, rowIndex) => ({
+		key,
+		cells: columnNames.map((column, columnIndex) => {
+			const values = hasPrimitives && columnIndex === columnNames.length - 1 ? primitiveValues : columns.get(column)
+			return values[rowIndex] ?? null
+		}),
+	}))
+	return { kind: 'table', indexHeader: '(index)', columns: columnNames, rows }
+}
+
+/**
+ * 将表格片段排为 Node `console.table` 风格的盒线文本（不含末尾换行）。
+ * @param {Extract<import('../shared.d.mts').LogSegment, { kind: 'table' }>} segment - `kind: 'table'` 片段。
+ * @param {(snapshot: import('../shared.d.mts').ArgSnapshot) => string} formatCell - 单元格快照 → 文本（plain 或 ANSI）。
+ * @returns {string} 多行表格文本。
+ */
+export function renderTableText(segment, formatCell) {
+	const header = [segment.indexHeader, ...segment.columns]
+	const body = segment.rows.map(row => [
+		row.key,
+		...row.cells.map(snapshot => snapshot ? formatCell(snapshot).replace(/\n\s*/g, ' ') : ''),
+	])
+	const widths = header.map((title, columnIndex) => Math.max(
+		getStringWidth(title),
+		...body.map(cells => getStringWidth(cells[columnIndex])),
+	))
+	/**
+	 * @param {string[]} edges - 左、中、右三个交叉字符。
+	 * @returns {string} 水平分隔线。
+	 */
+	const divider = ([left, middle, right]) => left + widths.map(width => '─'.repeat(width + 2)).join(middle) + right
+	/**
+	 * @param {string[]} cells - 一行单元格文本。
+	 * @returns {string} 带竖线与右侧按显示宽度补齐空格的行（全角字符占两列）。
+	 */
+	const renderRow = cells => '│' + cells.map((text, columnIndex) =>
+		` ${text}${' '.repeat(widths[columnIndex] - getStringWidth(text))} `
+	).join('│') + '│'
+	return [
+		divider('┌┬┐'),
+		renderRow(header),
+		divider('├┼┤'),
+		...body.map(renderRow),
+		divider('└┴┘'),
+	].join('\n')
+}
+
+/**
+ * 将表格片段渲染为 HTML `<table>`。
+ * @param {Extract<import('../shared.d.mts').LogSegment, { kind: 'table' }>} segment - `kind: 'table'` 片段。
+ * @param {(snapshot: import('../shared.d.mts').ArgSnapshot) => string} formatCell - 单元格快照 → ANSI 文本（再经终端块转 HTML）。
+ * @param {string} [tableStyle] - `<table>` 的 `style` 属性值。
+ * @returns {string} 表格 HTML。
+ */
+export function renderTableHtml(segment, formatCell, tableStyle = 'border-collapse:collapse') {
+	const cellStyle = 'border:1px solid gray;padding:0 0.5em;text-align:left'
+	const head = [segment.indexHeader, ...segment.columns]
+		.map(title => `<th style="${cellStyle}">${escapeHtml(title)}</th>`).join('')
+	const body = segment.rows.map(row => {
+		const cells = [
+			`<td style="${cellStyle}">${escapeHtml(row.key)}</td>`,
+			...row.cells.map(snapshot => `<td style="${cellStyle}">${snapshot ? terminalChunkToHtml(formatCell(snapshot)) : ''}</td>`),
+		]
+		return `<tr>${cells.join('')}</tr>`
+	}).join('')
+	return `<table style="${escapeHtml(tableStyle)}"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`
+}
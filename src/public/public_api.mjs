@@ -10,6 +10,11 @@ export {
 	LogEntry,
 } from '../core/entries.mjs'
 
+/**
+ * 条目查询：过滤对象 → 谓词（与 `VirtualConsole#query` / `addLogEntryListener` 同一语义）。
+ */
+export { compileEntryFilter } from '../core/query.mjs'
+
 /**
  * 调用栈解析与裁剪：提取帧信息、去除运行时内部帧。
  */
@@ -53,8 +58,32 @@ export {
 	renderPlain,
 	renderAnsi,
 	renderHtml,
+	renderGroupedHtml,
 } from '../format/render.mjs'
 
+/**
+ * 确定性快照序列化：供快照测试比对的规范化条目与文本。
+ */
+export {
+	normalizeEntriesForSnapshot,
+	formatGoldenText,
+} from '../format/golden.mjs'
+
+/**
+ * 独立 HTML 报告：单个自包含文件，带级别徽标、调用处链接、trace 区块与客户端过滤。
+ */
+export { renderHtmlReport } from '../format/html-report.mjs'
+
+/**
+ * 捕获的离线保存与重新载入：带版本号的转储与同步渲染的离线条目。
+ */
+export {
+	ENTRY_EXPORT_SCHEMA_VERSION,
+	OfflineLogEntry,
+	createEntryExport,
+	parseEntryExport,
+} from '../core/entry-export.mjs'
+
 /**
  * 线路传输用的弱类型日志条目视图（由 JSON 载荷构造）。
  */
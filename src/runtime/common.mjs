@@ -51,10 +51,4 @@ export function createGlobalConsoleProxy({ getActiveConsole, originalConsole, gl
 export const VIRTUAL_CONSOLE_ENTRY_STACK_SKIP = 3
 
 /** 与 Node `console.log` 等对齐、需要缓冲记录的一组方法。 */
-export const RECORDABLE_CONSOLE_METHODS = ['log', 'info', 'warn', 'debug', 'error', 'trace', 'dir']
-
-/** 浏览器侧额外透传、不写入 `outputEntries` 的一组（Node 亦补齐同形 API）。 */
-export const PASSTHROUGH_CONSOLE_METHODS = [
-	'table', 'assert', 'count', 'countReset', 'time', 'timeLog', 'timeEnd',
-	'group', 'groupCollapsed', 'groupEnd',
-]
+export const RECORDABLE_CONSOLE_METHODS = ['log', 'info', 'warn', 'debug', 'error', 'trace', 'dir', 'table']
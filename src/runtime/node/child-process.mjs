@@ -0,0 +1,173 @@
+/**
+ * 子进程输出捕获（`VirtualConsole#captureChildProcess` / `VirtualConsole#spawn`）：管道中的 stdout / stderr 文本记为 `stdout` / `stderr` 条目；
+ * IPC 模式下，子进程内的 {@link installChildProcessConsoleBridge} 经 IPC 通道发送结构化条目（与 worker 桥接相同的线路消息），
+ * 父进程将其作为 {@link ChildProcessLogEntry} 写入，截断值可回到子进程内展开。
+ */
+import { spawn } from 'node:child_process'
+import process from 'node:process'
+import { StringDecoder } from 'node:string_decoder'
+
+import { forwardConsoleEntries, receiveConsoleEntries, RemoteLogEntry } from './entry-bridge.mjs'
+import { defaultConsole } from './node-console.mjs'
+
+/** IPC 桥接消息的 `type`（线路消息位于其 `message` 字段）；应用自己的 `message` 处理器应忽略该类型。 */
+export const CHILD_PROCESS_BRIDGE_MESSAGE_TYPE = 'vc_child_bridge'
+
+/** 父进程中经 IPC 收到的子进程条目（`fields` 含 `pid` 与 `label`）。 */
+export class ChildProcessLogEntry extends RemoteLogEntry { }
+
+/**
+ * @typedef {object} ChildProcessCaptureOptions
+ * @property {string} [label] - 写入各条目 `fields.label`，便于区分多个子进程。
+ * @property {boolean} [ipc=false] - 为 true 时同时接收子进程经 {@link installChildProcessConsoleBridge} 发送的结构化条目（子进程需以 `'ipc'` stdio 启动）。
+ */
+
+/**
+ * @typedef {object} ChildProcessCapture
+ * @property {number | undefined} pid - 子进程 pid（亦写入各条目 `fields.pid`）。
+ * @property {() => void} detach - 停止捕获；子进程关闭（`close`）时自动调用。
+ */
+
+/**
+ * @param {{ connected?: boolean, send?: Function }} target - 子进程对象，或子进程内的 `process`。
+ * @returns {import('./entry-bridge.mjs').BridgeSend} 经 IPC 发送线路消息；通道已断开时返回 false。
+ */
+function ipcSender(target) {
+	return (message) => {
+		if (!target.connected) return false
+		try {
+			// 传入回调，使发送失败交给回调而不是以 `error` 事件抛出
+			target.send({ type: CHILD_PROCESS_BRIDGE_MESSAGE_TYPE, message }, () => { })
+			return true
+		}
+		catch {
+			return false
+		}
+	}
+}
+
+/**
+ * @param {(message: unknown) => void} handleMessage - 线路消息处理器。
+ * @returns {(message: unknown) => void} IPC `message` 监听器（只处理桥接消息）。
+ */
+function ipcListener(handleMessage) {
+	return (message) => {
+		if (message?.type === CHILD_PROCESS_BRIDGE_MESSAGE_TYPE) handleMessage(message.message)
+	}
+}
+
+/**
+ * 在子进程内调用：将控制台的条目经 IPC 通道发送给父进程的 `vc.captureChildProcess(child, { ipc: true })` / `vc.spawn(..., { ipc: true })`。
+ * 被转发的控制台会开启 `recordOutput` 并关闭 `realConsoleOutput`（条目改经 IPC 送达，避免父进程再从 stdout 收到一份）；
+ * IPC 通道被 `unref`，不会阻止子进程退出。
+ * @param {object} [options] - 桥接选项。
+ * @param {import('./node-console.mjs').VirtualConsole} [options.console=defaultConsole] - 被转发的控制台；默认为兜底控制台（即未经 `hookAsyncContext` 的全部输出）。
+ * @returns {{ close: () => void }} 桥接句柄；`close` 停止转发。
+ */
+export function installChildProcessConsoleBridge(options = {}) {
+	const { console: virtualConsole = defaultConsole } = options
+	if (!process.send) throw new TypeError('vc_child_bridge_no_ipc')
+	virtualConsole.options.recordOutput = true
+	virtualConsole.options.realConsoleOutput = false
+	const forwarder = forwardConsoleEntries(virtualConsole, ipcSender(process))
+	const onMessage = ipcListener(forwarder.handleMessage)
+	process.on('message', onMessage)
+	process.channel?.unref()
+	return {
+		/**
+		 * 停止转发（幂等）。
+		 * @returns {void}
+		 */
+		close() {
+			forwarder.close()
+			process.off('message', onMessage)
+		},
+	}
+}
+
+/**
+ * 以捕获所需的 stdio 启动子进程：stdout / stderr 为管道，stdin 沿用 `stdio`（默认 `'pipe'`），`ipc` 时追加 IPC 通道。
+ * @param {string} command - 命令。
+ * @param {string[] | (import('node:child_process').SpawnOptions & ChildProcessCaptureOptions)} [args] - 参数；省略时可直接传入选项。
+ * @param {import('node:child_process').SpawnOptions & ChildProcessCaptureOptions} [options] - `spawn` 选项与捕获选项。
+ * @returns {{ child: import('node:child_process').ChildProcess, options: ChildProcessCaptureOptions }} 子进程与捕获选项。
+ */
+export function spawnForCapture(command, args, options) {
+	if (!Array.isArray(args)) [args, options] = [[], args]
+	const { label, ipc = false, stdio, ...spawnOptions } = options ?? {}
+	const stdin = (Array.isArray(stdio) ? stdio[0] : stdio) ?? 'pipe'
+	const child = spawn(command, args, { ...spawnOptions, stdio: [stdin, 'pipe', 'pipe', ...ipc ? ['ipc'] : []] })
+	return { child, options: { label, ipc } }
+}
+
+/**
+ * 订阅子进程的输出（`VirtualConsole#captureChildProcess` 的实现）：按 UTF-8 解码管道数据（不拆分多字节字符）后交给 `onChunk`；
+ * `ipc` 时将桥接条目交给 `onEntry`。继承父进程 stdio（`'inherit'`）的流不经过父进程，无法捕获。
+ * @param {import('node:child_process').ChildProcess} child - 子进程。
+ * @param {ChildProcessCaptureOptions} options - 捕获选项。
+ * @param {object} handlers - 写入回调。
+ * @param {Record<string, unknown>} handlers.fields - 合并到 IPC 条目 `fields` 的标记（`pid` / `label` 等）。
+ * @param {boolean} [handlers.supportsAnsi] - IPC 条目渲染是否带 ANSI。
+ * @param {(method: 'stdout' | 'stderr', text: string) => void} handlers.onChunk - 写入一段管道文本。
+ * @param {(entry: ChildProcessLogEntry) => void} handlers.onEntry - 写入 IPC 条目。
+ * @param {(entry: ChildProcessLogEntry) => void} handlers.onUpdate - IPC 条目被子进程折叠重复后调用。
+ * @returns {ChildProcessCapture} 捕获句柄。
+ */
+export function captureChildProcessOutput(child, { ipc = false }, { fields, supportsAnsi, onChunk, onEntry, onUpdate }) {
+	/** @type {(() => void)[]} */
+	const cleanups = []
+	for (const method of ['stdout', 'stderr']) {
+		const stream = child[method]
+		if (!stream) continue
+		const decoder = new StringDecoder('utf8')
+		/**
+		 * @param {Buffer | string} chunk - 管道数据。
+		 * @returns {void}
+		 */
+		const onData = (chunk) => {
+			const text = typeof chunk === 'string' ? chunk : decoder.write(chunk)
+			if (text) onChunk(method, text)
+		}
+		/** @returns {void} 写出解码器中残留的不完整字符。 */
+		const onEnd = () => {
+			const text = decoder.end()
+			if (text) onChunk(method, text)
+		}
+		stream.on('data', onData)
+		stream.once('end', onEnd)
+		cleanups.push(() => {
+			stream.off('data', onData)
+			stream.off('end', onEnd)
+		})
+	}
+	if (ipc) {
+		const receiver = receiveConsoleEntries({
+			createEntry: (payload, requestExpand) => new ChildProcessLogEntry({ ...payload, fields: { ...payload.fields, ...fields } }, { supportsAnsi, requestExpand }),
+			send: ipcSender(child),
+			onEntry,
+			onUpdate,
+		})
+		const onMessage = ipcListener(receiver.handleMessage)
+		child.on('message', onMessage)
+		child.once('disconnect', receiver.detach)
+		cleanups.push(() => {
+			child.off('message', onMessage)
+			child.off('disconnect', receiver.detach)
+			receiver.detach()
+		})
+	}
+
+	let detached = false
+	/**
+	 * 停止捕获（幂等）。
+	 * @returns {void}
+	 */
+	const detach = () => {
+		if (detached) return
+		detached = true
+		child.off('close', detach)
+		for (const cleanup of cleanups) cleanup()
+	}
+	child.once('close', detach)
+	return { pid: child.pid, detach }
+}
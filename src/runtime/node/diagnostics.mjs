@@ -0,0 +1,15 @@
+/**
+ * `diagnostics_channel` 发布（`diagnosticsChannel` 选项）：APM / 追踪工具可在进程范围内订阅全部控制台的条目与清空事件，
+ * 无需持有各实例或注册 `addLogEntryListener`。
+ */
+import { channel } from 'node:diagnostics_channel'
+
+/** 条目写入缓冲区后发布 `{ console, entry }` 的通道名。 */
+export const ENTRY_CHANNEL_NAME = 'virtual-console:entry'
+/** `clear()` 完成后发布 `{ console }` 的通道名。 */
+export const CLEAR_CHANNEL_NAME = 'virtual-console:clear'
+
+/** @type {import('node:diagnostics_channel').Channel} */
+export const entryChannel = channel(ENTRY_CHANNEL_NAME)
+/** @type {import('node:diagnostics_channel').Channel} */
+export const clearChannel = channel(CLEAR_CHANNEL_NAME)
@@ -0,0 +1,192 @@
+/**
+ * 跨线程 / 跨进程的条目桥接（`worker_threads` 与子进程 IPC 共用）：收发线路协议消息对象，传输由调用方提供。
+ * 发送端转发控制台的条目并在本地应答展开请求；接收端将条目重建为 {@link RemoteLogEntry}，其截断值经同一通道回到发送端展开。
+ */
+import { OfflineLogEntry } from '../../core/entry-export.mjs'
+import { applyExpandedSnapshotsInSegments, collectTruncatedRefsWithDepthFromSegments } from '../../wire/expand-wire-segments.mjs'
+import { dispatchLogWireMessage, logWirePayloadTypes } from '../../wire/protocol.mjs'
+import { handleClientWireMessage } from '../../wire/server.mjs'
+
+/**
+ * @typedef {(message: Record<string, unknown>) => boolean} BridgeSend
+ * 经传输发送一条线路消息；通道已关闭或发送失败时返回 false。
+ */
+
+/**
+ * 接收端重建的条目：同 {@link OfflineLogEntry} 同步渲染；{@link expand} 经桥接在发送端展开 `truncated` 节点并就地替换，之后的渲染即含展开结果。
+ */
+export class RemoteLogEntry extends OfflineLogEntry {
+	/** @type {(ref: string, maxDepth?: number) => Promise<unknown>} */
+	#requestExpand
+
+	/**
+	 * @param {Record<string, unknown>} payload - 发送端条目的 `toJSON()`（附 `level` 与来源标记）。
+	 * @param {{ supportsAnsi?: boolean, requestExpand: (ref: string, maxDepth?: number) => Promise<unknown> }} options - 渲染选项与展开请求。
+	 */
+	constructor(payload, { requestExpand, ...options }) {
+		super(payload, options)
+		this.#requestExpand = requestExpand
+	}
+
+	/**
+	 * 请求发送端展开片段中全部 `truncated` 节点并就地替换。
+	 * 桥接已断开（`vc_bridge_detached`）或条目已被发送端淘汰（`unknown_ref` 等）时拒绝。
+	 * @param {number} [maxDepth] - 自片段快照根起的目标深度；未提供时每个节点按发送端的默认深度展开一层。
+	 * @returns {Promise<import('../../shared.d.mts').LogSegment[]>} 展开后的片段（即 `this.segments`）。
+	 */
+	async expand(maxDepth) {
+		const refToSnapshot = new Map()
+		await Promise.all([...collectTruncatedRefsWithDepthFromSegments(this.segments)].map(async ([ref, truncatedDepth]) => {
+			const requestedDepth = Number.isFinite(maxDepth) ? Math.max(0, Math.floor(maxDepth) - truncatedDepth) : undefined
+			if (requestedDepth === 0) return
+			refToSnapshot.set(ref, await this.#requestExpand(ref, requestedDepth))
+		}))
+		if (refToSnapshot.size) applyExpandedSnapshotsInSegments(this.segments, refToSnapshot)
+		return this.segments
+	}
+}
+
+/**
+ * 发送端：先以快照发送已记录的条目，再转发新条目与折叠更新；收到的展开请求由本地 `expandSnapshotRef` 应答。
+ * @param {{
+ *   outputEntries: import('../../core/entries.mjs').LogEntry[]
+ *   addLogEntryListener: (fn: (entry: import('../../core/entries.mjs').LogEntry) => void) => void
+ *   removeLogEntryListener: (fn: (entry: import('../../core/entries.mjs').LogEntry) => void) => void
+ *   addUpdateListener: (fn: (entry: import('../../core/entries.mjs').LogEntry) => void) => void
+ *   removeUpdateListener: (fn: (entry: import('../../core/entries.mjs').LogEntry) => void) => void
+ * }} virtualConsole - 被转发的控制台。
+ * @param {BridgeSend} send - 发送线路消息。
+ * @returns {{ handleMessage: (message: unknown) => void, close: () => void }} `handleMessage` 处理对端发来的消息；`close` 停止转发。
+ */
+export function forwardConsoleEntries(virtualConsole, send) {
+	/**
+	 * @param {import('../../core/entries.mjs').LogEntry} entry - 本地条目。
+	 * @returns {Record<string, unknown>} 附 `level` 的线路载荷。
+	 */
+	const toPayload = entry => ({ level: entry.level, ...entry.toJSON() })
+	/**
+	 * @param {import('../../core/entries.mjs').LogEntry} entry - 新条目。
+	 * @returns {void}
+	 */
+	const onLogEntry = (entry) => {
+		send({ type: logWirePayloadTypes.APPEND, entry: toPayload(entry) })
+	}
+	/**
+	 * @param {import('../../core/entries.mjs').LogEntry} entry - 被折叠重复更新的条目。
+	 * @returns {void}
+	 */
+	const onUpdate = (entry) => {
+		send({ type: logWirePayloadTypes.UPDATED, id: entry.id, repeatCount: entry.repeatCount, lastTimestamp: entry.lastTimestamp })
+	}
+
+	send({ type: logWirePayloadTypes.SNAPSHOT, entries: virtualConsole.outputEntries.map(toPayload) })
+	virtualConsole.addLogEntryListener(onLogEntry)
+	virtualConsole.addUpdateListener(onUpdate)
+	return {
+		/**
+		 * @param {unknown} message - 对端发来的线路消息。
+		 * @returns {void}
+		 */
+		handleMessage(message) {
+			const reply = message && handleClientWireMessage(message)
+			if (reply) send(reply)
+		},
+		/**
+		 * 停止转发（幂等）。
+		 * @returns {void}
+		 */
+		close() {
+			virtualConsole.removeLogEntryListener(onLogEntry)
+			virtualConsole.removeUpdateListener(onUpdate)
+		},
+	}
+}
+
+/**
+ * 接收端：将快照与新条目交给 `onEntry`，折叠更新应用到对应条目后交给 `onUpdate`。
+ * @param {object} handlers - 条目构造、发送与写入回调。
+ * @param {(payload: Record<string, unknown>, requestExpand: (ref: string, maxDepth?: number) => Promise<unknown>) => RemoteLogEntry} handlers.createEntry - 由载荷构造条目（附来源标记）。
+ * @param {BridgeSend} handlers.send - 发送展开请求。
+ * @param {(entry: RemoteLogEntry) => void} handlers.onEntry - 写入新条目。
+ * @param {(entry: RemoteLogEntry) => void} handlers.onUpdate - 已写入的条目被发送端折叠重复后调用。
+ * @returns {{ handleMessage: (message: unknown) => void, detach: () => void }} `handleMessage` 处理对端发来的消息；`detach` 拒绝挂起的展开请求并停止接收。
+ */
+export function receiveConsoleEntries({ createEntry, send, onEntry, onUpdate }) {
+	let detached = false
+	/** @type {{ id: string, entry: RemoteLogEntry } | null} 最近一条（发送端只会折叠更新其最后一条） */
+	let last = null
+	/** @type {Map<string, { promise: Promise<unknown>, resolve: (snapshot: unknown) => void, reject: (error: Error) => void }>} */
+	const pendingExpands = new Map()
+
+	/**
+	 * @param {string} ref - `truncated.ref`。
+	 * @param {number} [maxDepth] - 展开深度。
+	 * @returns {Promise<unknown>} 展开得到的快照。
+	 */
+	const requestExpand = (ref, maxDepth) => {
+		const existing = pendingExpands.get(ref)
+		if (existing) return existing.promise
+		if (detached) return Promise.reject(new Error('vc_bridge_detached'))
+		const pending = {}
+		pending.promise = new Promise((resolve, reject) => Object.assign(pending, { resolve, reject }))
+		pendingExpands.set(ref, pending)
+		if (!send({ type: logWirePayloadTypes.EXPAND_REQUEST, ref, maxDepth })) {
+			pendingExpands.delete(ref)
+			pending.reject(new Error('vc_bridge_send_failed'))
+		}
+		return pending.promise
+	}
+	/**
+	 * @param {Record<string, unknown>} payload - 发送端条目载荷。
+	 * @returns {void}
+	 */
+	const receive = (payload) => {
+		const entry = createEntry(payload, requestExpand)
+		last = { id: String(payload.id), entry }
+		onEntry(entry)
+	}
+
+	return {
+		/**
+		 * @param {unknown} message - 对端发来的线路消息。
+		 * @returns {void}
+		 */
+		handleMessage(message) {
+			if (detached || !message) return
+			void dispatchLogWireMessage(message, {
+				onSnapshot: entries => entries.forEach(receive),
+				onAppend: receive,
+				/**
+				 * @param {{ id: string, repeatCount: number, lastTimestamp: number }} update - 发送端折叠更新。
+				 * @returns {void}
+				 */
+				onUpdate: ({ id, repeatCount, lastTimestamp }) => {
+					if (last?.id !== id) return
+					last.entry.repeatCount = repeatCount
+					last.entry.lastTimestamp = lastTimestamp
+					onUpdate(last.entry)
+				},
+				/**
+				 * @param {{ ref: string, ok: boolean, snapshot?: unknown, error?: string }} result - 展开应答。
+				 * @returns {void}
+				 */
+				onExpandResult: ({ ref, ok, snapshot, error }) => {
+					const pending = pendingExpands.get(ref)
+					pendingExpands.delete(ref)
+					if (!pending) return
+					if (ok && snapshot != null) pending.resolve(snapshot)
+					else pending.reject(new Error(error ?? 'expand_failed'))
+				},
+			})
+		},
+		/**
+		 * 停止接收并拒绝挂起的展开请求（幂等）。
+		 * @returns {void}
+		 */
+		detach() {
+			detached = true
+			for (const { reject } of pendingExpands.values()) reject(new Error('vc_bridge_detached'))
+			pendingExpands.clear()
+		},
+	}
+}
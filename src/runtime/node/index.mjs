@@ -10,3 +10,17 @@ export {
 	getGlobalConsoleResolver,
 	console,
 } from './node-console.mjs'
+export {
+	installWorkerConsoleBridge,
+	WorkerLogEntry,
+	WORKER_BRIDGE_MESSAGE_TYPE,
+} from './worker-bridge.mjs'
+export {
+	installChildProcessConsoleBridge,
+	ChildProcessLogEntry,
+	CHILD_PROCESS_BRIDGE_MESSAGE_TYPE,
+} from './child-process.mjs'
+export {
+	ENTRY_CHANNEL_NAME,
+	CLEAR_CHANNEL_NAME,
+} from './diagnostics.mjs'
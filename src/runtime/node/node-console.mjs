@@ -6,17 +6,30 @@ import { Writable } from 'node:stream'
 import ansiEscapes from 'ansi-escapes'
 import supportsAnsi from 'supports-ansi'
 
-import { newLogEntry } from '../../core/entries.mjs'
+import { isCaptureMuted } from '../../core/capture-filter.mjs'
+import { LabelCounters, LabelTimers } from '../../core/counters.mjs'
+import { collapseRepeat, formatGroupLabel, newLogEntry } from '../../core/entries.mjs'
+import { EntryRingBuffer } from '../../core/entry-buffer.mjs'
+import { createEntryExport, parseEntryExport } from '../../core/entry-export.mjs'
+import { iterateEntries, waitForEntry } from '../../core/entry-stream.mjs'
+import { createUniqueId } from '../../core/ids.mjs'
+import { EntryMiddlewareQueue } from '../../core/middleware.mjs'
+import { compileEntryFilter, EntryIndex } from '../../core/query.mjs'
+import { compileRedactor } from '../../core/redact.mjs'
 import { unregisterExpandRefsForEntry } from '../../core/snapshot.mjs'
-import { getStackInfo } from '../../core/stack.mjs'
+import { getStackInfo, parseErrorStack } from '../../core/stack.mjs'
+import { formatGoldenText } from '../../format/golden.mjs'
+import { renderGroupedHtml } from '../../format/render.mjs'
 import {
 	createGlobalConsoleProxy,
-	PASSTHROUGH_CONSOLE_METHODS,
 	RECORDABLE_CONSOLE_METHODS,
 	VIRTUAL_CONSOLE_ENTRY_STACK_SKIP,
 } from '../common.mjs'
 
+import { captureChildProcessOutput, spawnForCapture } from './child-process.mjs'
+import { clearChannel, entryChannel } from './diagnostics.mjs'
 import { VirtualStream } from './virtual-stream.mjs'
+import { attachWorkerBridge } from './worker-bridge.mjs'
 
 /**
  * Node 运行时：`VirtualConsole`、`AsyncLocalStorage` 与全局 `console` 代理（与 {@link ../browser/browser-console.mjs} 对称）。
@@ -28,6 +41,12 @@ import { VirtualStream } from './virtual-stream.mjs'
  */
 const { stdout, stderr } = process
 
+/**
+ * 传给 `Console` 基类构造器的空输出流（构造后即删除基类的流字段，从不写入），所有实例共用。
+ * @type {import('node:stream').Writable}
+ */
+const nullStream = new Writable({ /** 啥也不干  */ write: () => { } })
+
 /**
  * 全局异步存储，用于管理控制台上下文。
  */
@@ -75,28 +94,79 @@ export class VirtualConsole extends Console {
 	 */
 	get outputs() { return this.outputEntries.join('') }
 	/**
-	 * 所有捕获输出拼接成的 HTML 字符串。
+	 * 所有捕获输出拼接成的 HTML 字符串（`console.group` 嵌套为 `<details>`）。
 	 * @returns {string} 聚合 HTML。
 	 */
 	get outputsHtml() {
-		return this.outputEntries.map(entry => entry.toHtml()).join('')
+		return renderGroupedHtml(this.outputEntries.map(entry => ({
+			html: entry.toHtml(),
+			method: entry.method,
+			groupDepth: entry.groupDepth,
+		})))
 	}
 	/**
-	 * 结构化日志条目数组。
+	 * 结构化日志条目数组：条目环形缓冲区的数组兼容视图，可按普通数组读取与修改（子控制台返回根控制台的视图）；
+	 * 经视图移出的条目按淘汰处理（释放展开引用并通知淘汰监听器）。
 	 * @type {import('../../core/entries.mjs').LogEntry[]}
 	 */
-	outputEntries = []
+	get outputEntries() { return this.#root.#entryBuffer.view }
+	/**
+	 * 以给定条目整体替换缓冲区，等同经视图逐项改写：保留的条目 `seq` / `id` 不变，不通知条目监听器；
+	 * 不再保留的条目按淘汰处理（释放展开引用并通知淘汰监听器）。
+	 * @param {Iterable<import('../../core/entries.mjs').LogEntry>} entries - 新的条目序列（如 `vc.outputEntries.filter(...)`）。
+	 */
+	set outputEntries(entries) {
+		const root = this.#root
+		root.#entryBuffer.replace(entries)
+		root.#viewDirty = true
+		root.#syncView()
+	}
+	/**
+	 * 条目环形缓冲区（仅根控制台持有；子控制台不分配以下根状态，统一经 {@link #root} 访问）。
+	 * @private @type {EntryRingBuffer<import('../../core/entries.mjs').LogEntry>}
+	 */
+	#entryBuffer
+	/**
+	 * 缓冲区经 `outputEntries` 视图改写后、尚未同步到索引时为 true。
+	 * @private @type {boolean}
+	 */
+	#viewDirty = false
 
 	/**
-	 * 日志条目监听器集合。
-	 * @private @type {Set<(entry: import('../../core/entries.mjs').LogEntry) => void>}
+	 * 日志条目监听器 → 可选过滤谓词（`null` 表示接收全部条目）。
+	 * @private @type {Map<(entry: import('../../core/entries.mjs').LogEntry) => void, ((entry: import('../../core/entries.mjs').LogEntry) => boolean) | null>}
 	 */
-	#logEntryListeners = new Set()
+	#logEntryListeners
+	/**
+	 * `outputEntries` 的级别 / 方法索引，供 {@link query} 使用。
+	 * @private @type {EntryIndex}
+	 */
+	#entryIndex
+	/**
+	 * 下一个写入条目的 `seq`（仅根控制台递增；`clear` 不重置，保证单调）。
+	 * @private @type {number}
+	 */
+	#nextSeq = 0
 	/**
 	 * 缓冲清空后触发的监听器（无参数）。
 	 * @private @type {Set<() => void>}
 	 */
-	#clearListeners = new Set()
+	#clearListeners
+	/**
+	 * 条目因保留策略被淘汰后触发的监听器。
+	 * @private @type {Set<(entry: import('../../core/entries.mjs').LogEntry) => void>}
+	 */
+	#evictListeners
+	/**
+	 * 已有条目被更新（`collapseRepeats` 折叠重复）后触发的监听器。
+	 * @private @type {Set<(entry: import('../../core/entries.mjs').LogEntry) => void>}
+	 */
+	#updateListeners
+	/**
+	 * 条目中间件管线（{@link use} / {@link unuse} / {@link flushMiddleware}）。
+	 * @private @type {EntryMiddlewareQueue}
+	 */
+	#middleware
 
 	/**
 	 * 最终合并后的配置项（日志监听请用 {@link addLogEntryListener} / {@link removeLogEntryListener}）。
@@ -128,12 +198,173 @@ export class VirtualConsole extends Console {
 	 */
 	#lastFreshLineId = null
 
+	/**
+	 * 当前打开的 `console.group` 标签（由外到内），新条目据此记录 `groupPath`。
+	 * @private @type {string[]}
+	 */
+	#groupPath = []
+
+	/**
+	 * 持有缓冲区、索引与监听器的根控制台；{@link child} 创建的子控制台将这些操作委托给它。
+	 * @private @type {VirtualConsole}
+	 */
+	#root = this
+
+	/**
+	 * 写入每个条目的上下文字段（子控制台为各级 `fields` 的合并结果）。
+	 * @private @type {Readonly<Record<string, unknown>>}
+	 */
+	#fields = Object.freeze({})
+
+	/**
+	 * 写入每个条目的行首标签（子控制台逐级以空格拼接）。
+	 * @private @type {string}
+	 */
+	#prefix = ''
+
+	/**
+	 * `console.count` 计数器，每个实例独立。
+	 * @private @type {LabelCounters}
+	 */
+	#counters = new LabelCounters()
+
+	/**
+	 * `console.time` 计时器，每个实例独立。
+	 * @private @type {LabelTimers}
+	 */
+	#timers = new LabelTimers()
+
+	/**
+	 * 当前计数器快照（标签 → 次数）；`countReset` 后的标签值为 `0`。
+	 * @returns {Map<string, number>} 新的 Map 副本。
+	 */
+	get counters() {
+		return this.#counters.snapshot()
+	}
+
+	/**
+	 * 当前进行中的计时器快照（标签 → 已耗时毫秒数）。
+	 * @returns {Map<string, number>} 新的 Map 副本。
+	 */
+	get timers() {
+		return this.#timers.snapshot()
+	}
+
 	/**
 	 * 供 `VirtualStream` 写入路径共享的状态与回调。
 	 * @private @type {object}
 	 */
 	#streamContext
 
+	/**
+	 * 品牌检查：是否为本类实例。不用 `instanceof`——Node 的 `Console[Symbol.hasInstance]` 对原生 `console` 也返回 true。
+	 * @param {unknown} value - 待检查的值。
+	 * @returns {value is VirtualConsole} 是否为 `VirtualConsole`（含子控制台）。
+	 */
+	static #isVirtualConsole(value) {
+		return Object(value) === value && #root in value
+	}
+
+	/**
+	 * 正在经 {@link child} 构造的子控制台的父控制台；构造器据此走子控制台路径，跳过根状态与配置合并。
+	 * @private @type {VirtualConsole | null}
+	 */
+	static #childParent = null
+
+	/**
+	 * 已记录过的未捕获错误：应用在 `unhandledRejection` 监听器中重新抛出时，同一错误会再经 `uncaughtExceptionMonitor` 送达。
+	 * @private @type {WeakSet<object>}
+	 */
+	static #recordedUncaught = new WeakSet()
+	/**
+	 * 进程级监听器是否已安装（首个开启 `captureUncaught` 的实例构造时安装，之后常驻；是否记录由当时活动控制台的选项决定）。
+	 * @private @type {boolean}
+	 */
+	static #uncaughtCaptureInstalled = false
+
+	/**
+	 * 安装进程级监听器，将未捕获异常与未处理的 Promise 拒绝记入出错时异步上下文中的活动控制台。
+	 * 异常经 `uncaughtExceptionMonitor` 观测，不改变进程的默认处理；默认（`throw`）模式下未处理的拒绝也经由它送达。
+	 * 应用自行监听 `unhandledRejection` 时拒绝不再转为异常，此时另挂监听器补录——仅在存在其他监听器期间挂载，
+	 * 以免本库的监听器让本应退出的进程继续运行。
+	 * @returns {void}
+	 */
+	static #installUncaughtCapture() {
+		if (VirtualConsole.#uncaughtCaptureInstalled) return
+		VirtualConsole.#uncaughtCaptureInstalled = true
+		process.on('uncaughtExceptionMonitor', error => VirtualConsole.#recordUncaught(error))
+		/**
+		 * @param {unknown} reason - 拒绝原因。
+		 * @returns {void}
+		 */
+		const onRejection = reason => VirtualConsole.#recordUncaught(reason)
+		/** @returns {void} 按其他监听器是否存在挂载或移除 {@link onRejection}。 */
+		const syncRejectionListener = () => {
+			const listeners = process.listeners('unhandledRejection')
+			const hasOthers = listeners.some(listener => listener !== onRejection)
+			if (hasOthers && !listeners.includes(onRejection)) process.on('unhandledRejection', onRejection)
+			else if (!hasOthers) process.off('unhandledRejection', onRejection)
+		}
+		/**
+		 * `newListener` 在监听器加入前触发，延后到微任务再同步。
+		 * @param {string | symbol} event - 事件名。
+		 * @returns {void}
+		 */
+		const onListenersChanged = (event) => {
+			if (event === 'unhandledRejection') queueMicrotask(syncRejectionListener)
+		}
+		process.on('newListener', onListenersChanged)
+		process.on('removeListener', onListenersChanged)
+		syncRejectionListener()
+	}
+
+	/**
+	 * 将未捕获的错误记为活动控制台的 `uncaught` 条目（级别 `error`，调用栈取自错误本身）；该控制台未开启 `captureUncaught` 时忽略。
+	 * 不透传给 `baseConsole`：进程的默认处理会自行打印。
+	 * @param {unknown} error - 异常或拒绝原因。
+	 * @returns {void}
+	 */
+	static #recordUncaught(error) {
+		if (error !== null && (typeof error === 'object' || typeof error === 'function')) {
+			if (VirtualConsole.#recordedUncaught.has(error)) return
+			VirtualConsole.#recordedUncaught.add(error)
+		}
+		const active = getActiveConsole()
+		if (!VirtualConsole.#isVirtualConsole(active) || !active.options.captureUncaught || !active.options.recordOutput) return
+		active.#addEntry('uncaught', [error], error instanceof Error ? parseErrorStack(error) : [])
+	}
+
+	/**
+	 * `process.on('warning')` 监听器是否已安装（首个开启 `captureWarnings` 的实例构造时安装，之后常驻）。
+	 * @private @type {boolean}
+	 */
+	static #warningCaptureInstalled = false
+
+	/**
+	 * 订阅进程警告（`process.emitWarning`、弃用与实验性功能警告）；运行时仍照常打印。
+	 * @returns {void}
+	 */
+	static #installWarningCapture() {
+		if (VirtualConsole.#warningCaptureInstalled) return
+		VirtualConsole.#warningCaptureInstalled = true
+		process.on('warning', warning => VirtualConsole.#recordWarning(warning))
+	}
+
+	/**
+	 * 将进程警告记为活动控制台的 `processWarning` 条目（级别 `warn`）：`fields` 附 `name` / `code` / `detail`，调用栈取自警告本身。
+	 * 该控制台未开启 `captureWarnings` 时忽略；不透传给 `baseConsole`（运行时会自行打印）。
+	 * @param {Error & { code?: string, detail?: string }} warning - 警告对象。
+	 * @returns {void}
+	 */
+	static #recordWarning(warning) {
+		const active = getActiveConsole()
+		if (!VirtualConsole.#isVirtualConsole(active) || !active.options.captureWarnings || !active.options.recordOutput) return
+		const fields = Object.fromEntries(['name', 'code', 'detail'].map(key => [key, warning?.[key]]).filter(([, value]) => value !== undefined))
+		const stack = parseErrorStack(warning)
+		if (active.#isCaptureMuted('processWarning', [warning], stack)) return
+		active.#pushEntry(active.#newLogEntry('processWarning', [warning], stack, { ...active.#fields, ...fields }))
+	}
+
 	/**
 	 * 创建 Node 侧虚拟控制台，并挂接 `AsyncLocalStorage` 隔离与虚拟标准流。
 	 * @param {object} [options={}] - 配置选项。
@@ -142,20 +373,57 @@ export class VirtualConsole extends Console {
 	 * @param {boolean} [options.supportsAnsi] - 为 true 时启用 ANSI：`freshLine` 可在 TTY 上覆盖行，`trace` 栈可含 OSC 8 超链接。未指定时自动检测；`baseConsole` 为 `VirtualConsole` 时继承其设置。
 	 * @param {Console} [options.baseConsole] - `realConsoleOutput` 的透传目标。未指定时使用当前上下文的活动控制台。
 	 * @param {number} [options.maxLogEntries=Infinity] - 最多保留的条目数，超出后自动丢弃最旧的条目。
+	 * @param {number} [options.maxLogBytes=Infinity] - 所有条目 `estimatedBytes` 之和的上限，超出后自动丢弃最旧的条目。
+	 * @param {number} [options.maxEntryAgeMs=Infinity] - 条目最长保留时间（毫秒）；每次写入时丢弃超龄的最旧条目。
+	 * @param {boolean} [options.collapseRepeats=false] - 为 true 时，与上一条目方法、正文、调用处及 `fields` 均相同的新条目不再追加，而是递增上一条目的 `repeatCount`。
+	 * @param {string} [options.minLevel] - 捕获期过滤：低于此级别（`debug` < `log` = `info` < `warn` < `error`）的输出不记录。
+	 * @param {string[]} [options.levels] - 捕获期过滤：仅记录这些语义级别。
+	 * @param {string[]} [options.methods] - 捕获期过滤：仅记录这些来源方法。
+	 * @param {import('../../core/capture-filter.mjs').CaptureFilterOptions['mute']} [options.mute] - 捕获期屏蔽规则（按调用处路径 / 文本 / 方法 / 级别）或判定函数。
+	 * @param {boolean} [options.filterPassthrough=false] - 为 true 时被捕获期过滤屏蔽的输出也不透传给 `baseConsole`。
+	 * @param {import('../../core/redact.mjs').RedactOptions | ((value: unknown, path: string[]) => boolean)} [options.redact] - 脱敏规则：命中的值在片段、快照、`toJSON` 与线路载荷中替换（透传给 `baseConsole` 的原始输出不受影响）。
+	 * @param {boolean} [options.captureUncaught=false] - 为 true 时，本实例为活动控制台期间发生的未捕获异常与未处理的 Promise 拒绝记为 `uncaught` 条目（级别 `error`）。
+	 * @param {boolean} [options.captureWarnings=false] - 为 true 时，本实例为活动控制台期间的进程警告（`process.on('warning')`）记为 `processWarning` 条目（级别 `warn`）。
+	 * @param {boolean} [options.diagnosticsChannel=false] - 为 true 时，每个写入缓冲区的条目以 `{ console, entry }` 发布到 `node:diagnostics_channel` 的 `virtual-console:entry`，`clear()` 以 `{ console }` 发布到 `virtual-console:clear`（子控制台的条目以根控制台发布）。
 	 */
 	constructor(options = {}) {
-		super(new Writable({ /** 啥也不干  */ write: () => { } }), new Writable({ /** 啥也不干  */ write: () => { } }))
+		super(nullStream, nullStream)
 		for (const property of ['_stdout', '_stderr'])
 			delete this[property] // 因为父类的实例属性会遮蔽子类的getter/setter，所以需要删除这些字段
 
-		const baseConsole = options.baseConsole ?? getActiveConsole()
-		delete options.baseConsole
-		this.options = {
-			realConsoleOutput: false,
-			recordOutput: true,
-			supportsAnsi: baseConsole.options?.supportsAnsi ?? supportsAnsi,
-			maxLogEntries: Infinity,
-			...options,
+		// 子控制台（见 child）共享根控制台的配置与根状态，只建立自身的流与方法绑定
+		const parent = VirtualConsole.#childParent
+		VirtualConsole.#childParent = null
+		const baseConsole = parent ? parent.#baseConsole : options.baseConsole ?? getActiveConsole()
+		if (parent) {
+			this.#root = parent.#root
+			this.options = this.#root.options
+		}
+		else {
+			delete options.baseConsole
+			this.options = {
+				realConsoleOutput: false,
+				recordOutput: true,
+				supportsAnsi: baseConsole.options?.supportsAnsi ?? supportsAnsi,
+				maxLogEntries: Infinity,
+				maxLogBytes: Infinity,
+				maxEntryAgeMs: Infinity,
+				collapseRepeats: false,
+				filterPassthrough: false,
+				captureUncaught: false,
+				captureWarnings: false,
+				diagnosticsChannel: false,
+				...options,
+			}
+			if (this.options.captureUncaught) VirtualConsole.#installUncaughtCapture()
+			if (this.options.captureWarnings) VirtualConsole.#installWarningCapture()
+			this.#entryBuffer = new EntryRingBuffer(() => this.#onViewWrite())
+			this.#logEntryListeners = new Map()
+			this.#entryIndex = new EntryIndex()
+			this.#clearListeners = new Set()
+			this.#evictListeners = new Set()
+			this.#updateListeners = new Set()
+			this.#middleware = new EntryMiddlewareQueue()
 		}
 		this.#streamContext = {
 			/**
@@ -173,17 +441,29 @@ export class VirtualConsole extends Console {
 			 * @param {string} method - 目标级别，通常为 stdout/stderr。
 			 * @param {any[]} args - 日志参数数组，按 LogEntry 约定存储。
 			 * @param {import('../../shared.d.mts').StackFrame[] | undefined} [stack] - 可选预采集栈；未传时由 #addEntry 自动采集。
-			 * @returns {import('../../core/entries.mjs').LogEntry} 已写入缓冲区的日志条目。
+			 * @returns {import('../../core/entries.mjs').LogEntry | null} 已写入缓冲区的日志条目；被捕获过滤屏蔽或被中间件丢弃时为 `null`。
 			 */
 			addEntry: (method, args, stack) => this.#addEntry(method, args, stack),
+			/**
+			 * 按捕获期过滤判定一次流写入是否被屏蔽（决定 `filterPassthrough` 下是否透传）。
+			 * @param {string} method - 流名称。
+			 * @param {any[]} args - 日志参数数组。
+			 * @param {import('../../shared.d.mts').StackFrame[]} stack - 预采集栈。
+			 * @returns {boolean} 为 true 时不应记录。
+			 */
+			isCaptureMuted: (method, args, stack) => this.#isCaptureMuted(method, args, stack),
 			options: this.options,
 			state: this
 		}
 		this.baseConsole = baseConsole
 		for (const method of [
 			'freshLine', 'clear', 'writeAs',
-			'addLogEntryListener', 'removeLogEntryListener',
-			'addClearListener', 'removeClearListener'
+			'assert', 'group', 'groupCollapsed', 'groupEnd',
+			'count', 'countReset', 'time', 'timeLog', 'timeEnd',
+			'child', 'query', 'entries', 'waitFor', 'toGoldenText', 'exportEntries', 'importEntries', 'attachWorker', 'captureChildProcess', 'spawn', 'addLogEntryListener', 'removeLogEntryListener',
+			'addClearListener', 'removeClearListener', 'addEvictListener', 'removeEvictListener',
+			'addUpdateListener', 'removeUpdateListener',
+			'use', 'unuse', 'flushMiddleware'
 		])
 			this[method] = this[method].bind(this)
 		for (const method of RECORDABLE_CONSOLE_METHODS) {
@@ -197,43 +477,26 @@ export class VirtualConsole extends Console {
 			this[method] = (...args) => {
 				const record = this.options.recordOutput
 				try {
+					// 透传只受捕获期过滤影响；被中间件丢弃的条目照常透传
+					const muted = (record || this.options.filterPassthrough) && this.#isCaptureMuted(method, args)
+					if (muted && this.options.filterPassthrough) return
 					if (record) {
-						this.#addEntry(method, args)
+						if (!muted) this.#pushEntry(this.#newLogEntry(method, args))
 						this.options.recordOutput = false // 避免stream写入时被重复记录
 					}
 					if (!this.options.realConsoleOutput) return originalMethod.apply(this, args)
 					this.#lastFreshLineId = null
 					try {
-						if (this.#baseConsole instanceof VirtualConsole) this.#baseConsole.stackFrameSkipCount++
+						if (VirtualConsole.#isVirtualConsole(this.#baseConsole)) this.#baseConsole.stackFrameSkipCount++
 						return this.#baseConsole[method](...args)
 					} finally {
-						if (this.#baseConsole instanceof VirtualConsole) this.#baseConsole.stackFrameSkipCount--
+						if (VirtualConsole.#isVirtualConsole(this.#baseConsole)) this.#baseConsole.stackFrameSkipCount--
 					}
 				} finally {
 					if (record) this.options.recordOutput = true
 				}
 			}
 		}
-
-		for (const method of PASSTHROUGH_CONSOLE_METHODS) {
-			if (!this[method]) continue
-			const originalMethod = this[method]
-			/**
-			 * 透传到 Node `Console` 或基类：可选 `realConsoleOutput`。
-			 * @param {...any} args - 透传参数。
-			 * @returns {unknown} 底层方法返回值。
-			 */
-			this[method] = (...args) => {
-				if (!this.options.realConsoleOutput) return originalMethod.apply(this, args)
-				this.#lastFreshLineId = null
-				try {
-					if (this.#baseConsole instanceof VirtualConsole) this.#baseConsole.stackFrameSkipCount++
-					return this.#baseConsole[method](...args)
-				} finally {
-					if (this.#baseConsole instanceof VirtualConsole) this.#baseConsole.stackFrameSkipCount--
-				}
-			}
-		}
 	}
 
 	/**
@@ -241,10 +504,11 @@ export class VirtualConsole extends Console {
 	 * @param {string} method - 日志级别，例如 log/warn/error/stdout/stderr。
 	 * @param {any[]} [args = []] - 与 console/stream 路径一致的原始参数数组。
 	 * @param {import('../../shared.d.mts').StackFrame[] | undefined} [stack] - 可选预采集调用栈；未传时按当前 skip 配置自动采集。
+	 * @param {Readonly<Record<string, unknown>>} [fields] - 条目字段；默认为本控制台的上下文字段。
 	 * @returns {import('../../core/entries.mjs').LogEntry} 新的日志条目对象。
 	 */
-	#newLogEntry(method, args = [], stack = getStackInfo(this.stackFrameSkipCount + VIRTUAL_CONSOLE_ENTRY_STACK_SKIP)) {
-		return newLogEntry({ method, args, stack, supportsAnsi: this.options.supportsAnsi })
+	#newLogEntry(method, args = [], stack = getStackInfo(this.stackFrameSkipCount + VIRTUAL_CONSOLE_ENTRY_STACK_SKIP), fields = this.#fields) {
+		return newLogEntry({ method, args, stack, supportsAnsi: this.options.supportsAnsi, groupPath: [...this.#groupPath], fields, prefix: this.#prefix, redactor: compileRedactor(this.options.redact) })
 	}
 
 	/**
@@ -252,38 +516,321 @@ export class VirtualConsole extends Console {
 	 * @param {string} method - 日志级别，例如 log/warn/error/stdout/stderr。
 	 * @param {any[]} [args = []] - 与 console/stream 路径一致的原始参数数组。
 	 * @param {import('../../shared.d.mts').StackFrame[] | undefined} [stack] - 可选预采集调用栈；未传时按当前 skip 配置自动采集。
-	 * @returns {import('../../core/entries.mjs').LogEntry} 已写入缓冲区的日志条目对象。
+	 * @returns {import('../../core/entries.mjs').LogEntry | null} 已写入缓冲区的日志条目对象。；被捕获过滤屏蔽时为 `null`（不创建条目）。
 	 */
 	#addEntry(method, args = [], stack = getStackInfo(this.stackFrameSkipCount + VIRTUAL_CONSOLE_ENTRY_STACK_SKIP)) {
+		if (this.#isCaptureMuted(method, args, stack)) return null
 		return this.#pushEntry(this.#newLogEntry(method, args, stack))
 	}
 
 	/**
-	 * 将已构建的条目推入 outputEntries，维护上限并触发回调。
-	 * @template {import('../../core/entries.mjs').LogEntry} T
-	 * @param {T} entry - 已构造完成的日志条目实例。
-	 * @returns {T} 原样返回该条目，便于调用侧继续链式使用或断言。
+	 * 按 `minLevel` / `levels` / `methods` / `mute` 选项判定一次输出是否被屏蔽。
+	 * @param {string} method - 日志方法名。
+	 * @param {any[]} args - 原始参数。
+	 * @param {import('../../shared.d.mts').StackFrame[]} [stack] - 调用栈；仅 `mute` 规则需要，未配置时不采集。
+	 * @returns {boolean} 为 true 时不应记录。
+	 */
+	#isCaptureMuted(method, args, stack = this.options.mute ? getStackInfo(this.stackFrameSkipCount + VIRTUAL_CONSOLE_ENTRY_STACK_SKIP) : []) {
+		return isCaptureMuted(this.options, method, args, stack)
+	}
+
+	/**
+	 * 让条目经过 {@link use} 注册的中间件后写入缓冲区。
+	 * 中间件全部同步时立即写入；有异步中间件时条目（及之后的条目）按调用顺序排队，兑现后写入。
+	 * @param {import('../../core/entries.mjs').LogEntry} entry - 已构造完成的日志条目实例。
+	 * @returns {import('../../core/entries.mjs').LogEntry | null} 写入（或吸收它）的首个条目；仍在排队时为原条目；被中间件丢弃时为 `null`。
 	 */
 	#pushEntry(entry) {
-		this.outputEntries.push(entry)
-		if (this.outputEntries.length > this.options.maxLogEntries) {
-			const removed = this.outputEntries.shift()
-			if (removed) unregisterExpandRefsForEntry(removed)
+		const root = this.#root
+		return root.#middleware.push(entry, item => ({
+			console: this,
+			stack: item.stack,
+			createEntry: (method, args = []) => this.#newLogEntry(method, args, item.stack),
+		}), entries => root.#storeEntries(entry, entries))
+	}
+
+	/**
+	 * 写入中间件产出的条目；原条目未被保留时释放其展开引用。
+	 * @param {import('../../core/entries.mjs').LogEntry} original - 进入管线的原条目。
+	 * @param {import('../../core/entries.mjs').LogEntry[]} entries - 中间件产出的条目。
+	 * @returns {import('../../core/entries.mjs').LogEntry | null} 首个写入（或吸收它）的条目；全部被丢弃时为 `null`。
+	 */
+	#storeEntries(original, entries) {
+		if (!entries.includes(original)) unregisterExpandRefsForEntry(original)
+		let stored = null
+		for (const entry of entries) {
+			const result = this.#storeEntry(entry)
+			stored ??= result
 		}
-		for (const listener of this.#logEntryListeners) try {
-			listener(entry)
+		return stored
+	}
+
+	/**
+	 * 为条目分配 `seq` / `id` 后推入 outputEntries，维护上限并触发回调。
+	 * `collapseRepeats` 下若与上一条目重复，则改为递增上一条目的 `repeatCount` 并触发更新回调。
+	 * @template {import('../../core/entries.mjs').LogEntry} T
+	 * @param {T} entry - 已构造完成（且已经过中间件）的日志条目实例。
+	 * @returns {T} 原样返回该条目（被折叠时为吸收它的上一条目），便于调用侧继续链式使用或断言。
+	 */
+	#storeEntry(entry) {
+		if (this.#root !== this) return this.#root.#storeEntry(entry)
+		this.#syncView()
+		const previous = this.options.collapseRepeats ? collapseRepeat(this.#entryBuffer, entry) : null
+		if (previous) {
+			this.#emitUpdate(previous)
+			return previous
+		}
+		entry.seq = this.#nextSeq++
+		entry.id = createUniqueId('e')
+		this.#entryBuffer.push(entry)
+		this.#entryIndex.add(entry)
+		this.#applyRetention()
+		for (const [listener, predicate] of this.#logEntryListeners) try {
+			if (!predicate || predicate(entry)) listener(entry)
 		} catch { }
+		if (this.options.diagnosticsChannel && entryChannel.hasSubscribers) entryChannel.publish({ console: this, entry })
 
 		return entry
 	}
 
+	/**
+	 * 触发 {@link addUpdateListener} 注册的回调。
+	 * @param {import('../../core/entries.mjs').LogEntry} entry - 刚被更新的条目。
+	 * @returns {void}
+	 */
+	#emitUpdate(entry) {
+		for (const listener of this.#root.#updateListeners) try {
+			listener(entry)
+		} catch { }
+	}
+
+	/**
+	 * 按 `maxLogEntries` / `maxLogBytes` / `maxEntryAgeMs` 从最旧端淘汰条目（每次写入时检查）。
+	 * @returns {void}
+	 */
+	#applyRetention() {
+		const { maxLogEntries, maxLogBytes, maxEntryAgeMs } = this.options
+		const buffer = this.#entryBuffer
+		const expiredBefore = maxEntryAgeMs < Infinity ? Date.now() - maxEntryAgeMs : -Infinity
+		while (buffer.length && (
+			buffer.length > maxLogEntries ||
+			maxLogBytes < Infinity && buffer.bytes > maxLogBytes ||
+			buffer.at(0)?.timestamp < expiredBefore
+		)) this.#evictEntry(buffer.shift())
+	}
+
+	/**
+	 * 清理已移出缓冲区的条目：同步索引、释放其展开引用并通知淘汰监听器。
+	 * @param {import('../../core/entries.mjs').LogEntry | undefined} entry - 被淘汰的条目。
+	 * @returns {void}
+	 */
+	#evictEntry(entry) {
+		if (!entry) return
+		this.#entryIndex.delete(entry)
+		unregisterExpandRefsForEntry(entry)
+		for (const listener of this.#evictListeners) try {
+			listener(entry)
+		} catch { }
+	}
+
+	/**
+	 * 记录视图改写，并在当前同步代码结束后同步（`splice` 等方法会连续改写多个下标，中间状态不必逐次处理）。
+	 * @returns {void}
+	 */
+	#onViewWrite() {
+		if (this.#viewDirty) return
+		this.#viewDirty = true
+		queueMicrotask(() => this.#syncView())
+	}
+
+	/**
+	 * 使索引跟上经视图的改写：压缩空位，按当前内容重建索引，移出的条目按淘汰处理；
+	 * 新放入的条目只加入索引（不分配 `seq` / `id`，不通知条目监听器）。写入、查询与清空前也会先同步。
+	 * @returns {void}
+	 */
+	#syncView() {
+		if (!this.#viewDirty) return
+		this.#viewDirty = false
+		const buffer = this.#entryBuffer
+		if ([...buffer].includes(undefined)) buffer.replace([...buffer].filter(entry => entry !== undefined))
+		const current = new Set(buffer)
+		const removed = [...this.#entryIndex].filter(entry => !current.has(entry))
+		this.#entryIndex.rebuild(buffer)
+		for (const entry of removed) this.#evictEntry(entry)
+	}
+
+	/**
+	 * 创建轻量子控制台：与本实例共享缓冲区、监听器与配置（`options` 为同一对象），
+	 * 其记录的每个条目都带上合并后的 `fields` 与 `prefix`。子控制台拥有独立的分组（初始为当前分组）、计数与计时状态。
+	 * @param {object} [options={}] - 子控制台选项。
+	 * @param {Record<string, unknown>} [options.fields={}] - 追加到每个条目 `fields` 的上下文字段；与父级同名时覆盖父级。
+	 * @param {string} [options.prefix] - 行首标签；嵌套时接在父级标签之后。
+	 * @returns {VirtualConsole} 子控制台。
+	 */
+	child({ fields = {}, prefix } = {}) {
+		VirtualConsole.#childParent = this
+		const child = new VirtualConsole()
+		child.#fields = Object.freeze({ ...this.#fields, ...fields })
+		child.#prefix = [this.#prefix, prefix].filter(Boolean).join(' ')
+		child.#groupPath = [...this.#groupPath]
+		return child
+	}
+
+	/**
+	 * 按条件查询已记录的条目；`levels` / `methods` 条件经索引只扫描命中的条目。
+	 * @param {import('../../core/query.mjs').EntryFilter} [filter={}] - 过滤条件；所有字段为“与”关系。
+	 * @returns {import('../../core/entries.mjs').LogEntry[]} 命中条目（默认旧 → 新，`reverse` 时新 → 旧）。
+	 */
+	query(filter = {}) {
+		if (this.#root !== this) return this.#root.query(filter)
+		this.#syncView()
+		return this.#entryIndex.query(this.outputEntries, filter)
+	}
+
+	/**
+	 * 异步遍历已记录的条目（由旧到新）；`follow` 时继续产出之后写入的条目，终止迭代即移除内部监听器。
+	 * @param {import('../../core/entry-stream.mjs').EntryIterationOptions} [options] - `follow` / `filter` / `signal`。
+	 * @returns {AsyncGenerator<import('../../core/entries.mjs').LogEntry, void, undefined>} 异步迭代器。
+	 */
+	entries(options) {
+		return iterateEntries(this, options)
+	}
+
+	/**
+	 * 等待首个命中的条目（已记录或之后写入的均可）。
+	 * @param {import('../../core/query.mjs').EntryFilter | ((entry: import('../../core/entries.mjs').LogEntry) => boolean)} predicate - 谓词或过滤对象（同 {@link query}）。
+	 * @param {import('../../core/entry-stream.mjs').WaitForOptions} [options] - `timeout` / `signal`；超时以 `vc_wait_timeout` 拒绝。
+	 * @returns {Promise<import('../../core/entries.mjs').LogEntry>} 命中的条目。
+	 */
+	waitFor(predicate, options) {
+		return waitForEntry(this, predicate, options)
+	}
+
+	/**
+	 * 将当前缓冲区序列化为确定性的快照文本（相对时间戳、项目相对路径、顺序占位的 id / ref），供快照测试比对。
+	 * @param {import('../../format/golden.mjs').GoldenTextOptions} [options] - `format` / `rootDir` / `timestamps` / `stripAnsi` / `sortKeys`。
+	 * @returns {string} 快照文本。
+	 */
+	toGoldenText(options) {
+		return formatGoldenText(this.outputEntries, options)
+	}
+
+	/**
+	 * 将当前缓冲区导出为带 `schemaVersion` 的转储对象，可 `JSON.stringify` 后离线保存。
+	 * @returns {import('../../core/entry-export.mjs').EntryExport} 转储对象。
+	 */
+	exportEntries() {
+		return createEntryExport(this.outputEntries)
+	}
+
+	/**
+	 * 载入 {@link exportEntries} 的转储：重建离线条目并按顺序写入缓冲区（重新分配 `seq` / `id`，触发条目监听器，不经过中间件）。
+	 * @param {import('../../core/entry-export.mjs').EntryExport | Record<string, unknown>[] | string} dump - 转储对象、其 JSON 文本，或旧版的 `toJSON()` 数组。
+	 * @returns {import('../../core/entry-export.mjs').OfflineLogEntry[]} 写入的离线条目。
+	 */
+	importEntries(dump) {
+		const entries = parseEntryExport(dump, { supportsAnsi: this.options.supportsAnsi })
+		for (const entry of entries) this.#storeEntry(entry)
+		return entries
+	}
+
+	/**
+	 * 由转储创建新的控制台并载入其条目。
+	 * @param {import('../../core/entry-export.mjs').EntryExport | Record<string, unknown>[] | string} dump - 同 {@link importEntries}。
+	 * @param {object} [options] - 新控制台的构造选项。
+	 * @returns {VirtualConsole} 已载入条目的控制台。
+	 */
+	static fromJSON(dump, options) {
+		const virtualConsole = new this(options)
+		virtualConsole.importEntries(dump)
+		return virtualConsole
+	}
+
+	/**
+	 * 接收 `worker_threads` worker 经 `installWorkerConsoleBridge()` 转发的条目：作为 `WorkerLogEntry`（带 `threadId`）
+	 * 经中间件写入缓冲区，截断值可由 `entry.expand()` 在 worker 内展开。应在构造 `Worker` 后立即调用。
+	 * @param {import('node:worker_threads').Worker} worker - worker 实例。
+	 * @returns {import('./worker-bridge.mjs').WorkerAttachment} 附着句柄（`threadId` 与 `detach()`）；worker 退出后自动断开。
+	 */
+	attachWorker(worker) {
+		return attachWorkerBridge(worker, {
+			supportsAnsi: this.options.supportsAnsi,
+			onEntry: entry => this.#pushEntry(entry),
+			onUpdate: entry => this.#emitUpdate(entry),
+		})
+	}
+
+	/**
+	 * 捕获子进程经管道输出的 stdout / stderr：每段文本记为 `stdout` / `stderr` 条目，`fields` 带 `pid` 与 `label`，
+	 * 调用处为本次调用；`realConsoleOutput` 时同时原样写到底层控制台的流。
+	 * `ipc` 时还接收子进程经 `installChildProcessConsoleBridge()` 发送的结构化条目（`ChildProcessLogEntry`，截断值可由 `entry.expand()` 在子进程内展开）。
+	 * @param {import('node:child_process').ChildProcess} child - 子进程（stdout / stderr 需为 `'pipe'`）。
+	 * @param {import('./child-process.mjs').ChildProcessCaptureOptions} [options={}] - `label` / `ipc`。
+	 * @returns {import('./child-process.mjs').ChildProcessCapture} 捕获句柄（`pid` 与 `detach()`）；子进程关闭后自动断开。
+	 */
+	captureChildProcess(child, options = {}) {
+		// 由用户直接调用：比 #addEntry 的默认采集少一层
+		return this.#captureChildProcess(child, options, getStackInfo(this.stackFrameSkipCount + VIRTUAL_CONSOLE_ENTRY_STACK_SKIP - 1))
+	}
+
+	/**
+	 * 以管道 stdio 启动子进程并立即 {@link captureChildProcess}；参数同 `child_process.spawn`，选项另含 `label` / `ipc`。
+	 * stdin 沿用 `stdio`（默认 `'pipe'`），stdout / stderr 恒为管道，`ipc` 时追加 IPC 通道。
+	 * @param {string} command - 命令。
+	 * @param {string[] | (import('node:child_process').SpawnOptions & import('./child-process.mjs').ChildProcessCaptureOptions)} [args] - 参数；省略时可直接传入选项。
+	 * @param {import('node:child_process').SpawnOptions & import('./child-process.mjs').ChildProcessCaptureOptions} [options] - `spawn` 选项与捕获选项。
+	 * @returns {import('node:child_process').ChildProcess} 子进程。
+	 */
+	spawn(command, args, options) {
+		const stack = getStackInfo(this.stackFrameSkipCount + VIRTUAL_CONSOLE_ENTRY_STACK_SKIP - 1)
+		const { child, options: captureOptions } = spawnForCapture(command, args, options)
+		this.#captureChildProcess(child, captureOptions, stack)
+		return child
+	}
+
+	/**
+	 * {@link captureChildProcess} / {@link spawn} 的共用实现：经带 `pid` / `label` 字段的子控制台写入条目。
+	 * @param {import('node:child_process').ChildProcess} child - 子进程。
+	 * @param {import('./child-process.mjs').ChildProcessCaptureOptions} options - `label` / `ipc`。
+	 * @param {import('../../shared.d.mts').StackFrame[]} stack - 捕获调用处的栈（各管道条目共用）。
+	 * @returns {import('./child-process.mjs').ChildProcessCapture} 捕获句柄。
+	 */
+	#captureChildProcess(child, { label, ipc = false }, stack) {
+		const tagged = this.child({ fields: label === undefined ? { pid: child.pid } : { pid: child.pid, label } })
+		return captureChildProcessOutput(child, { ipc }, {
+			fields: tagged.#fields,
+			supportsAnsi: this.options.supportsAnsi,
+			onChunk: (method, text) => tagged.#writeChildOutput(method, text, stack),
+			onEntry: entry => tagged.#pushEntry(entry),
+			onUpdate: entry => this.#emitUpdate(entry),
+		})
+	}
+
+	/**
+	 * 记录一段子进程管道文本，并在 `realConsoleOutput` 下原样写到 `baseConsole` 的同名流。
+	 * @param {'stdout' | 'stderr'} method - 来源流。
+	 * @param {string} text - 已解码的文本。
+	 * @param {import('../../shared.d.mts').StackFrame[]} stack - 捕获调用处的栈。
+	 * @returns {void}
+	 */
+	#writeChildOutput(method, text, stack) {
+		const muted = this.#isCaptureMuted(method, [text], stack)
+		if (this.options.recordOutput && !muted) this.#pushEntry(this.#newLogEntry(method, [text], stack))
+		if (!this.options.realConsoleOutput || muted && this.options.filterPassthrough) return
+		this.#lastFreshLineId = null
+		if (method === 'stderr') (this.#baseConsole._stderr ?? stderr).write(text)
+		else (this.#baseConsole._stdout ?? stdout).write(text)
+	}
+
 	/**
 	 * 注册新日志条目回调（可多路订阅）。
 	 * @param {(entry: import('../../core/entries.mjs').LogEntry) => void} fn - 每条结构化日志写入缓冲后同步调用；勿假设异步顺序。
+	 * @param {import('../../core/query.mjs').EntryFilter | ((entry: import('../../core/entries.mjs').LogEntry) => boolean)} [filter] - 可选过滤对象（同 {@link query}，忽略 `limit` / `reverse`）或谓词；仅命中的条目触发回调。
 	 * @returns {void}
 	 */
-	addLogEntryListener(fn) {
-		this.#logEntryListeners.add(fn)
+	addLogEntryListener(fn, filter) {
+		if (this.#root !== this) return this.#root.addLogEntryListener(fn, filter)
+		this.#logEntryListeners.set(fn, filter ? compileEntryFilter(filter) : null)
 	}
 
 	/**
@@ -292,6 +839,7 @@ export class VirtualConsole extends Console {
 	 * @returns {void}
 	 */
 	removeLogEntryListener(fn) {
+		if (this.#root !== this) return this.#root.removeLogEntryListener(fn)
 		this.#logEntryListeners.delete(fn)
 	}
 
@@ -301,6 +849,7 @@ export class VirtualConsole extends Console {
 	 * @returns {void}
 	 */
 	addClearListener(fn) {
+		if (this.#root !== this) return this.#root.addClearListener(fn)
 		this.#clearListeners.add(fn)
 	}
 
@@ -310,9 +859,79 @@ export class VirtualConsole extends Console {
 	 * @returns {void}
 	 */
 	removeClearListener(fn) {
+		if (this.#root !== this) return this.#root.removeClearListener(fn)
 		this.#clearListeners.delete(fn)
 	}
 
+	/**
+	 * 注册条目淘汰回调：`maxLogEntries` / `maxLogBytes` / `maxEntryAgeMs` 丢弃最旧条目时逐条同步调用（`clear()` 不触发）。
+	 * @param {(entry: import('../../core/entries.mjs').LogEntry) => void} fn - 回调；收到的条目已移出缓冲区，其展开引用已失效。
+	 * @returns {void}
+	 */
+	addEvictListener(fn) {
+		if (this.#root !== this) return this.#root.addEvictListener(fn)
+		this.#evictListeners.add(fn)
+	}
+
+	/**
+	 * 取消先前通过 {@link addEvictListener} 注册的回调。
+	 * @param {(entry: import('../../core/entries.mjs').LogEntry) => void} fn - 与注册时同一引用。
+	 * @returns {void}
+	 */
+	removeEvictListener(fn) {
+		if (this.#root !== this) return this.#root.removeEvictListener(fn)
+		this.#evictListeners.delete(fn)
+	}
+
+	/**
+	 * 注册条目更新回调：`collapseRepeats` 将重复输出折叠进已有条目（`repeatCount` / `lastTimestamp` 变化）时同步调用。
+	 * 被折叠的输出不触发 {@link addLogEntryListener} 回调。
+	 * @param {(entry: import('../../core/entries.mjs').LogEntry) => void} fn - 回调；收到的是已更新的既有条目。
+	 * @returns {void}
+	 */
+	addUpdateListener(fn) {
+		if (this.#root !== this) return this.#root.addUpdateListener(fn)
+		this.#updateListeners.add(fn)
+	}
+
+	/**
+	 * 取消先前通过 {@link addUpdateListener} 注册的回调。
+	 * @param {(entry: import('../../core/entries.mjs').LogEntry) => void} fn - 与注册时同一引用。
+	 * @returns {void}
+	 */
+	removeUpdateListener(fn) {
+		if (this.#root !== this) return this.#root.removeUpdateListener(fn)
+		this.#updateListeners.delete(fn)
+	}
+
+	/**
+	 * 追加条目中间件：之后记录的每个条目在写入缓冲区、触发监听器与线路广播之前，按注册顺序依次经过各中间件。
+	 * 中间件可就地修改条目（`args`、`level`、`fields` 等），返回 `false` / `null` 丢弃，返回条目或条目数组替换 / 扇出，
+	 * 也可返回 Promise（其后的条目排队等待，写入顺序不变）。抛错或拒绝时条目原样继续。子控制台与根共用同一管线。
+	 * @param {import('../../core/middleware.mjs').EntryMiddleware} fn - 中间件 `(entry, { console, stack, createEntry }) => result`。
+	 * @returns {void}
+	 */
+	use(fn) {
+		this.#root.#middleware.use(fn)
+	}
+
+	/**
+	 * 移除先前通过 {@link use} 追加的中间件（同一函数追加多次时移除最后一次）。
+	 * @param {import('../../core/middleware.mjs').EntryMiddleware} fn - 与追加时同一引用。
+	 * @returns {void}
+	 */
+	unuse(fn) {
+		this.#root.#middleware.unuse(fn)
+	}
+
+	/**
+	 * 等待仍在异步中间件中排队的条目全部写入。
+	 * @returns {Promise<void>} 队列清空后兑现。
+	 */
+	flushMiddleware() {
+		return this.#root.#middleware.flush()
+	}
+
 	/**
 	 * 与 Node 内置 `Console` 相同属性名；基类在输出时读此字段。实现委托 {@link #virtualStdout}，勿误当作「下划线私有」习惯用法。
 	 * @returns {VirtualStream} 标准输出流。
@@ -372,45 +991,175 @@ export class VirtualConsole extends Console {
 
 	/**
 	 * 打印一行进度信息。若前一次调用传入了相同的 `id`，则覆盖上一行而不是新增一行
-	 * （需要 ANSI 支持；在不支持 ANSI 的环境中等同于普通 `log`）。
+	 * （需要 ANSI 支持；在不支持 ANSI 的环境中等同于普通 `log`）。仅在 `realConsoleOutput` 时输出到 `baseConsole`。
 	 * @param {string} id - 标识可覆盖行的唯一键。
 	 * @param {...any} args - 要打印的内容。
 	 */
 	freshLine(id, ...args) {
 		this.#addEntry('freshLine', [id, ...args])
-		const previousRecordOutput = this.options.recordOutput
-		try {
-			this.options.recordOutput = false
-			this.stackFrameSkipCount++ // freshLine 自身是额外一层，由 log wrapper 统一处理其余帧
-			if (this.#baseConsole instanceof VirtualConsole) this.#baseConsole.freshLine(id, ...args)
-			else {
-				if (this.options.supportsAnsi && this.#lastFreshLineId === id)
-					this._stdout.write(ansiEscapes.cursorUp(1) + ansiEscapes.eraseLine)
-				this.log(...args)
+		if (this.options.realConsoleOutput) {
+			const previousRecordOutput = this.options.recordOutput
+			try {
+				this.options.recordOutput = false
+				this.stackFrameSkipCount++ // freshLine 自身是额外一层，由 log wrapper 统一处理其余帧
+				if (VirtualConsole.#isVirtualConsole(this.#baseConsole)) this.#baseConsole.freshLine(id, ...args)
+				else {
+					if (this.options.supportsAnsi && this.#lastFreshLineId === id)
+						this._stdout.write(ansiEscapes.cursorUp(1) + ansiEscapes.eraseLine)
+					this.log(...args)
+				}
+			} finally {
+				this.stackFrameSkipCount--
+				this.options.recordOutput = previousRecordOutput
 			}
-		} finally {
-			this.stackFrameSkipCount--
-			this.options.recordOutput = previousRecordOutput
 		}
 		this.#lastFreshLineId = id
 	}
 
+	/**
+	 * 断言：条件为假值时记录一条 `error` 级、`method` 为 `assert` 的条目（带 `Assertion failed` 前缀与调用处栈）；条件为真时不记录。
+	 * @param {unknown} [condition] - 断言条件。
+	 * @param {...any} data - 失败时输出的消息参数。
+	 * @returns {void}
+	 */
+	assert(condition, ...data) {
+		if (!condition) this.#writeOwnEntry('assert', data, 'assert', [condition, ...data])
+	}
+
+	/**
+	 * 开始一个分组：记录组头条目（位于当前深度），其后的条目 `groupPath` 追加该组标签。
+	 * @param {...any} label - 组标签（与 `console.log` 参数格式一致）。
+	 * @returns {void}
+	 */
+	group(...label) {
+		this.#writeOwnEntry('group', label)
+		this.#groupPath.push(formatGroupLabel(label, compileRedactor(this.options.redact)))
+	}
+
+	/**
+	 * 同 {@link group}，但组头标记为折叠（`outputsHtml` 中的 `<details>` 默认收起）。
+	 * @param {...any} label - 组标签。
+	 * @returns {void}
+	 */
+	groupCollapsed(...label) {
+		this.#writeOwnEntry('groupCollapsed', label)
+		this.#groupPath.push(formatGroupLabel(label, compileRedactor(this.options.redact)))
+	}
+
+	/**
+	 * 结束最内层分组（不记录条目；无打开分组时为空操作）。
+	 * @returns {void}
+	 */
+	groupEnd() {
+		this.#groupPath.pop()
+		if (this.options.realConsoleOutput) this.#passthrough('groupEnd', [])
+	}
+
+	/**
+	 * 计数：标签计数 +1 并记录 `label: N`。
+	 * @param {unknown} [label='default'] - 计数标签。
+	 * @returns {void}
+	 */
+	count(label = 'default') {
+		this.#writeOwnEntry(...this.#counters.count(label))
+	}
+
+	/**
+	 * 将标签计数归零；标签不存在时记录一条 `warn` 条目。
+	 * @param {unknown} [label='default'] - 计数标签。
+	 * @returns {void}
+	 */
+	countReset(label = 'default') {
+		const warning = this.#counters.reset(label)
+		if (warning) this.#writeOwnEntry(...warning)
+	}
+
+	/**
+	 * 启动计时器；标签已存在时记录一条 `warn` 条目且不重置起点。
+	 * @param {unknown} [label='default'] - 计时标签。
+	 * @returns {void}
+	 */
+	time(label = 'default') {
+		const warning = this.#timers.start(label)
+		if (warning) this.#writeOwnEntry(...warning)
+	}
+
+	/**
+	 * 记录计时器当前耗时（`label: 12.3ms`）及附加参数；标签不存在时记录一条 `warn` 条目。
+	 * @param {unknown} [label='default'] - 计时标签。
+	 * @param {...any} data - 追加输出的参数。
+	 * @returns {void}
+	 */
+	timeLog(label = 'default', ...data) {
+		this.#writeOwnEntry(...this.#timers.log(label, data))
+	}
+
+	/**
+	 * 同 {@link timeLog}（不带附加参数），随后移除该计时器。
+	 * @param {unknown} [label='default'] - 计时标签。
+	 * @returns {void}
+	 */
+	timeEnd(label = 'default') {
+		this.#writeOwnEntry(...this.#timers.end(label))
+	}
+
+	/**
+	 * 自行记录条目的方法（assert / group / count / time* 等）的共用路径：经捕获过滤后记录条目，
+	 * 并在 `realConsoleOutput` 下转发给 `baseConsole`（计数 / 计时以 `log` / `warn` 转发同样内容，不共享其状态）。
+	 * @param {string} method - 条目方法名。
+	 * @param {any[]} args - 条目参数。
+	 * @param {string} [forwardMethod=method] - 转发时调用的 `baseConsole` 方法。
+	 * @param {any[]} [forwardArgs=args] - 转发参数。
+	 * @returns {void}
+	 */
+	#writeOwnEntry(method, args, forwardMethod = method, forwardArgs = args) {
+		// 本辅助函数与 #addEntry 默认参数处于同一栈深度，直接按默认 skip 采集
+		const stack = getStackInfo(this.stackFrameSkipCount + VIRTUAL_CONSOLE_ENTRY_STACK_SKIP)
+		const muted = this.#isCaptureMuted(method, args, stack)
+		if (this.options.recordOutput && !muted) this.#pushEntry(this.#newLogEntry(method, args, stack))
+		if (this.options.realConsoleOutput && !(muted && this.options.filterPassthrough)) this.#passthrough(forwardMethod, forwardArgs, 3)
+	}
+
+	/**
+	 * 将调用原样转发给 `baseConsole`（供自行记录条目的方法在 `realConsoleOutput` 下使用）。
+	 * @param {string} method - 方法名。
+	 * @param {any[]} args - 原始参数。
+	 * @param {number} [callerFrames=2] - 本辅助函数到用户调用处之间的帧数（默认：本函数 + 调用它的公开方法）。
+	 * @returns {unknown} 底层方法返回值。
+	 */
+	#passthrough(method, args, callerFrames = 2) {
+		this.#lastFreshLineId = null
+		const record = this.options.recordOutput
+		this.options.recordOutput = false // 条目已由调用方记录，避免 stream 写入时被重复记录
+		try {
+			if (VirtualConsole.#isVirtualConsole(this.#baseConsole)) this.#baseConsole.stackFrameSkipCount += callerFrames
+			return this.#baseConsole[method](...args)
+		} finally {
+			if (VirtualConsole.#isVirtualConsole(this.#baseConsole)) this.#baseConsole.stackFrameSkipCount -= callerFrames
+			this.options.recordOutput = record
+		}
+	}
+
 	/**
 	 * 清空 `outputEntries` 并重置 `freshLine` 状态。
 	 * 若 `realConsoleOutput` 为 true，也会调用底层控制台的 `clear()`。
-	 * 清空完成后会同步调用 {@link addClearListener} 注册的回调。
+	 * 清空完成后会同步调用 {@link addClearListener} 注册的回调；开启 `diagnosticsChannel` 时随后发布到 `virtual-console:clear`。
 	 * @returns {void}
 	 */
 	clear() {
+		if (this.#root !== this) return this.#root.clear()
+		this.#syncView()
 		this.#lastFreshLineId = null
 		for (const entry of this.outputEntries)
 			unregisterExpandRefsForEntry(entry)
-		this.outputEntries.length = 0
+		this.#entryBuffer.clear()
+		this.#entryIndex.clear()
 		if (this.options.realConsoleOutput)
 			this.#baseConsole.clear()
 		for (const listener of this.#clearListeners) try {
 			listener()
 		} catch { }
+		if (this.options.diagnosticsChannel && clearChannel.hasSubscribers) clearChannel.publish({ console: this })
 	}
 
 	/**
@@ -423,9 +1172,10 @@ export class VirtualConsole extends Console {
 	 */
 	writeAs(method, ...args) {
 		const entry = this.#newLogEntry(method, args)
-		if (this.options.recordOutput) this.#pushEntry(entry)
-		if (this.options.realConsoleOutput)
-			if (this.#baseConsole instanceof VirtualConsole) this.#baseConsole.writeAs(method, ...args)
+		const muted = this.#isCaptureMuted(method, args, entry.stack)
+		if (this.options.recordOutput && !muted) this.#pushEntry(entry)
+		if (this.options.realConsoleOutput && !(muted && this.options.filterPassthrough))
+			if (VirtualConsole.#isVirtualConsole(this.#baseConsole)) this.#baseConsole.writeAs(method, ...args)
 			else {
 				const content = entry.toString()
 				const prevRecord = this.options.recordOutput
@@ -79,12 +79,15 @@ export class VirtualStream extends Writable {
 			write: (chunk, encoding, callback) => {
 				context.onWrite(chunk, encoding, streamName)
 
+				let muted = false
 				if (context.options.recordOutput) try {
 					context.state.stackFrameSkipCount++
 					const text = chunk instanceof Buffer ? chunk.toString(encoding === 'buffer' ? 'utf8' : encoding) : String(chunk)
-					context.addEntry(streamName, [text], trimLeadingRuntimeInternalFrames(getStackInfo(context.state.stackFrameSkipCount + 1)))
+					const stack = trimLeadingRuntimeInternalFrames(getStackInfo(context.state.stackFrameSkipCount + 1))
+					muted = context.isCaptureMuted(streamName, [text], stack)
+					if (!muted) context.addEntry(streamName, [text], stack)
 				} finally { context.state.stackFrameSkipCount-- }
-				if (context.options.realConsoleOutput)
+				if (context.options.realConsoleOutput && !(muted && context.options.filterPassthrough))
 					targetStream.write(chunk, encoding, callback)
 				else callback()
 			},
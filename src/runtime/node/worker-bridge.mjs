@@ -0,0 +1,148 @@
+/**
+ * `worker_threads` 桥接：worker 内的 {@link installWorkerConsoleBridge} 经专用 `MessagePort` 以线路协议转发条目，
+ * 父线程的 `VirtualConsole#attachWorker` 将其作为 {@link WorkerLogEntry}（带 `threadId`）写入缓冲区；
+ * 截断值的展开请求经同一端口回到 worker 内由 `expandSnapshotRef` 解析。
+ */
+import { MessageChannel, MessagePort, parentPort, threadId as currentThreadId } from 'node:worker_threads'
+
+import { forwardConsoleEntries, receiveConsoleEntries, RemoteLogEntry } from './entry-bridge.mjs'
+import { defaultConsole } from './node-console.mjs'
+
+/** worker 经 `parentPort` 递交桥接端口的消息 `type`；应用自己的 `worker.on('message')` 处理器应忽略该类型。 */
+export const WORKER_BRIDGE_MESSAGE_TYPE = 'vc_worker_bridge'
+
+/** 父线程中来自 worker 的条目（`threadId` 标明来源线程）。 */
+export class WorkerLogEntry extends RemoteLogEntry { }
+
+/**
+ * @param {MessagePort} port - 桥接端口。
+ * @returns {import('./entry-bridge.mjs').BridgeSend} 以 JSON 文本发送线路消息（与 WebSocket 线路同样的可序列化约束）。
+ */
+function portSender(port) {
+	return (message) => {
+		try {
+			port.postMessage(JSON.stringify(message))
+			return true
+		}
+		catch {
+			return false
+		}
+	}
+}
+
+/**
+ * @param {(message: unknown) => void} handleMessage - 线路消息处理器。
+ * @returns {(raw: string) => void} 端口 `message` 监听器（解析 JSON 文本）。
+ */
+function portListener(handleMessage) {
+	return (raw) => {
+		let parsed
+		try {
+			parsed = JSON.parse(String(raw))
+		} catch { return }
+		handleMessage(parsed)
+	}
+}
+
+/**
+ * @typedef {object} WorkerConsoleBridge
+ * @property {MessagePort} port - worker 侧的桥接端口。
+ * @property {() => void} close - 停止转发并关闭端口（父线程随之断开）。
+ */
+
+/**
+ * 在 worker 内调用：将控制台的条目经新的 `MessagePort` 转发给父线程（配合父线程的 `vc.attachWorker(worker)`）。
+ * 端口经 `parentPort` 递交（消息 `type` 为 {@link WORKER_BRIDGE_MESSAGE_TYPE}）；安装前已记录的条目先作为快照发送。
+ * 被转发的控制台会开启 `recordOutput`；条目仍保留在 worker 的缓冲区中，以便父线程展开其截断值（可用 `maxLogEntries` 等限制）。
+ * @param {object} [options] - 桥接选项。
+ * @param {import('./node-console.mjs').VirtualConsole} [options.console=defaultConsole] - 被转发的控制台；默认为 worker 的兜底控制台（即未经 `hookAsyncContext` 的全部输出）。
+ * @param {MessagePort | import('node:worker_threads').parentPort} [options.port=parentPort] - 递交桥接端口的通道。
+ * @returns {WorkerConsoleBridge} 桥接句柄。
+ */
+export function installWorkerConsoleBridge(options = {}) {
+	const { console: virtualConsole = defaultConsole, port: handshakePort = parentPort } = options
+	if (!handshakePort) throw new TypeError('vc_worker_bridge_no_parent_port')
+	const { port1: port, port2: remotePort } = new MessageChannel()
+	virtualConsole.options.recordOutput = true
+	const forwarder = forwardConsoleEntries(virtualConsole, portSender(port))
+	port.on('message', portListener(forwarder.handleMessage))
+	port.unref()
+	handshakePort.postMessage({ type: WORKER_BRIDGE_MESSAGE_TYPE, threadId: currentThreadId, port: remotePort }, [remotePort])
+
+	return {
+		port,
+		/**
+		 * 停止转发并关闭端口（幂等）。
+		 * @returns {void}
+		 */
+		close() {
+			forwarder.close()
+			port.close()
+		},
+	}
+}
+
+/**
+ * @typedef {object} WorkerAttachment
+ * @property {number} threadId - worker 的 `threadId`（亦写入其各条目）。
+ * @property {() => void} detach - 停止接收并关闭桥接端口；挂起的展开请求被拒绝。
+ */
+
+/**
+ * 父线程侧：等待 worker 递交桥接端口，并将收到的条目交给 `onEntry`（`VirtualConsole#attachWorker` 的实现）。
+ * 应在构造 `Worker` 后立即调用，以免错过递交消息。端口关闭（worker 退出或调用 `close()`）时自动断开。
+ * @param {import('node:worker_threads').Worker} worker - 已安装 {@link installWorkerConsoleBridge} 的 worker。
+ * @param {object} handlers - 写入回调。
+ * @param {boolean} [handlers.supportsAnsi] - 条目渲染是否带 ANSI。
+ * @param {(entry: WorkerLogEntry) => void} handlers.onEntry - 写入新条目。
+ * @param {(entry: WorkerLogEntry) => void} handlers.onUpdate - 已写入的条目被 worker 折叠重复后调用。
+ * @returns {WorkerAttachment} 附着句柄。
+ */
+export function attachWorkerBridge(worker, { supportsAnsi, onEntry, onUpdate }) {
+	const { threadId } = worker
+	/** @type {MessagePort | null} */
+	let port = null
+	let detached = false
+	const receiver = receiveConsoleEntries({
+		createEntry: (payload, requestExpand) => new WorkerLogEntry({ ...payload, threadId }, { supportsAnsi, requestExpand }),
+		send: message => port ? portSender(port)(message) : false,
+		onEntry,
+		onUpdate,
+	})
+	const onPortMessage = portListener(receiver.handleMessage)
+	/**
+	 * @param {unknown} message - worker 经 `parentPort` 发来的消息。
+	 * @returns {void}
+	 */
+	const onWorkerMessage = (message) => {
+		if (message?.type !== WORKER_BRIDGE_MESSAGE_TYPE || !(message.port instanceof MessagePort) || port || detached) return
+		port = message.port
+		port.on('message', onPortMessage)
+		port.once('close', detach)
+		port.unref()
+	}
+	/** @returns {void} worker 退出后不会再递交端口。 */
+	const onWorkerExit = () => {
+		worker.off('message', onWorkerMessage)
+	}
+	/**
+	 * 停止接收并关闭端口（幂等）。
+	 * @returns {void}
+	 */
+	function detach() {
+		if (detached) return
+		detached = true
+		onWorkerExit()
+		worker.off('exit', onWorkerExit)
+		receiver.detach()
+		if (port) {
+			port.off('message', onPortMessage)
+			port.close()
+			port = null
+		}
+	}
+
+	worker.on('message', onWorkerMessage)
+	worker.once('exit', onWorkerExit)
+	return { threadId, detach }
+}
@@ -50,11 +50,16 @@ export interface ArgSnapshotTruncated {
 	label?: string
 }
 
+/** 被 `redact` 规则脱敏的值（渲染为 `[REDACTED]`） */
+export interface ArgSnapshotRedacted {
+	kind: 'redacted'
+}
+
 /**
- * `serializeArgSnapshot` / `toSegments` 产生的 JSON 可传输快照（含 `truncated`）。
+ * `serializeArgSnapshot` / `toSegments` 产生的 JSON 可传输快照（含 `truncated` / `redacted`）。
  * `kind: 'Error'` 时含 **`name`**、**`message`**、**`stack`**（由 `parseErrorStack(error)` 得到的帧数组，平铺字段与 {@link StackFrame} 一致；**不**存原始 `error.stack` 字符串）；另有 **`entries`** 承载其它自有枚举属性。
  */
-export type ArgSnapshot = Record<string, unknown> | ArgSnapshotTruncated
+export type ArgSnapshot = Record<string, unknown> | ArgSnapshotTruncated | ArgSnapshotRedacted
 
 /**
  * 结构化日志片段（与 `LogEntry#toSegments()` 一致，可 JSON 传输）
@@ -67,18 +72,26 @@ export interface DirOptionsPayload {
 	colors?: boolean
 }
 
+/** `table` 片段中的一行：`key` 为索引列文本，`cells` 与列一一对应（`null` 表示该行无此列）。 */
+export interface TableSegmentRow {
+	key: string
+	cells: Array<ArgSnapshot | null>
+}
+
 /**
- * 结构化日志片段：仅 `text` / `css` / `value` / `trace` 四类（可 JSON 传输）。
+ * 结构化日志片段：`text` / `css` / `value` / `trace` / `table` 五类（可 JSON 传输）。
  * - `text`：原始终端字节串（可含 CSI/OSC8）；换行用 `\n` 字符表达。
  * - `css`：`%c` 样式串；`renderAnsi` 映射颜色（真彩色）、粗/斜/划/删、`opacity`/`lighter`/半透明色等（含 SGR dim）；HTML 侧用 `span` 作用域。
  * - `value`：`ArgSnapshot` 树，渲染时格式化为 plain/ANSI/HTML（不再预烘焙 `ansiText`）。
  * - `trace`：已解析的 {@link StackFrame} 数组（与 `LogEntry#stack` 同源，不再嵌套 ArgSnapshot）。
+ * - `table`：`console.table` 的行列数据；`indexHeader` 为 `(index)` 或 `(iteration index)`，单元格为浅层快照。
  */
 export type LogSegment =
 	| { kind: 'text'; text: string }
 	| { kind: 'css'; css: string }
 	| { kind: 'value'; snapshot: ArgSnapshot; dirOptions?: DirOptionsPayload }
 	| { kind: 'trace'; stack: StackFrame[] }
+	| { kind: 'table'; indexHeader: string; columns: string[]; rows: TableSegmentRow[] }
 
 /** 单条日志条目接口 */
 export interface LogEntry {
@@ -88,12 +101,30 @@ export interface LogEntry {
 	method: string
 	/** 原始参数数组（`stdout` / `stderr` 条目为单元素文本数组） */
 	readonly args: unknown[]
-	/** `freshLine` 主 id（非 freshLine 条目可为空） */
-	readonly id?: string
+	/** 全局唯一 id（写入缓冲区时分配；未写入的条目为 `null`） */
+	readonly id: string | null
+	/** 所属控制台内单调递增的写入序号（子控制台与根共用序列；未写入的条目为 `null`） */
+	readonly seq: number | null
+	/** `freshLine` 行 id（仅 freshLine 条目） */
+	readonly lineId?: string
 	/** 调用栈帧数组（两端均支持） */
 	stack: StackFrame[]
 	/** 日志记录时的 Unix 时间戳（毫秒） */
 	timestamp: number
+	/** `console.group` 嵌套深度（组头自身位于外层深度） */
+	readonly groupDepth: number
+	/** 外层分组标签的纯文本（由外到内），长度等于 `groupDepth` */
+	readonly groupPath: string[]
+	/** 上下文字段（`VirtualConsole#child` 的 `fields` 合并结果；普通条目为空对象） */
+	readonly fields: Readonly<Record<string, unknown>>
+	/** 渲染时置于正文前的行首标签（`stdout` / `stderr` 条目恒为空串） */
+	readonly prefix: string
+	/** `collapseRepeats` 下折叠进本条目的重复次数（含自身），默认 1 */
+	readonly repeatCount: number
+	/** 最近一次重复出现的时间戳（未折叠时等于 `timestamp`） */
+	readonly lastTimestamp: number
+	/** 参数与调用栈的估算内存占用（字节，首次读取时计算并缓存），供 `maxLogBytes` 使用 */
+	readonly estimatedBytes: number
 	/** 展示来源：优先片段中首个 Error 的栈帧，否则为捕获调用栈中第一条 */
 	readonly primaryCallsite: StackFrame | null
 	/** 宿主是否允许 ANSI（影响 `value`/`trace` 等着色与 OSC8） */
@@ -119,6 +150,76 @@ export type BaseLogEntry<L extends string = string> = Omit<LogEntry, 'level'> &
 	level: L
 }
 
+/**
+ * `VirtualConsole#query` / `addLogEntryListener` 的过滤条件；所有字段为“与”关系，未指定的字段不参与过滤。
+ */
+export interface EntryFilter {
+	/** 语义级别（`entry.level`）白名单 */
+	levels?: string | string[]
+	/** 来源方法（`entry.method`）白名单 */
+	methods?: string | string[]
+	/** 时间下界（含），与 `entry.timestamp` 比较 */
+	since?: number | Date
+	/** 时间上界（含） */
+	until?: number | Date
+	/** `toPlainText()` 需包含的子串 */
+	text?: string
+	/** `toPlainText()` 需匹配的正则（字符串按 `new RegExp` 编译） */
+	regex?: RegExp | string
+	/** `primaryCallsite.filePath` 需包含的子串或需匹配的正则 */
+	file?: string | RegExp
+	/** `entry.fields` 中各键需严格相等的值；值为正则时匹配其字符串形式 */
+	fields?: Record<string, unknown>
+	/** 最多返回条数（仅 `query`） */
+	limit?: number
+	/** 为 true 时由新到旧返回（仅 `query`） */
+	reverse?: boolean
+}
+
+/** `VirtualConsole#entries` 的选项 */
+export interface EntryIterationOptions {
+	/** 为 true 时遍历完现有条目后继续等待新条目，直到迭代被终止或 `signal` 中止。默认 false */
+	follow?: boolean
+	/** 仅产出命中的条目（同 `query`，忽略 `limit` / `reverse`） */
+	filter?: EntryFilter | ((entry: LogEntry) => boolean)
+	/** 中止时迭代以 `signal.reason` 抛出 */
+	signal?: AbortSignal
+}
+
+/** `VirtualConsole#waitFor` 的选项 */
+export interface WaitForOptions {
+	/** 超时毫秒数；超时后以 `Error('vc_wait_timeout')` 拒绝。默认 Infinity */
+	timeout?: number
+	/** 中止时以 `signal.reason` 拒绝 */
+	signal?: AbortSignal
+}
+
+/** `normalizeEntriesForSnapshot` 的选项 */
+export interface GoldenSnapshotOptions {
+	/**
+	 * 项目根目录：所有字符串（含栈帧路径、Error 栈）中该前缀及其 `file:` URL 形式被去掉，得到项目相对路径。
+	 * 默认 Node 下为 `process.cwd()`、浏览器下为 `location.origin`；传空串则不替换
+	 */
+	rootDir?: string
+	/** 为 true 时 `timestamp` 为相对首个条目的毫秒偏移（含调度抖动，不保证跨运行一致）；默认 false，省略时间戳 */
+	timestamps?: boolean
+	/** 为 true 时剥除所有字符串中的 ANSI / OSC 转义（文本格式改用纯文本渲染）。默认 false */
+	stripAnsi?: boolean
+	/** 为 true 时对象键与对象快照的 `entries` 按键名排序。默认 false */
+	sortKeys?: boolean
+	/**
+	 * 条目调用栈与 Error 快照栈：`'none'` 省略条目 `stack` 并清空 Error 栈；`'project'` 只保留项目相对路径的帧（无 `node:`、`node_modules` 与列号）；
+	 * `'full'` 保留完整栈（随调用位置与 Node 版本变化）。默认 `'none'`
+	 */
+	stacks?: 'none' | 'project' | 'full'
+}
+
+/** `VirtualConsole#toGoldenText` / `formatGoldenText` 的选项 */
+export interface GoldenTextOptions extends GoldenSnapshotOptions {
+	/** `'text'`：每条一行 `[+偏移ms level]` 头部加渲染正文；`'json'`：规范化条目数组的缩进 JSON。默认 `'text'` */
+	format?: 'text' | 'json'
+}
+
 /**
  * 虚拟控制台配置选项基础接口
  */
@@ -138,6 +239,88 @@ export interface BaseVirtualConsoleOptions<VC = unknown, L extends string = Entr
 	baseConsole?: VC | Console
 	/** 最多保留的日志条目数量，超出后自动丢弃最旧的条目。默认 Infinity */
 	maxLogEntries?: number
+	/** 所有条目 `estimatedBytes` 之和的上限，超出后自动丢弃最旧的条目。默认 Infinity */
+	maxLogBytes?: number
+	/** 条目最长保留时间（毫秒），每次写入时丢弃超龄的最旧条目。默认 Infinity */
+	maxEntryAgeMs?: number
+	/** 捕获期过滤：低于此级别（`debug` < `log` = `info` < `warn` < `error`）的输出不记录；自定义级别不受影响 */
+	minLevel?: EntryLevel
+	/** 捕获期过滤：仅记录这些语义级别 */
+	levels?: L[]
+	/** 捕获期过滤：仅记录这些来源方法（`entry.method`） */
+	methods?: string[]
+	/** 捕获期屏蔽：任一规则中指定的字段全部命中即不记录；或自定义判定函数 */
+	mute?: CaptureMuteRule[] | ((call: CaptureCallInfo) => boolean)
+	/** 为 true 时，被上述过滤屏蔽的输出也不透传给 `baseConsole`。默认 false */
+	filterPassthrough?: boolean
+	/**
+	 * 脱敏规则：命中的值在片段、参数快照、`toJSON()`、线路载荷与各渲染结果中被替换；原始 `args` 与透传输出不受影响。
+	 * 传函数时等同于 `{ test }`
+	 */
+	redact?: RedactOptions | ((value: unknown, path: string[]) => boolean)
+	/**
+	 * 为 true 时，与上一条目方法、渲染结果、调用位置与 `fields` 均相同的条目折叠进上一条目（递增 `repeatCount`），
+	 * 不触发条目监听器而触发更新监听器。默认 false
+	 */
+	collapseRepeats?: boolean
+	/**
+	 * 为 true 时，本实例为活动控制台期间的未捕获异常与未处理的 Promise 拒绝（浏览器为 `error` / `unhandledrejection` 事件）
+	 * 记为 `method: 'uncaught'`、级别 `error` 的条目；不改变运行时的默认处理。默认 false
+	 */
+	captureUncaught?: boolean
+}
+
+/** `redact` 选项 */
+export interface RedactOptions {
+	/** 属性名：字符串按不区分大小写全等匹配，正则测试属性名；命中的值整体脱敏 */
+	keys?: Array<string | RegExp>
+	/** 自各参数根起的键路径（`.` 分隔，`*` 匹配任意单段，数组下标为数字段），如 `'db.password'`、`'users.*.token'` */
+	paths?: string[]
+	/** 字符串正则：快照中的字符串值、消息文本与流文本中命中的部分替换为 `[REDACTED]` */
+	values?: RegExp[]
+	/** 自定义判定（`path` 为自参数根起的键路径），返回 true 时该值整体脱敏；抛错时按命中处理 */
+	test?: (value: unknown, path: string[]) => boolean
+}
+
+/** 条目中间件收到的上下文 */
+export interface EntryMiddlewareContext<VC = unknown> {
+	/** 记录该条目的控制台（子控制台记录时为子控制台） */
+	console: VC
+	/** 条目的调用栈（同 `entry.stack`） */
+	stack: StackFrame[]
+	/** 以该条目的调用栈、分组、字段与前缀构造合成条目（不自动写入，需由中间件返回） */
+	createEntry(method: string, args?: unknown[]): LogEntry
+}
+
+/** 中间件返回值：`undefined` / `true` 保留，`false` / `null` 丢弃，条目替换，条目数组扇出 */
+export type EntryMiddlewareResult = LogEntry | LogEntry[] | boolean | null | undefined | void
+
+/** `VirtualConsole#use` 注册的条目中间件 */
+export type EntryMiddleware<VC = unknown> = (
+	entry: LogEntry,
+	context: EntryMiddlewareContext<VC>
+) => EntryMiddlewareResult | Promise<EntryMiddlewareResult>
+
+/** `mute` 选项中的单条屏蔽规则；未指定的字段不参与判断 */
+export interface CaptureMuteRule {
+	/** 调用处（首个带路径的栈帧）路径包含的子串或需匹配的正则 */
+	filePath?: string | RegExp
+	/** 输出纯文本包含的子串或需匹配的正则 */
+	text?: string | RegExp
+	/** 来源方法名 */
+	method?: string | string[]
+	/** 语义级别 */
+	level?: string | string[]
+}
+
+/** `mute` 判定函数收到的调用信息 */
+export interface CaptureCallInfo {
+	method: string
+	level: string
+	args: unknown[]
+	stack: StackFrame[]
+	/** 输出纯文本（首次读取时渲染） */
+	readonly text: string
 }
 
 /**
@@ -158,7 +341,7 @@ export declare const DEFAULT_SNAPSHOT_DEPTH: number
 
 export declare function serializeArgSnapshot(
 	value: unknown,
-	options?: { maxDepth?: number; expansionScope?: object | null }
+	options?: { maxDepth?: number; expansionScope?: object | null; path?: string[] }
 ): ArgSnapshot
 
 export declare function createExpansionScope(entry: object): {
@@ -170,6 +353,10 @@ export declare function expandSnapshotRef(
 	maxDepth?: number
 ): { ok: true; snapshot: ArgSnapshot } | { ok: false; error: string }
 
+export declare function compileEntryFilter(
+	filter: EntryFilter | ((entry: LogEntry) => boolean) | null | undefined
+): (entry: LogEntry) => boolean
+
 export declare function getStackInfo(leadingLinesToSkip?: number): StackFrame[]
 export declare function parseErrorStack(error: unknown, skipNum?: number): StackFrame[]
 export declare function trimLeadingRuntimeInternalFrames(frames: StackFrame[]): StackFrame[]
@@ -178,13 +365,138 @@ export declare function newLogEntry(options: object): LogEntry
 
 export declare function renderPlain(
 	segments: LogSegment[],
-	options?: { indent?: string; maxDepth?: number }
+	options?: {
+		indent?: string
+		maxDepth?: number
+		groupDepth?: number
+		groupIndentation?: number
+		/** 正文前的行首标签 */
+		prefix?: string
+		/** 以 `key=value` 形式接在 `prefix` 之后展示的字段 */
+		fields?: Record<string, unknown>
+		/** 大于 1 时在正文末尾追加 `(×N)` */
+		repeatCount?: number
+	}
 ): string
 export declare function renderAnsi(
 	segments: LogSegment[],
-	options?: { colorize?: boolean; omitPrintfCss?: boolean; indent?: string; maxDepth?: number }
+	options?: {
+		colorize?: boolean
+		omitPrintfCss?: boolean
+		indent?: string
+		maxDepth?: number
+		groupDepth?: number
+		groupIndentation?: number
+		prefix?: string
+		fields?: Record<string, unknown>
+		repeatCount?: number
+	}
 ): string
 export declare function renderHtml(segments: LogSegment[], options?: Record<string, unknown>): string
+/** 按 `groupDepth` 将逐条 HTML 嵌套为 `<details>`（`group` / `groupCollapsed` 条目作为 `<summary>`） */
+export declare function renderGroupedHtml(
+	items: Array<{ html: string; method?: string; groupDepth?: number }>
+): string
+
+/**
+ * 将条目规范化为确定性的 JSON 友好对象：`id` / `ref` 替换为顺序占位符，`seq` / `timestamp` 改为相对首个条目，
+ * 绝对路径改为项目相对路径
+ */
+export declare function normalizeEntriesForSnapshot(
+	entries: Iterable<LogEntry | { toJSON(): Record<string, unknown>; level: string }>,
+	options?: GoldenSnapshotOptions
+): Record<string, unknown>[]
+/** 将条目序列化为确定性的快照文本（供快照测试比对） */
+export declare function formatGoldenText(
+	entries: Iterable<LogEntry | { toJSON(): Record<string, unknown>; level: string }>,
+	options?: GoldenTextOptions
+): string
+
+/** `renderHtmlReport` 的选项 */
+export interface HtmlReportOptions {
+	/** 文档标题与页眉（默认 `'Console capture'`） */
+	title?: string
+	/** 配色（默认 `'auto'`，跟随 `prefers-color-scheme`） */
+	theme?: 'auto' | 'light' | 'dark'
+	/** 调用处与 trace 栈帧的链接地址；未提供或返回假值时使用 `file:` / `http(s):` URL */
+	resolveHref?: (frame: StackFrame) => string | undefined
+}
+/**
+ * 将条目渲染为单个自包含的 HTML 文档（内联样式与脚本）：级别徽标、时间、调用处链接、
+ * 末尾的 Traces 区块，以及按级别与文本的客户端过滤
+ */
+export declare function renderHtmlReport(
+	entries: Iterable<{
+		level: string
+		method: string
+		timestamp?: number
+		groupDepth?: number
+		prefix?: string
+		repeatCount?: number
+		supportsAnsi?: boolean
+		primaryCallsite?: StackFrame | null
+		toSegments(): LogSegment[]
+	}>,
+	options?: HtmlReportOptions
+): string
+
+/** 当前转储格式版本（0 为旧版的 `toJSON()` 裸数组） */
+export declare const ENTRY_EXPORT_SCHEMA_VERSION: number
+
+/** `VirtualConsole#exportEntries` 产出的转储 */
+export interface EntryExport {
+	/** 格式版本 */
+	schemaVersion: number
+	/** 导出时的 Unix 时间戳（毫秒） */
+	exportedAt: number
+	/** 各条目的 `toJSON()`（附 `level`） */
+	entries: Record<string, unknown>[]
+}
+
+/**
+ * 由转储重建的离线条目：`toString` / `toPlainText` / `toHtml` 由保存的片段同步渲染，
+ * 未展开的 `truncated` 节点保持截断显示；原始 `args` 不可恢复（恒为空数组）
+ */
+export declare class OfflineLogEntry {
+	constructor(payload: Record<string, unknown>, options?: { supportsAnsi?: boolean })
+	level: string
+	method: string
+	readonly args: unknown[]
+	readonly id: string | null
+	readonly seq: number | null
+	timestamp: number
+	stack: StackFrame[]
+	/** 保存时的片段 */
+	segments: LogSegment[]
+	readonly groupDepth: number
+	readonly groupPath: string[]
+	readonly fields: Readonly<Record<string, unknown>>
+	readonly prefix: string
+	readonly repeatCount: number
+	readonly lastTimestamp: number
+	/** `freshLine` 行 id（仅 freshLine 条目） */
+	readonly lineId?: string
+	/** 是否为 `groupCollapsed` 组头（仅组头条目） */
+	readonly collapsed?: boolean
+	supportsAnsi: boolean
+	readonly estimatedBytes: number
+	readonly primaryCallsite: StackFrame | null
+	toSegments(): LogSegment[]
+	toString(): string
+	toPlainText(): string
+	toHtml(): string
+	toJSON(): Record<string, unknown>
+}
+
+/** 将条目导出为带版本号的转储对象 */
+export declare function createEntryExport(
+	entries: Iterable<{ level: string; toJSON(): Record<string, unknown> }>
+): EntryExport
+/** 解析转储（对象、JSON 文本或旧版 `toJSON()` 数组）并重建离线条目；版本不受支持时抛出 `TypeError` */
+export declare function parseEntryExport(
+	dump: EntryExport | Record<string, unknown>[] | string,
+	options?: { supportsAnsi?: boolean }
+): OfflineLogEntry[]
 
 export declare function stripTerminalDecorations(text: string): string
 export declare function stripOscTitleSequences(text: string): string
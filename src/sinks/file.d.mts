@@ -0,0 +1,49 @@
+import type { EntryFilter, LogEntry } from '../shared.d.mts'
+
+/** 文件格式：`jsonl` 每行一条 `entry.toJSON()`；`plain` 为 `toPlainText()`；`ansi` 为 `toString()` */
+export type FileSinkFormat = 'jsonl' | 'plain' | 'ansi'
+
+/** 轮转策略 */
+export interface FileSinkRotateOptions {
+	/** 当前文件写入下一条后将超过该字节数时先轮转（单条超过上限时独占一个文件）。默认 Infinity */
+	maxBytes?: number
+	/** 保留的历史文件数（`path.1` 最新，`path.N` 最旧）；为 0 时轮转直接丢弃旧内容。默认 5 */
+	maxFiles?: number
+	/** 当前文件自打开起超过该毫秒数后，下一次写入前先轮转。默认 Infinity */
+	interval?: number
+}
+
+export interface FileSinkOptions {
+	/** 输出文件路径（父目录不存在时自动创建；已存在时追加） */
+	path: string
+	/** 默认 `'jsonl'` */
+	format?: FileSinkFormat
+	/** 仅写入命中的条目（同 `addLogEntryListener` 的 `filter`） */
+	filter?: EntryFilter | ((entry: LogEntry) => boolean)
+	/** 轮转策略；未指定时不轮转 */
+	rotate?: FileSinkRotateOptions
+	/** 为 true 时在 `beforeExit` 异步刷新，并在 `exit` 时同步补写仍在缓冲中的文本。默认 true */
+	flushOnExit?: boolean
+	/** 文件操作或条目格式化失败时调用；默认忽略。文件操作失败时 `unwritten` 为未能写出的文本（不重试） */
+	onError?: (error: unknown, unwritten?: string) => void
+}
+
+export interface FileSink {
+	/** 输出文件路径 */
+	readonly path: string
+	/** 将缓冲中的文本全部写入文件 */
+	flush(): Promise<void>
+	/** 刷新后立即轮转 */
+	rotate(): Promise<void>
+	/** 取消订阅、刷新并关闭文件 */
+	close(): Promise<void>
+}
+
+/** 将控制台的新条目缓冲后异步追加到文件，可按大小 / 时间轮转（仅 Node） */
+export declare function createFileSink(
+	virtualConsole: {
+		addLogEntryListener(fn: (entry: LogEntry) => void, filter?: EntryFilter | ((entry: LogEntry) => boolean)): void
+		removeLogEntryListener(fn: (entry: LogEntry) => void): void
+	},
+	options: FileSinkOptions
+): FileSink
@@ -0,0 +1,221 @@
+/**
+ * 文件输出（仅 Node）：经 `addLogEntryListener` 订阅条目，缓冲后异步追加到文件，可按大小 / 时间轮转，进程退出时补写未落盘的部分。
+ */
+
+import { appendFileSync, mkdirSync } from 'node:fs'
+import { mkdir, open, rename, rm } from 'node:fs/promises'
+import { dirname } from 'node:path'
+import process from 'node:process'
+
+/**
+ * @typedef {'jsonl' | 'plain' | 'ansi'} FileSinkFormat
+ */
+
+/**
+ * @typedef {object} FileSinkRotateOptions
+ * @property {number} [maxBytes=Infinity] - 当前文件写入下一条后将超过该字节数时先轮转（单条超过上限时独占一个文件）。
+ * @property {number} [maxFiles=5] - 保留的历史文件数（`path.1` 最新，`path.N` 最旧）；为 0 时轮转直接丢弃旧内容。
+ * @property {number} [interval=Infinity] - 当前文件自打开起超过该毫秒数后，下一次写入前先轮转。
+ */
+
+/**
+ * @typedef {object} FileSinkOptions
+ * @property {string} path - 输出文件路径（父目录不存在时自动创建；已存在时追加）。
+ * @property {FileSinkFormat} [format='jsonl'] - `jsonl` 每行一条 `entry.toJSON()`；`plain` 为 `toPlainText()`；`ansi` 为 `toString()`。
+ * @property {import('../core/query.mjs').EntryFilter | ((entry: import('../core/entries.mjs').LogEntry) => boolean)} [filter] - 仅写入命中的条目（同 `addLogEntryListener` 的 `filter`）。
+ * @property {FileSinkRotateOptions} [rotate] - 轮转策略；未指定时不轮转。
+ * @property {boolean} [flushOnExit=true] - 为 true 时在 `beforeExit` 异步刷新，并在 `exit` 时同步补写仍在缓冲中的文本。
+ * @property {(error: unknown, unwritten?: string) => void} [onError] - 文件操作或条目格式化失败时调用；默认忽略（不写回控制台，以免自激）。
+ *   文件操作失败时 `unwritten` 为未能写出的文本（不重试，由调用方决定如何保存）。
+ */
+
+/**
+ * @typedef {object} FileSink
+ * @property {string} path - 当前输出文件路径。
+ * @property {() => Promise<void>} flush - 将缓冲中的文本全部写入文件。
+ * @property {() => Promise<void>} rotate - 刷新后立即轮转。
+ * @property {() => Promise<void>} close - 取消订阅、刷新并关闭文件。
+ */
+
+/** @type {Record<FileSinkFormat, (entry: import('../core/entries.mjs').LogEntry) => string>} */
+const formatters = {
+	jsonl: entry => JSON.stringify(entry.toJSON()) + '\n',
+	plain: entry => entry.toPlainText(),
+	ansi: entry => entry.toString(),
+}
+
+/**
+ * @param {unknown} error - `rename` 抛出的错误。
+ * @returns {void}
+ */
+function ignoreMissing(error) {
+	if (error?.code !== 'ENOENT') throw error
+}
+
+/**
+ * 将控制台的新条目持续写入文件。
+ * 写入在同一异步队列中串行执行：轮转期间到达的条目留在缓冲区，轮转完成后写入新文件，不会交错或丢失。
+ * @param {{
+ *   addLogEntryListener: (fn: (entry: import('../core/entries.mjs').LogEntry) => void, filter?: FileSinkOptions['filter']) => void
+ *   removeLogEntryListener: (fn: (entry: import('../core/entries.mjs').LogEntry) => void) => void
+ * }} virtualConsole - 条目来源（通常为 `VirtualConsole`）。
+ * @param {FileSinkOptions} options - 文件与轮转选项。
+ * @returns {FileSink} 文件输出句柄。
+ */
+export function createFileSink(virtualConsole, options) {
+	const { path, format = 'jsonl', filter, rotate = {}, flushOnExit = true, onError = () => { } } = options
+	const formatEntry = formatters[format]
+	if (!formatEntry) throw new TypeError(`vc_file_sink_unknown_format: ${format}`)
+	const { maxBytes = Infinity, maxFiles = 5, interval = Infinity } = rotate
+	/** @type {string[]} 尚未写入的文本（每条一个元素） */
+	let pending = []
+	/** @type {string[]} 已从 `pending` 取出、尚未确认写入的文本；`exit` 时与 `pending` 一并补写 */
+	let inFlight = []
+	/** @type {import('node:fs/promises').FileHandle | null} */
+	let handle = null
+	let size = 0
+	let openedAt = 0
+	let scheduled = false
+	/** @type {Promise<void>} 串行化的文件操作队列 */
+	let queue = Promise.resolve()
+
+	/**
+	 * 将任务排入文件操作队列；失败交给 `onError`，不中断后续任务。
+	 * @param {() => Promise<void>} task - 文件操作。
+	 * @returns {Promise<void>} 该任务完成后兑现。
+	 */
+	const enqueue = task => queue = queue.then(task).catch(onError)
+
+	/** @returns {Promise<void>} */
+	const openFile = async () => {
+		await mkdir(dirname(path), { recursive: true })
+		handle = await open(path, 'a')
+		size = (await handle.stat()).size
+		openedAt = Date.now()
+	}
+
+	/** @returns {Promise<void>} 关闭当前文件，依次后移历史文件后重新打开。 */
+	const rotateFiles = async () => {
+		await handle?.close()
+		handle = null
+		if (maxFiles < 1) await rm(path, { force: true })
+		else {
+			await rm(`${path}.${maxFiles}`, { force: true })
+			for (let index = maxFiles - 1; index >= 1; index--)
+				await rename(`${path}.${index}`, `${path}.${index + 1}`).catch(ignoreMissing)
+			await rename(path, `${path}.1`).catch(ignoreMissing)
+		}
+		await openFile()
+	}
+
+	/**
+	 * 写出缓冲中的全部文本，按条目边界检查轮转。
+	 * 文件操作失败时，本批未写出的文本随错误交给 `onError`，其后的缓冲留待下次刷新。
+	 * @returns {Promise<void>}
+	 */
+	const drain = async () => {
+		while (pending.length) {
+			const chunks = inFlight = pending
+			pending = []
+			try {
+				if (!handle) await openFile()
+				let batch = ''
+				let batchBytes = 0
+				for (const [index, chunk] of chunks.entries()) {
+					const bytes = Buffer.byteLength(chunk)
+					const written = size + batchBytes
+					if (written && (written + bytes > maxBytes || Date.now() - openedAt >= interval)) {
+						if (batch) await handle.write(batch)
+						inFlight = chunks.slice(index)
+						batch = ''
+						batchBytes = 0
+						await rotateFiles()
+					}
+					batch += chunk
+					batchBytes += bytes
+				}
+				if (batch) await handle.write(batch)
+				size += batchBytes
+			}
+			catch (error) {
+				return onError(error, inFlight.join(''))
+			}
+			finally {
+				inFlight = []
+			}
+		}
+	}
+
+	/** @returns {Promise<void>} */
+	const flush = () => enqueue(drain)
+
+	/**
+	 * @param {import('../core/entries.mjs').LogEntry} entry - 新条目。
+	 * @returns {void}
+	 */
+	const onEntry = (entry) => {
+		try {
+			pending.push(formatEntry(entry))
+		}
+		catch (error) {
+			return onError(error)
+		}
+		if (scheduled) return
+		scheduled = true
+		setImmediate(() => {
+			scheduled = false
+			flush()
+		})
+	}
+	/** @returns {void} 事件循环将空时异步刷新（仅在有待写文本时，避免反复唤醒）。 */
+	const onBeforeExit = () => {
+		if (pending.length) flush()
+	}
+	/**
+	 * 退出时同步补写尚未确认写入的文本（不再轮转）。
+	 * 进行中的异步写入可能已落盘而未兑现，此时该批会重复写出一次；宁可重复也不丢失。
+	 * @returns {void}
+	 */
+	const onExit = () => {
+		const text = inFlight.join('') + pending.join('')
+		inFlight = []
+		pending = []
+		if (text) try {
+			mkdirSync(dirname(path), { recursive: true })
+			appendFileSync(path, text)
+		}
+		catch (error) {
+			onError(error, text)
+		}
+	}
+
+	virtualConsole.addLogEntryListener(onEntry, filter)
+	if (flushOnExit) {
+		process.on('beforeExit', onBeforeExit)
+		process.on('exit', onExit)
+	}
+
+	return {
+		path,
+		flush,
+		rotate: () => enqueue(async () => {
+			await drain()
+			if (!handle) await openFile()
+			await rotateFiles()
+		}),
+		/**
+		 * 取消订阅、刷新并关闭文件（幂等）。
+		 * @returns {Promise<void>} 文件关闭后兑现。
+		 */
+		close() {
+			virtualConsole.removeLogEntryListener(onEntry)
+			process.off('beforeExit', onBeforeExit)
+			process.off('exit', onExit)
+			return enqueue(async () => {
+				await drain()
+				await handle?.close()
+				handle = null
+			})
+		},
+	}
+}
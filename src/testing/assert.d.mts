@@ -0,0 +1,33 @@
+import type { EntryFilter, LogEntry } from '../shared.d.mts'
+
+/**
+ * 条目匹配条件：字符串为 `toPlainText()` 子串，正则匹配 `toPlainText()`，对象同 `VirtualConsole#query` 的过滤条件，函数为自定义谓词。
+ */
+export type EntryMatcher = string | RegExp | EntryFilter | ((entry: LogEntry) => boolean)
+
+/** 断言目标：虚拟控制台（读取其 `outputEntries`）或条目数组 */
+export type AssertionTarget = { outputEntries: LogEntry[] } | LogEntry[]
+
+/** 断言失败错误：Node 下即 `node:assert` 的 `AssertionError`；其他环境为同形实现（`name`、`code` 与 `actual` / `expected` / `operator`） */
+export declare class AssertionError extends Error {
+	constructor(options: { message: string; actual?: unknown; expected?: unknown; operator?: string; stackStartFn?: Function })
+	actual: unknown
+	expected: unknown
+	operator: string
+	code: 'ERR_ASSERTION'
+}
+
+/** 断言至少有一条捕获条目命中 `matcher`，返回第一条命中的条目 */
+export declare function assertLogged(vc: AssertionTarget, matcher: EntryMatcher, message?: string): LogEntry
+
+/** 断言没有任何捕获条目命中 `matcher` */
+export declare function assertNotLogged(vc: AssertionTarget, matcher: EntryMatcher, message?: string): void
+
+/** 断言没有 `level` 为 `error` 的捕获条目 */
+export declare function assertNoErrors(vc: AssertionTarget, message?: string): void
+
+/** 断言 `matchers` 按写入顺序依次命中（中间可夹杂其他条目），返回各自命中的条目 */
+export declare function assertLogOrder(vc: AssertionTarget, matchers: EntryMatcher[], message?: string): LogEntry[]
+
+/** 断言 `expected` 中列出的各语义级别的条目数 */
+export declare function assertLevelCounts(vc: AssertionTarget, expected: Record<string, number>, message?: string): void
@@ -0,0 +1,296 @@
+/**
+ * 针对捕获输出的断言（`node:assert` 风格）：失败时抛出 `AssertionError`，消息附带最接近处的日志摘录。
+ */
+
+import { AssertionError } from '#assertion-error'
+
+import { compileEntryFilter } from '../core/query.mjs'
+
+export { AssertionError }
+
+/** 摘录中目标条目前后各展示的条目数。 */
+const EXCERPT_CONTEXT = 2
+/** 摘录中单条目文本的最大字符数。 */
+const EXCERPT_LINE_LIMIT = 200
+
+/**
+ * @typedef {string | RegExp | import('../core/query.mjs').EntryFilter | ((entry: import('../core/entries.mjs').LogEntry) => boolean)} EntryMatcher
+ * 字符串：`toPlainText()` 包含该子串；正则：`toPlainText()` 匹配；对象：同 `VirtualConsole#query` 的过滤条件；函数：自定义谓词。
+ */
+
+/**
+ * @param {{ outputEntries: import('../core/entries.mjs').LogEntry[] } | import('../core/entries.mjs').LogEntry[]} source - 虚拟控制台或条目数组。
+ * @returns {import('../core/entries.mjs').LogEntry[]} 条目快照（旧 → 新）。
+ */
+function getEntries(source) {
+	return [...source.outputEntries ?? source]
+}
+
+/**
+ * @param {EntryMatcher} matcher - 匹配条件。
+ * @returns {import('../core/query.mjs').EntryFilter | ((entry: import('../core/entries.mjs').LogEntry) => boolean)} 供 `compileEntryFilter` 使用的形式。
+ */
+function toFilter(matcher) {
+	if (typeof matcher === 'string') return { text: matcher }
+	if (matcher instanceof RegExp) return { regex: matcher }
+	return matcher
+}
+
+/**
+ * @param {EntryMatcher} matcher - 匹配条件。
+ * @returns {string} 用于失败消息的描述。
+ */
+function describeMatcher(matcher) {
+	if (typeof matcher === 'string') return JSON.stringify(matcher)
+	if (matcher instanceof RegExp) return String(matcher)
+	if (matcher instanceof Function) return `predicate ${matcher.name || '<anonymous>'}`
+	return JSON.stringify(matcher, (key, value) => value instanceof RegExp ? String(value) : value)
+}
+
+/**
+ * @param {import('../core/entries.mjs').LogEntry} entry - 日志条目。
+ * @returns {string} 去掉末尾换行的纯文本。
+ */
+function entryText(entry) {
+	return entry.toPlainText().replace(/\n$/, '')
+}
+
+/**
+ * @param {string} text - 文本。
+ * @returns {Map<string, number>} 字符二元组计数。
+ */
+function bigrams(text) {
+	const counts = new Map()
+	for (let index = 0; index < text.length - 1; index++) {
+		const pair = text.slice(index, index + 2)
+		counts.set(pair, (counts.get(pair) ?? 0) + 1)
+	}
+	return counts
+}
+
+/**
+ * 二元组 Dice 系数，衡量两段文本的相似度。
+ * @param {string} a - 文本 a。
+ * @param {string} b - 文本 b。
+ * @returns {number} 0 到 1 之间的相似度。
+ */
+function similarity(a, b) {
+	if (!a || !b) return 0
+	if (b.includes(a)) return 1
+	const left = bigrams(a)
+	const right = bigrams(b)
+	let overlap = 0
+	for (const [pair, count] of left) overlap += Math.min(count, right.get(pair) ?? 0)
+	const total = Math.max(a.length - 1, 0) + Math.max(b.length - 1, 0)
+	return total ? 2 * overlap / total : 0
+}
+
+/**
+ * 估计条目与匹配条件的接近程度：过滤对象按满足的字段数计分，文本条件按相似度计分。
+ * @param {EntryMatcher} matcher - 匹配条件。
+ * @param {import('../core/entries.mjs').LogEntry} entry - 日志条目。
+ * @returns {number} 分值，越大越接近；无法评估时为 0。
+ */
+function closeness(matcher, entry) {
+	if (typeof matcher === 'string') return similarity(matcher, entryText(entry))
+	if (matcher instanceof RegExp) return similarity(matcher.source, entryText(entry))
+	if (matcher instanceof Function || !matcher) return 0
+	let score = 0
+	for (const [key, value] of Object.entries(matcher)) {
+		if (key === 'limit' || key === 'reverse') continue
+		if (compileEntryFilter({ [key]: value })(entry)) score++
+		else if (key === 'text') score += similarity(String(value), entryText(entry))
+	}
+	return score
+}
+
+/**
+ * @param {import('../core/entries.mjs').LogEntry[]} entries - 全部条目。
+ * @param {EntryMatcher} matcher - 匹配条件。
+ * @returns {number} 最接近条目的下标；全部无法评估时为 -1。
+ */
+function findClosest(entries, matcher) {
+	let best = -1
+	let bestScore = 0
+	entries.forEach((entry, index) => {
+		const score = closeness(matcher, entry)
+		if (score > bestScore) {
+			best = index
+			bestScore = score
+		}
+	})
+	return best
+}
+
+/**
+ * 渲染以 `focus` 为中心的日志摘录；`focus` 为 -1 时展示末尾若干条。
+ * @param {import('../core/entries.mjs').LogEntry[]} entries - 全部条目。
+ * @param {number} focus - 目标条目下标。
+ * @returns {string} 多行摘录文本。
+ */
+function renderExcerpt(entries, focus) {
+	if (!entries.length) return '  (no entries captured)'
+	const center = focus < 0 ? entries.length - 1 : focus
+	const start = Math.max(0, center - EXCERPT_CONTEXT)
+	const end = Math.min(entries.length, center + EXCERPT_CONTEXT + 1)
+	const width = String(end - 1).length
+	const lines = []
+	if (start > 0) lines.push(`    ${' '.repeat(width)}   … ${start} earlier`)
+	for (let index = start; index < end; index++) {
+		const entry = entries[index]
+		let text = entryText(entry).replace(/\n/g, '\n' + ' '.repeat(width + 15))
+		if (text.length > EXCERPT_LINE_LIMIT) text = text.slice(0, EXCERPT_LINE_LIMIT) + '…'
+		const marker = index === focus ? '>' : ' '
+		lines.push(`  ${marker} ${String(index).padStart(width)} | ${entry.level.padEnd(5)} | ${text}`)
+	}
+	if (end < entries.length) lines.push(`    ${' '.repeat(width)}   … ${entries.length - end} later`)
+	return lines.join('\n')
+}
+
+/**
+ * @param {string} summary - 失败概述。
+ * @param {import('../core/entries.mjs').LogEntry[]} entries - 全部条目。
+ * @param {number} focus - 摘录中心。
+ * @param {string} label - 摘录标题。
+ * @param {string | undefined} message - 调用方自定义消息（优先于概述）。
+ * @returns {string} 完整失败消息。
+ */
+function formatFailure(summary, entries, focus, label, message) {
+	return `${message ?? summary}\n${label}:\n${renderExcerpt(entries, focus)}`
+}
+
+/**
+ * 断言至少有一条捕获条目命中 `matcher`。
+ * @param {{ outputEntries: import('../core/entries.mjs').LogEntry[] } | import('../core/entries.mjs').LogEntry[]} vc - 虚拟控制台或条目数组。
+ * @param {EntryMatcher} matcher - 匹配条件。
+ * @param {string} [message] - 自定义失败消息。
+ * @returns {import('../core/entries.mjs').LogEntry} 第一条命中的条目。
+ */
+export function assertLogged(vc, matcher, message) {
+	const entries = getEntries(vc)
+	const entry = entries.find(compileEntryFilter(toFilter(matcher)))
+	if (entry) return entry
+	const closest = findClosest(entries, matcher)
+	throw new AssertionError({
+		message: formatFailure(
+			`Expected an entry matching ${describeMatcher(matcher)}, but none of ${entries.length} captured entries matched.`,
+			entries, closest, closest < 0 ? 'Last captured entries' : `Closest entry (#${closest})`, message,
+		),
+		actual: entries.map(entryText),
+		expected: matcher,
+		operator: 'assertLogged',
+		stackStartFn: assertLogged,
+	})
+}
+
+/**
+ * 断言没有任何捕获条目命中 `matcher`。
+ * @param {{ outputEntries: import('../core/entries.mjs').LogEntry[] } | import('../core/entries.mjs').LogEntry[]} vc - 虚拟控制台或条目数组。
+ * @param {EntryMatcher} matcher - 匹配条件。
+ * @param {string} [message] - 自定义失败消息。
+ * @returns {void}
+ */
+export function assertNotLogged(vc, matcher, message) {
+	const entries = getEntries(vc)
+	const index = entries.findIndex(compileEntryFilter(toFilter(matcher)))
+	if (index < 0) return
+	throw new AssertionError({
+		message: formatFailure(
+			`Expected no entry matching ${describeMatcher(matcher)}, but entry #${index} matched.`,
+			entries, index, `Matching entry (#${index})`, message,
+		),
+		actual: entryText(entries[index]),
+		expected: matcher,
+		operator: 'assertNotLogged',
+		stackStartFn: assertNotLogged,
+	})
+}
+
+/**
+ * 断言没有 `level` 为 `error` 的捕获条目（含失败的 `console.assert` 与 Node `stderr`）。
+ * @param {{ outputEntries: import('../core/entries.mjs').LogEntry[] } | import('../core/entries.mjs').LogEntry[]} vc - 虚拟控制台或条目数组。
+ * @param {string} [message] - 自定义失败消息。
+ * @returns {void}
+ */
+export function assertNoErrors(vc, message) {
+	const entries = getEntries(vc)
+	const errors = entries.filter(entry => entry.level === 'error')
+	if (!errors.length) return
+	const index = entries.indexOf(errors[0])
+	throw new AssertionError({
+		message: formatFailure(
+			`Expected no error entries, but found ${errors.length}.`,
+			entries, index, `First error (#${index})`, message,
+		),
+		actual: errors.map(entryText),
+		expected: [],
+		operator: 'assertNoErrors',
+		stackStartFn: assertNoErrors,
+	})
+}
+
+/**
+ * 断言 `matchers` 依次命中捕获条目（按写入顺序，中间可夹杂其他条目；每条条目至多匹配一个 matcher）。
+ * @param {{ outputEntries: import('../core/entries.mjs').LogEntry[] } | import('../core/entries.mjs').LogEntry[]} vc - 虚拟控制台或条目数组。
+ * @param {EntryMatcher[]} matchers - 期望的先后顺序。
+ * @param {string} [message] - 自定义失败消息。
+ * @returns {import('../core/entries.mjs').LogEntry[]} 各 matcher 依次命中的条目。
+ */
+export function assertLogOrder(vc, matchers, message) {
+	const entries = getEntries(vc)
+	const matched = []
+	let cursor = 0
+	for (const [position, matcher] of matchers.entries()) {
+		const predicate = compileEntryFilter(toFilter(matcher))
+		const offset = entries.slice(cursor).findIndex(predicate)
+		if (offset >= 0) {
+			matched.push(entries[cursor + offset])
+			cursor += offset + 1
+			continue
+		}
+		const earlier = entries.slice(0, cursor).findIndex(predicate)
+		const focus = earlier >= 0 ? earlier : findClosest(entries, matcher)
+		const after = position ? ` after entry #${cursor - 1} (matched by ${describeMatcher(matchers[position - 1])})` : ''
+		const found = earlier >= 0 ? `, but the only match is earlier, at entry #${earlier}` : ', but none was found'
+		throw new AssertionError({
+			message: formatFailure(
+				`Expected ${describeMatcher(matcher)} (step ${position + 1} of ${matchers.length})${after}${found}.`,
+				entries, focus, focus < 0 ? 'Last captured entries' : earlier >= 0 ? `Earlier match (#${earlier})` : `Closest entry (#${focus})`, message,
+			),
+			actual: entries.map(entryText),
+			expected: matchers,
+			operator: 'assertLogOrder',
+			stackStartFn: assertLogOrder,
+		})
+	}
+	return matched
+}
+
+/**
+ * 断言各语义级别的条目数；只检查 `expected` 中列出的级别。
+ * @param {{ outputEntries: import('../core/entries.mjs').LogEntry[] } | import('../core/entries.mjs').LogEntry[]} vc - 虚拟控制台或条目数组。
+ * @param {Record<string, number>} expected - 级别 → 期望条数。
+ * @param {string} [message] - 自定义失败消息。
+ * @returns {void}
+ */
+export function assertLevelCounts(vc, expected, message) {
+	const entries = getEntries(vc)
+	const actual = {}
+	for (const level of Object.keys(expected)) actual[level] = 0
+	for (const entry of entries) if (entry.level in actual) actual[entry.level]++
+	const mismatched = Object.keys(expected).filter(level => actual[level] !== expected[level])
+	if (!mismatched.length) return
+	const details = mismatched.map(level => `${level}: expected ${expected[level]}, got ${actual[level]}`).join('; ')
+	const extraLevel = mismatched.find(level => actual[level] > expected[level])
+	const focus = extraLevel ? entries.findLastIndex(entry => entry.level === extraLevel) : -1
+	throw new AssertionError({
+		message: formatFailure(
+			`Level counts differ (${details}).`,
+			entries, focus, focus < 0 ? 'Last captured entries' : `Last ${extraLevel} entry (#${focus})`, message,
+		),
+		actual,
+		expected,
+		operator: 'assertLevelCounts',
+		stackStartFn: assertLevelCounts,
+	})
+}
@@ -0,0 +1,22 @@
+/**
+ * 非 Node 环境（浏览器、打包器）的断言失败错误：不依赖 `node:` 内置模块。Node 下经包内导入条件改用 {@link ./assertion-error.node.mjs}。
+ */
+
+/**
+ * 断言失败错误：与 `node:assert` 的 `AssertionError` 同形（`name`、`code: 'ERR_ASSERTION'`、`actual` / `expected` / `operator`），
+ * 测试运行器据此识别断言失败。
+ */
+export class AssertionError extends Error {
+	name = 'AssertionError'
+	code = 'ERR_ASSERTION'
+	/**
+	 * @param {{ message: string, actual?: unknown, expected?: unknown, operator?: string, stackStartFn?: Function }} options - 断言信息。
+	 */
+	constructor({ message, actual, expected, operator, stackStartFn }) {
+		super(message)
+		this.actual = actual
+		this.expected = expected
+		this.operator = operator
+		Error.captureStackTrace?.(this, stackStartFn)
+	}
+}
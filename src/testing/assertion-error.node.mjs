@@ -0,0 +1,5 @@
+/**
+ * Node 下的断言失败错误：直接使用 `node:assert` 的 `AssertionError`，`instanceof` 与 `assert.rejects` 等检查均可识别。
+ */
+
+export { AssertionError } from 'node:assert'
@@ -22,6 +22,10 @@ export type LogWireClientHandlers = {
 	onSnapshot?: (entries: AnyWireLogEntry[]) => void | Promise<void>
 	onAppend?: (entry: AnyWireLogEntry) => void | Promise<void>
 	onClear?: () => void | Promise<void>
+	/** 宿主已按保留策略丢弃的条目 `id` 列表；本地缓冲应移除同 `id` 的条目 */
+	onEvict?: (ids: string[]) => void | Promise<void>
+	/** 宿主已有条目被折叠重复；对本地同 `id` 的条目调用 `applyUpdate` */
+	onUpdate?: (update: { id: string; repeatCount: number; lastTimestamp: number }) => void | Promise<void>
 	onUnknown?: (raw: object) => void | Promise<void>
 	extensionHandlers?: Record<string, (raw: object) => void | Promise<void>>
 	/** 仅在 JSON 解析失败时调用。 */
@@ -23,6 +23,8 @@ const defaultSupportsAnsi = supportsAnsi
  * @property {function(Array<ReturnType<typeof createWireLogEntryFromJson>>): void | Promise<void>} [onSnapshot]
  * @property {function(ReturnType<typeof createWireLogEntryFromJson>): void | Promise<void>} [onAppend]
  * @property {function(): void | Promise<void>} [onClear]
+ * @property {function(string[]): void | Promise<void>} [onEvict] - 宿主已丢弃的条目 `id` 列表；本地缓冲应移除同 `id` 的条目。
+ * @property {function({ id: string, repeatCount: number, lastTimestamp: number }): void | Promise<void>} [onUpdate] - 宿主已有条目被折叠重复；对本地同 `id` 的条目调用 `applyUpdate`。
  * @property {Record<string, function(object): void>} [extensionHandlers]
  * @property {function(object): void} [onUnknown]
  * @property {function(Error, unknown): void} [onParseError] - `JSON.parse` 失败时调用。
@@ -55,6 +57,8 @@ export function attachLogWire(ws, {
 	onSnapshot,
 	onAppend,
 	onClear,
+	onEvict,
+	onUpdate,
 	onUnknown,
 	extensionHandlers,
 	onParseError,
@@ -178,6 +182,8 @@ export function attachLogWire(ws, {
 				onSnapshot: dispatchSnapshot,
 				onAppend: dispatchAppend,
 				onClear,
+				onEvict,
+				onUpdate,
 				extensionHandlers,
 				/**
 				 * 兑现 {@link pendingExpands} 中的 `requestExpand` Promise。
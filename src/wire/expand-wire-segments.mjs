@@ -37,7 +37,7 @@ function collectTruncatedRefsInSnapshot(snap, refsToMinDepth, depth) {
 
 /**
  * @param {import('../shared.d.mts').LogSegment[]} segments - 片段数组。
- * @returns {Generator<{ get: () => unknown, set: (v: unknown) => void }>} 各快照挂载点的读写句柄。
+ * @returns {Generator<{ get: () => unknown, set: (v: unknown) => void }>} 各快照挂载点（`value` 段与 `table` 单元格）的读写句柄。
  */
 function* iterSegmentSnapshotSlots(segments) {
 	for (const seg of segments)
@@ -53,6 +53,21 @@ function* iterSegmentSnapshotSlots(segments) {
 				 */
 				set: (v) => { seg.snapshot = v },
 			}
+		else if (seg.kind === 'table')
+			for (const row of seg.rows ?? [])
+				for (let i = 0; i < row.cells.length; i++)
+					if (row.cells[i])
+						yield {
+							/**
+							 * @returns {unknown} 当前表格单元格快照根。
+							 */
+							get: () => row.cells[i],
+							/**
+							 * @param {unknown} v - 替换后的快照根。
+							 * @returns {void}
+							 */
+							set: (v) => { row.cells[i] = v },
+						}
 }
 
 /**
@@ -5,6 +5,8 @@ export declare const logWirePayloadTypes: Readonly<{
 	EXPAND_RESULT: string
 	CLEAR_REQUEST: string
 	CLEARED: string
+	EVICTED: string
+	UPDATED: string
 }>
 
 export declare function dispatchLogWireMessage(
@@ -20,6 +22,10 @@ export declare function dispatchLogWireMessage(
 			raw: object
 		}) => void | Promise<void>
 		onClear?: () => void | Promise<void>
+		/** `vc_log_evicted`：宿主已丢弃的条目 `id` 列表 */
+		onEvict?: (ids: string[]) => void | Promise<void>
+		/** `vc_log_update`：宿主已有条目的重复次数与最近时间戳变化 */
+		onUpdate?: (update: { id: string; repeatCount: number; lastTimestamp: number }) => void | Promise<void>
 		onUnknown?: (raw: object) => void | Promise<void>
 		extensionHandlers?: Record<string, (raw: object) => void | Promise<void>>
 	}
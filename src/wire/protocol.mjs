@@ -13,6 +13,8 @@ export const logWirePayloadTypes = Object.freeze({
 	EXPAND_RESULT: 'vc_expand_result',
 	CLEAR_REQUEST: 'vc_clear_request',
 	CLEARED: 'vc_log_cleared',
+	EVICTED: 'vc_log_evicted',
+	UPDATED: 'vc_log_update',
 })
 
 /** WebSocket.OPEN（浏览器与 ws 一致） */
@@ -26,6 +28,8 @@ export const WS_OPEN = 1
  * @param {function(unknown): void | Promise<void>} [handlers.onAppend] - `vc_log_append`：单条 `entry` 载荷。
  * @param {function({ ref: string, ok: boolean, snapshot?: unknown, error?: string, raw: object }): void | Promise<void>} [handlers.onExpandResult] - `vc_expand_result`：惰性展开结果。
  * @param {function(): void | Promise<void>} [handlers.onClear] - `vc_log_cleared`：宿主缓冲已清空。
+ * @param {function(string[]): void | Promise<void>} [handlers.onEvict] - `vc_log_evicted`：宿主已按保留策略丢弃的条目 `id` 列表。
+ * @param {function({ id: string, repeatCount: number, lastTimestamp: number }): void | Promise<void>} [handlers.onUpdate] - `vc_log_update`：宿主已有条目的重复次数与最近时间戳变化。
  * @param {function(object): void | Promise<void>} [handlers.onUnknown] - 未命中内置与 `extensionHandlers` 时的兜底。
  * @param {Record<string, (raw: object) => void | Promise<void>>} [handlers.extensionHandlers] - 按自定义 `type` 字符串路由。
  * @returns {Promise<boolean>} 若识别并分发任一已知 `type` 则为 `true`，否则 `false`。
@@ -38,6 +42,8 @@ export async function dispatchLogWireMessage(parsed, handlers = {}) {
 		onAppend,
 		onExpandResult,
 		onClear,
+		onEvict,
+		onUpdate,
 		onUnknown,
 		extensionHandlers = {},
 	} = handlers
@@ -65,6 +71,19 @@ export async function dispatchLogWireMessage(parsed, handlers = {}) {
 		await onClear?.()
 		return true
 	}
+	if (messageType === logWirePayloadTypes.EVICTED) {
+		const ids = message.ids
+		await onEvict?.(Array.isArray(ids) ? ids.map(String) : [])
+		return true
+	}
+	if (messageType === logWirePayloadTypes.UPDATED) {
+		await onUpdate?.({
+			id: String(message.id),
+			repeatCount: Number(message.repeatCount),
+			lastTimestamp: Number(message.lastTimestamp),
+		})
+		return true
+	}
 	if (extensionHandlers[messageType]) {
 		await extensionHandlers[messageType](/** @type {object} */ parsed)
 		return true
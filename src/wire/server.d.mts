@@ -42,8 +42,14 @@ export declare function createLogWireWebSocketHandler(
 		outputEntries: unknown[]
 		addLogEntryListener: (fn: (entry: unknown) => void) => void
 		addClearListener: (fn: () => void) => void
+		/** 提供时，条目被淘汰后广播 `vc_log_evicted` */
+		addEvictListener?: (fn: (entry: { id: string | null }) => void) => void
+		/** 提供时，已有条目被折叠重复后广播 `vc_log_update` */
+		addUpdateListener?: (fn: (entry: { id: string | null; repeatCount: number; lastTimestamp: number }) => void) => void
 		removeLogEntryListener?: (fn: (entry: unknown) => void) => void
 		removeClearListener?: (fn: () => void) => void
+		removeEvictListener?: (fn: (entry: { id: string | null }) => void) => void
+		removeUpdateListener?: (fn: (entry: { id: string | null; repeatCount: number; lastTimestamp: number }) => void) => void
 		clear: () => void
 	},
 	wireOptions?: {
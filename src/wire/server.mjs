@@ -16,6 +16,18 @@ function broadcastToOpen(clients, text) {
 	} catch { /* ignore send failure */ }
 }
 
+/**
+ * 条目的线路载荷。`freshLine` 条目的 `id` 仍为行 id（旧版客户端以其作为行键），唯一 id 改放 `entryId`；
+ * 新版客户端优先读取 `entryId` 与 `lineId`。该兼容形状已弃用，将在下一个主版本移除。
+ * @param {import('../core/entries.mjs').LogEntry} entry - 宿主日志条目。
+ * @returns {Record<string, unknown>} 可 `JSON.stringify` 的载荷。
+ */
+function toWirePayload(entry) {
+	const payload = entry.toJSON()
+	if (payload.method !== 'freshLine') return payload
+	return { ...payload, id: payload.lineId, entryId: payload.id }
+}
+
 /**
  * 处理客户端发来的展开请求，返回应 `ws.send(JSON.stringify(...))` 的应答对象。
  * @param {unknown} parsed - 客户端 JSON 负载。
@@ -46,14 +58,20 @@ export function handleClientWireMessage(parsed, handlers = {}) {
 
 /**
  * 为 `VirtualConsole`（或兼容对象）创建可挂到 `express-ws` 等框架的 WebSocket 回调。
- * 首次调用时注册一条 `addLogEntryListener`，向当前所有已连接客户端广播 `vc_log_append`。
+ * 首次调用时注册一条 `addLogEntryListener`，向当前所有已连接客户端广播 `vc_log_append`；
+ * 宿主提供 `addEvictListener` 时，条目被保留策略淘汰后广播 `vc_log_evicted`；
+ * 提供 `addUpdateListener` 时，已有条目被折叠重复后广播 `vc_log_update`。
  *
  * @param {{
  *   outputEntries: import('../core/entries.mjs').LogEntry[]
  *   addLogEntryListener: (fn: (entry: import('../core/entries.mjs').LogEntry) => void) => void
  *   addClearListener: (fn: () => void) => void
+ *   addEvictListener?: (fn: (entry: import('../core/entries.mjs').LogEntry) => void) => void
  *   removeLogEntryListener?: (fn: (entry: import('../core/entries.mjs').LogEntry) => void) => void
  *   removeClearListener?: (fn: () => void) => void
+ *   removeEvictListener?: (fn: (entry: import('../core/entries.mjs').LogEntry) => void) => void
+ *   addUpdateListener?: (fn: (entry: import('../core/entries.mjs').LogEntry) => void) => void
+ *   removeUpdateListener?: (fn: (entry: import('../core/entries.mjs').LogEntry) => void) => void
  *   clear: () => void
  * }} virtualConsole - 带缓冲与监听器的宿主控制台（通常为 `VirtualConsole`）。
  * @param {{
@@ -85,7 +103,7 @@ export function createLogWireWebSocketHandler(virtualConsole, wireOptions = {})
 	const onLogEntry = (entry) => {
 		const payload = JSON.stringify({
 			type: logWirePayloadTypes.APPEND,
-			entry: entry.toJSON(),
+			entry: toWirePayload(entry),
 		})
 		broadcastToOpen(clients, payload)
 	}
@@ -96,8 +114,31 @@ export function createLogWireWebSocketHandler(virtualConsole, wireOptions = {})
 	const onClear = () => {
 		broadcastToOpen(clients, JSON.stringify({ type: logWirePayloadTypes.CLEARED }))
 	}
+	/**
+	 * 将被淘汰条目的 id 广播为 `vc_log_evicted`。
+	 * @param {import('../core/entries.mjs').LogEntry} entry - 宿主已丢弃的日志条目。
+	 * @returns {void}
+	 */
+	const onEvict = (entry) => {
+		broadcastToOpen(clients, JSON.stringify({ type: logWirePayloadTypes.EVICTED, ids: [entry.id] }))
+	}
+	/**
+	 * 将已有条目的重复次数变化广播为 `vc_log_update`。
+	 * @param {import('../core/entries.mjs').LogEntry} entry - 宿主刚更新的日志条目。
+	 * @returns {void}
+	 */
+	const onUpdate = (entry) => {
+		broadcastToOpen(clients, JSON.stringify({
+			type: logWirePayloadTypes.UPDATED,
+			id: entry.id,
+			repeatCount: entry.repeatCount,
+			lastTimestamp: entry.lastTimestamp,
+		}))
+	}
 	virtualConsole.addLogEntryListener(onLogEntry)
 	virtualConsole.addClearListener(onClear)
+	virtualConsole.addEvictListener?.(onEvict)
+	virtualConsole.addUpdateListener?.(onUpdate)
 
 	/**
 	 * 显式托管 Promise 拒绝，避免形成未处理 reject。
@@ -144,7 +185,7 @@ export function createLogWireWebSocketHandler(virtualConsole, wireOptions = {})
 		clients.add(ws)
 		sendCustomReply({
 			type: logWirePayloadTypes.SNAPSHOT,
-			entries: virtualConsole.outputEntries.map(entry => entry.toJSON()),
+			entries: virtualConsole.outputEntries.map(toWirePayload),
 		})
 		absorbAsyncError(onClientConnected?.({
 			ws,
@@ -230,6 +271,8 @@ export function createLogWireWebSocketHandler(virtualConsole, wireOptions = {})
 	handler.dispose = () => {
 		virtualConsole.removeLogEntryListener?.(onLogEntry)
 		virtualConsole.removeClearListener?.(onClear)
+		virtualConsole.removeEvictListener?.(onEvict)
+		virtualConsole.removeUpdateListener?.(onUpdate)
 	}
 
 	return handler
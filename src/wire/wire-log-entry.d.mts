@@ -4,6 +4,10 @@ import type { LogSegment, StackFrame } from '../shared.d.mts'
  * 线路 JSON 载荷包装：仅 wire 侧提供异步 `render*`；展开 `truncated` 后与进程内 {@link LogEntry} 的 `toString` / `toPlainText` / `toHtml` 对齐（由 `segments` 渲染；无片段则空串）。
  */
 export declare class WireLogEntry {
+	/** 条目全局唯一 id（读取载荷的 `entryId ?? id`；旧版载荷可能缺失，旧版宿主的 `freshLine` 条目为行 id） */
+	readonly id: string | null
+	/** 条目在来源控制台内的写入序号（旧版载荷可能缺失） */
+	readonly seq: number | null
 	readonly level: string | undefined
 	readonly method: string | undefined
 	readonly timestamp: number | undefined
@@ -11,6 +15,18 @@ export declare class WireLogEntry {
 	readonly stack: StackFrame[]
 	/** 是否启用 ANSI 颜色渲染 */
 	supportsAnsi: boolean
+	/** `console.group` 嵌套深度（`groupPath.length`） */
+	readonly groupDepth: number
+	/** 外层分组标签（由外到内） */
+	readonly groupPath: string[]
+	/** 上下文字段（由 `VirtualConsole#child` 写入） */
+	readonly fields: Record<string, unknown>
+	/** 渲染时置于正文前的行首标签 */
+	readonly prefix: string
+	/** 折叠的重复次数（含自身；`vc_log_update` 经 {@link applyUpdate} 更新） */
+	readonly repeatCount: number
+	/** 最近一次重复出现的时间戳 */
+	readonly lastTimestamp: number | undefined
 	/** 日志片段数组（展开时会就地替换 truncated 占位） */
 	segments: LogSegment[]
 	/** 展示来源：优先片段中首个 Error 的栈帧，否则为捕获调用栈中第一条 */
@@ -19,6 +35,8 @@ export declare class WireLogEntry {
 		requestExpand: (ref: string, maxDepth?: number) => Promise<unknown>
 		supportsAnsi?: boolean
 	})
+	/** 应用 `vc_log_update` 下发的重复次数与最近时间戳 */
+	applyUpdate(update: { repeatCount?: number; lastTimestamp?: number }): void
 	/** 展开后终端 ANSI 串 */
 	renderString(options?: { indent?: string; maxDepth?: number }): Promise<string>
 	/** 展开后纯文本 */
@@ -30,7 +48,8 @@ export declare class WireLogEntry {
 
 export declare class FreshLineWireLogEntry extends WireLogEntry {
 	readonly method: 'freshLine'
-	readonly id: string
+	/** `freshLine` 行 id */
+	readonly lineId: string
 }
 
 export declare class DirWireLogEntry extends WireLogEntry {
@@ -41,6 +60,16 @@ export declare class TraceWireLogEntry extends WireLogEntry {
 	readonly method: 'trace'
 }
 
+export declare class GroupWireLogEntry extends WireLogEntry {
+	readonly method: 'group' | 'groupCollapsed'
+	/** 是否为 `groupCollapsed` 组头 */
+	readonly collapsed: boolean
+}
+
+export declare class TableWireLogEntry extends WireLogEntry {
+	readonly method: 'table'
+}
+
 export declare class StreamWireLogEntry extends WireLogEntry {
 	readonly method: 'stdout' | 'stderr'
 }
@@ -51,4 +80,4 @@ export declare function createWireLogEntryFromJson(
 		requestExpand: (ref: string, maxDepth?: number) => Promise<unknown>
 		supportsAnsi?: boolean
 	}
-): WireLogEntry | FreshLineWireLogEntry | DirWireLogEntry | TraceWireLogEntry | StreamWireLogEntry
+): WireLogEntry | FreshLineWireLogEntry | DirWireLogEntry | TraceWireLogEntry | GroupWireLogEntry | TableWireLogEntry | StreamWireLogEntry
@@ -14,9 +14,18 @@ import {
  * @property {string} [level]
  * @property {string} [method]
  * @property {number} [timestamp]
- * @property {string} [id]
+ * @property {string} [id] - 条目全局唯一 id；`freshLine` 条目为行 id（兼容旧版客户端，唯一 id 见 `entryId`）。
+ * @property {string} [entryId] - `freshLine` 条目的全局唯一 id。
+ * @property {number} [seq] - 条目在来源控制台内的写入序号。
+ * @property {string} [lineId] - `freshLine` 行 id。
  * @property {import('../shared.d.mts').LogSegment[]} [segments]
  * @property {import('../shared.d.mts').StackFrame[]} [stack]
+ * @property {number} [groupDepth]
+ * @property {string[]} [groupPath]
+ * @property {Record<string, unknown>} [fields]
+ * @property {string} [prefix]
+ * @property {number} [repeatCount] - 折叠的重复次数（含自身）。
+ * @property {number} [lastTimestamp] - 最近一次重复出现的时间戳。
  */
 
 /**
@@ -44,15 +53,33 @@ export class WireLogEntry {
 	 * @param {WireContext} wire - 展开与 ANSI 开关。
 	 */
 	constructor(payload, wire) {
+		this.id = payload.entryId ?? payload.id ?? null
+		this.seq = payload.seq ?? null
 		this.level = methodNameToLevel(payload.method)
 		this.method = payload.method
 		this.timestamp = payload.timestamp
 		this.stack = payload.stack
 		this.segments = payload.segments
+		this.groupPath = payload.groupPath ?? []
+		this.groupDepth = payload.groupDepth ?? this.groupPath.length
+		this.fields = payload.fields ?? {}
+		this.prefix = payload.prefix ?? ''
+		this.repeatCount = payload.repeatCount ?? 1
+		this.lastTimestamp = payload.lastTimestamp ?? this.timestamp
 		this.wire = wire
 		this.supportsAnsi = wire.supportsAnsi ?? supportsAnsiDefault
 	}
 
+	/**
+	 * 应用 `vc_log_update` 下发的变化（重复次数与最近时间戳）。
+	 * @param {{ repeatCount?: number, lastTimestamp?: number }} update - `onUpdate` 收到的更新。
+	 * @returns {void}
+	 */
+	applyUpdate({ repeatCount, lastTimestamp }) {
+		if (repeatCount !== undefined) this.repeatCount = repeatCount
+		if (lastTimestamp !== undefined) this.lastTimestamp = lastTimestamp
+	}
+
 	/** @returns {import('../shared.d.mts').StackFrame | null} 展示来源：优先片段中首个 Error 的栈帧，否则为捕获调用栈中第一条。 */
 	get primaryCallsite() {
 		return resolvePrimaryCallsiteFromSegments(this.segments, this.stack)
@@ -66,6 +93,9 @@ export class WireLogEntry {
 	async renderString(options) {
 		return this.#renderWithNormalizedOptions(options, renderAnsi, (normalizedOptions) => ({
 			colorize: this.supportsAnsi,
+			groupDepth: this.groupDepth,
+			prefix: this.prefix,
+			repeatCount: this.repeatCount,
 			...normalizedOptions,
 		}))
 	}
@@ -76,7 +106,12 @@ export class WireLogEntry {
 	 * @returns {Promise<string>} 异步解析得到的纯文本。
 	 */
 	async renderPlain(options) {
-		return this.#renderWithNormalizedOptions(options, renderPlain, normalizedOptions => normalizedOptions)
+		return this.#renderWithNormalizedOptions(options, renderPlain, normalizedOptions => ({
+			groupDepth: this.groupDepth,
+			prefix: this.prefix,
+			repeatCount: this.repeatCount,
+			...normalizedOptions,
+		}))
 	}
 
 	/**
@@ -87,6 +122,8 @@ export class WireLogEntry {
 	async renderHtml(options) {
 		return this.#renderWithNormalizedOptions(options, renderHtml, (normalizedOptions) => ({
 			supportsAnsi: this.supportsAnsi,
+			prefix: this.prefix,
+			repeatCount: this.repeatCount,
 			...normalizedOptions,
 		}))
 	}
@@ -172,17 +209,25 @@ export class WireLogEntry {
 	 */
 	toJSON() {
 		return {
+			id: this.id,
+			seq: this.seq,
 			level: this.level,
 			method: this.method,
 			timestamp: this.timestamp,
 			stack: this.stack,
 			segments: this.segments,
+			groupDepth: this.groupDepth,
+			groupPath: this.groupPath,
+			fields: this.fields,
+			prefix: this.prefix,
+			repeatCount: this.repeatCount,
+			lastTimestamp: this.lastTimestamp,
 		}
 	}
 }
 
 /**
- * `freshLine` 的 wire 条目：在基础字段上追加 id。
+ * `freshLine` 的 wire 条目：在基础字段上追加行 id。
  */
 export class FreshLineWireLogEntry extends WireLogEntry {
 	/**
@@ -191,7 +236,8 @@ export class FreshLineWireLogEntry extends WireLogEntry {
 	 */
 	constructor(payload, wire) {
 		super(payload, wire)
-		this.id = String(payload.id ?? '')
+		// 旧版宿主只以 `id` 承载行 id
+		this.lineId = String(payload.lineId ?? payload.id ?? '')
 	}
 
 	/**
@@ -200,7 +246,7 @@ export class FreshLineWireLogEntry extends WireLogEntry {
 	toJSON() {
 		return {
 			...super.toJSON(),
-			id: this.id,
+			lineId: this.lineId,
 		}
 	}
 }
@@ -211,12 +257,40 @@ export class DirWireLogEntry extends WireLogEntry { }
 /** `console.trace` 的 wire 条目。 */
 export class TraceWireLogEntry extends WireLogEntry { }
 
+/** `console.group` / `console.groupCollapsed` 组头的 wire 条目：追加 `collapsed`。 */
+export class GroupWireLogEntry extends WireLogEntry {
+	/**
+	 * @param {WireLogEntryPayload | Record<string, unknown>} payload - 线路 JSON 单条载荷。
+	 * @param {WireContext} wire - 展开与 ANSI 开关。
+	 */
+	constructor(payload, wire) {
+		super(payload, wire)
+		this.collapsed = payload.collapsed ?? payload.method === 'groupCollapsed'
+	}
+
+	/**
+	 * @returns {Record<string, unknown>} JSON 友好对象。
+	 */
+	toJSON() {
+		return {
+			...super.toJSON(),
+			collapsed: this.collapsed,
+		}
+	}
+}
+
+/** `console.table` 的 wire 条目。 */
+export class TableWireLogEntry extends WireLogEntry { }
+
 /** `stdout` / `stderr` 的 wire 条目。 */
 export class StreamWireLogEntry extends WireLogEntry { }
 
 const methodToConstructorMap = {
 	dir: DirWireLogEntry,
 	trace: TraceWireLogEntry,
+	table: TableWireLogEntry,
+	group: GroupWireLogEntry,
+	groupCollapsed: GroupWireLogEntry,
 	stdout: StreamWireLogEntry,
 	stderr: StreamWireLogEntry,
 	freshLine: FreshLineWireLogEntry,
@@ -0,0 +1,101 @@
+import { AssertionError as NodeAssertionError } from 'node:assert'
+
+import { VirtualConsole } from '@steve02081504/virtual-console'
+import {
+	AssertionError,
+	assertLevelCounts,
+	assertLogged,
+	assertLogOrder,
+	assertNoErrors,
+	assertNotLogged,
+} from '@steve02081504/virtual-console/assert'
+
+import { AssertionError as ShimAssertionError } from '#vc/testing/assertion-error.mjs'
+
+import { assert, assertEqual, assertIncludes, runTestGroup } from '../../harness.mjs'
+
+/**
+ * 调用断言并返回其抛出的错误（未抛出时为 null）。
+ * @param {() => unknown} fn - 断言调用。
+ * @returns {Error | null} 抛出的错误。
+ */
+function catchAssertion(fn) {
+	try {
+		fn()
+		return null
+	}
+	catch (error) {
+		return error
+	}
+}
+
+/**
+ * 构造带一组典型输出的虚拟控制台。
+ * @returns {Promise<VirtualConsole>} 已记录输出的控制台。
+ */
+async function createSampleConsole() {
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	await vc.hookAsyncContext(() => {
+		console.log('server starting')
+		console.info('listening on port 3000')
+		console.warn('slow query')
+		console.error('db connection lost')
+		console.log('done')
+	})
+	return vc
+}
+
+/**
+ * 验证各断言在通过时的返回值。
+ */
+async function testAssertionsPass() {
+	console.log('\n=== [断言通过场景] ===')
+	const vc = await createSampleConsole()
+	assertEqual(assertLogged(vc, 'listening').level, 'info', 'assertLogged 返回首个命中条目')
+	assertEqual(assertLogged(vc.outputEntries, { levels: 'warn', text: 'slow' }).args[0], 'slow query', '支持条目数组与过滤对象')
+	assertEqual(catchAssertion(() => assertNotLogged(vc, /deprecated/)), null, 'assertNotLogged 未命中时通过')
+	assertEqual(assertLogOrder(vc, ['starting', /port \d+/, entry => entry.level === 'error']).length, 3, 'assertLogOrder 返回各步命中的条目')
+	assertEqual(catchAssertion(() => assertLevelCounts(vc, { error: 1, warn: 1, log: 2 })), null, 'assertLevelCounts 计数一致时通过')
+	const clean = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	await clean.hookAsyncContext(() => console.log('fine'))
+	assertEqual(catchAssertion(() => assertNoErrors(clean)), null, 'assertNoErrors 无 error 条目时通过')
+}
+
+/**
+ * 验证失败时抛出 AssertionError，并在消息中附带最接近处的日志摘录。
+ */
+async function testAssertionFailureMessages() {
+	console.log('\n=== [断言失败消息] ===')
+	const vc = await createSampleConsole()
+	const missing = catchAssertion(() => assertLogged(vc, 'listening on port 4000'))
+	assert(missing instanceof AssertionError, 'assertLogged 失败抛出 AssertionError')
+	assert(missing instanceof NodeAssertionError, 'Node 下为 node:assert 的 AssertionError')
+	const shim = new ShimAssertionError({ message: 'm', actual: 1, expected: 2, operator: 'op' })
+	assertEqual(`${shim.name}|${shim.code}|${shim.actual}|${shim.expected}|${shim.operator}`, 'AssertionError|ERR_ASSERTION|1|2|op', '非 Node 环境的 AssertionError 与 node:assert 同形')
+	assertEqual(missing.code, 'ERR_ASSERTION', 'code 为 ERR_ASSERTION')
+	assertEqual(missing.operator, 'assertLogged', 'operator 为断言名')
+	assertIncludes(missing.message, 'Closest entry (#1)', '消息指出最接近的条目')
+	assertIncludes(missing.message, '> 1 | info  | listening on port 3000', '摘录标记最接近的条目')
+	assertIncludes(missing.message, '0 | log   | server starting', '摘录包含前后条目')
+	assertIncludes(catchAssertion(() => assertNotLogged(vc, 'slow')).message, '> 2 | warn  | slow query', 'assertNotLogged 摘录标记命中条目')
+	assertIncludes(catchAssertion(() => assertNoErrors(vc)).message, '> 3 | error | db connection lost', 'assertNoErrors 摘录标记首个 error')
+	const order = catchAssertion(() => assertLogOrder(vc, ['listening', 'starting']))
+	assertIncludes(order.message, 'the only match is earlier, at entry #0', 'assertLogOrder 说明顺序错误')
+	const counts = catchAssertion(() => assertLevelCounts(vc, { error: 0 }))
+	assertIncludes(counts.message, 'error: expected 0, got 1', 'assertLevelCounts 列出不一致的级别')
+	assertEqual(JSON.stringify(counts.actual), '{"error":1}', 'actual 为实际计数')
+	const custom = catchAssertion(() => assertLogged(vc, 'nope', 'server never became ready'))
+	assert(custom.message.startsWith('server never became ready\n'), '自定义消息替换概述，仍保留摘录')
+	const empty = catchAssertion(() => assertLogged([], 'anything'))
+	assertIncludes(empty.message, '(no entries captured)', '无条目时说明为空')
+}
+
+/**
+ * 运行“断言辅助”分组测试。
+ */
+export async function runAssertHelperTests() {
+	await runTestGroup('断言辅助', [
+		testAssertionsPass,
+		testAssertionFailureMessages,
+	])
+}
@@ -0,0 +1,148 @@
+import { execFile } from 'node:child_process'
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import process from 'node:process'
+import { promisify } from 'node:util'
+
+import { VirtualConsole } from '@steve02081504/virtual-console'
+import { createFileSink } from '@steve02081504/virtual-console/sinks/file'
+
+import { assert, assertEqual, runTestGroup } from '../../harness.mjs'
+
+/**
+ * 在临时目录中运行回调，结束后删除该目录。
+ * @param {(dir: string) => Promise<void>} fn - 使用临时目录的回调。
+ * @returns {Promise<void>}
+ */
+async function withTempDir(fn) {
+	const dir = await mkdtemp(join(tmpdir(), 'vc-file-sink-'))
+	try {
+		await fn(dir)
+	}
+	finally {
+		await rm(dir, { recursive: true, force: true })
+	}
+}
+
+/**
+ * 验证 jsonl 格式逐行写入 toJSON，且能写入已被 maxLogEntries 淘汰的条目。
+ */
+async function testFileSinkJsonl() {
+	console.log('\n=== [文件输出：jsonl] ===')
+	await withTempDir(async (dir) => {
+		const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false, maxLogEntries: 1 })
+		const path = join(dir, 'nested', 'app.jsonl')
+		const sink = createFileSink(vc, { path, flushOnExit: false })
+		await vc.hookAsyncContext(() => {
+			console.log('first')
+			console.warn('second', { n: 1 })
+		})
+		await sink.close()
+		const lines = (await readFile(path, 'utf8')).trimEnd().split('\n').map(line => JSON.parse(line))
+		assertEqual(lines.length, 2, '每个条目一行，包括已被淘汰的条目')
+		assertEqual(lines[0].segments[0].text, 'first', '行内容为 entry.toJSON()')
+		assertEqual(lines[1].method, 'warn', '保留 method')
+		assertEqual(lines[1].id, vc.outputEntries[0].id, '保留 id')
+		await vc.hookAsyncContext(() => console.log('after close'))
+		assertEqual((await readFile(path, 'utf8')).includes('after close'), false, 'close 后不再写入')
+	})
+}
+
+/**
+ * 验证 plain 格式、filter，以及按大小轮转时条目不跨文件、超出 maxFiles 的旧文件被删除。
+ */
+async function testFileSinkRotation() {
+	console.log('\n=== [文件输出：轮转] ===')
+	await withTempDir(async (dir) => {
+		const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+		const path = join(dir, 'app.log')
+		const sink = createFileSink(vc, { path, format: 'plain', filter: { levels: 'log' }, rotate: { maxBytes: 12, maxFiles: 2 }, flushOnExit: false })
+		await vc.hookAsyncContext(() => {
+			for (const word of ['one', 'two', 'three', 'four', 'five', 'six']) console.log(word)
+			console.error('filtered out')
+		})
+		await sink.flush()
+		assertEqual(JSON.stringify((await readdir(dir)).sort()), '["app.log","app.log.1","app.log.2"]', '最多保留 maxFiles 个历史文件')
+		assertEqual(await readFile(path, 'utf8'), 'five\nsix\n', '当前文件为最新条目')
+		assertEqual(await readFile(`${path}.1`, 'utf8'), 'three\nfour\n', '.1 为最近一次轮转出的文件')
+		assertEqual(await readFile(`${path}.2`, 'utf8'), 'one\ntwo\n', '条目不跨文件拆分')
+		await vc.hookAsyncContext(() => console.log('seven'))
+		await sink.rotate()
+		assertEqual(await readFile(`${path}.1`, 'utf8'), 'seven\n', 'rotate() 先刷新再轮转')
+		assertEqual(await readFile(`${path}.2`, 'utf8'), 'five\nsix\n', '历史文件依次后移')
+		assertEqual(await readFile(path, 'utf8'), '', '轮转后当前文件为空')
+		await sink.close()
+	})
+}
+
+/**
+ * 验证按时间间隔轮转。
+ */
+async function testFileSinkIntervalRotation() {
+	console.log('\n=== [文件输出：按时间轮转] ===')
+	await withTempDir(async (dir) => {
+		const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+		const path = join(dir, 'app.log')
+		const sink = createFileSink(vc, { path, format: 'plain', rotate: { interval: 20 }, flushOnExit: false })
+		await vc.hookAsyncContext(async () => {
+			console.log('early')
+			await sink.flush()
+			await new Promise(resolve => setTimeout(resolve, 30))
+			console.log('late')
+		})
+		await sink.close()
+		assertEqual(await readFile(`${path}.1`, 'utf8'), 'early\n', '超过 interval 后写入前先轮转')
+		assertEqual(await readFile(path, 'utf8'), 'late\n', '新文件只含之后的条目')
+		assert(!(await readdir(dir)).includes('app.log.2'), '未超时不再轮转')
+	})
+}
+
+/**
+ * 验证 `exit` 补写包含已取出但尚未写完的批次，以及写入失败时未写出的文本交给 onError。
+ */
+async function testFileSinkUnwrittenText() {
+	console.log('\n=== [文件输出：未写出的文本] ===')
+	await withTempDir(async (dir) => {
+		const path = join(dir, 'exit.log')
+		const nodeEntry = new URL('../../../node.mjs', import.meta.url).href
+		const sinkEntry = new URL('../../../src/sinks/file.mjs', import.meta.url).href
+		const script = join(dir, 'exit.mjs')
+		await writeFile(script, `
+			const { VirtualConsole } = await import(${JSON.stringify(nodeEntry)})
+			const { createFileSink } = await import(${JSON.stringify(sinkEntry)})
+			const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+			createFileSink(vc, { path: ${JSON.stringify(path)}, format: 'plain' })
+			vc.log('in flight')
+			await new Promise(resolve => setImmediate(resolve))
+			process.exit()
+		`)
+		await promisify(execFile)(process.execPath, [...process.execArgv, script])
+		assertEqual(await readFile(path, 'utf8'), 'in flight\n', 'exit 时补写进行中的批次')
+
+		const blocker = join(dir, 'blocker')
+		await writeFile(blocker, '')
+		const errors = []
+		const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+		const sink = createFileSink(vc, { path: join(blocker, 'app.log'), format: 'plain', flushOnExit: false, onError: (error, unwritten) => errors.push([error, unwritten]) })
+		await vc.hookAsyncContext(() => {
+			console.log('one')
+			console.log('two')
+		})
+		await sink.close()
+		assertEqual(errors.length, 1, '写入失败时调用 onError')
+		assertEqual(errors[0][1], 'one\ntwo\n', 'onError 收到未写出的文本')
+	})
+}
+
+/**
+ * 运行“文件输出”分组测试。
+ */
+export async function runFileSinkTests() {
+	await runTestGroup('文件输出', [
+		testFileSinkJsonl,
+		testFileSinkRotation,
+		testFileSinkIntervalRotation,
+		testFileSinkUnwrittenText,
+	])
+}
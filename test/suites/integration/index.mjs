@@ -1,5 +1,8 @@
 import { passed, failed, failures, resetHarness } from '../../harness.mjs'
 
+import { runAssertHelperTests } from './assert-helpers.mjs'
+import { runFileSinkTests } from './file-sink.mjs'
+import { runOtlpExporterTests } from './otlp-exporter.mjs'
 import { runRuntimeAndContextTests } from './runtime-and-context.mjs'
 import { runSnapshotAndRenderingTests } from './snapshot-and-rendering.mjs'
 import { runVirtualConsoleTests } from './virtual-console.mjs'
@@ -15,6 +18,9 @@ export async function runAllTests() {
 	await runVirtualConsoleTests()
 	await runSnapshotAndRenderingTests()
 	await runWireProtocolTests()
+	await runAssertHelperTests()
+	await runFileSinkTests()
+	await runOtlpExporterTests()
 
 	console.log(`\n${'='.repeat(50)}`)
 	if (failed === 0)
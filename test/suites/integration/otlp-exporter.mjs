@@ -0,0 +1,135 @@
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { once } from 'node:events'
+import { createServer } from 'node:http'
+
+import { VirtualConsole } from '@steve02081504/virtual-console'
+import { createOtlpExporter } from '@steve02081504/virtual-console/exporters/otlp'
+
+import { assert, assertEqual, runTestGroup } from '../../harness.mjs'
+
+/**
+ * 启动本地 `node:http` 采集端替身，结束后关闭。
+ * @param {(collector: { endpoint: string, requests: { headers: import('node:http').IncomingHttpHeaders, body: any }[], status: number }) => Promise<void>} fn - 使用采集端的回调；修改 `status` 可改变应答码。
+ * @returns {Promise<void>}
+ */
+async function withCollector(fn) {
+	const collector = { endpoint: '', requests: [], status: 200 }
+	const server = createServer(async (request, response) => {
+		let body = ''
+		for await (const chunk of request) body += chunk
+		collector.requests.push({ headers: request.headers, body: JSON.parse(body) })
+		response.writeHead(collector.status, { 'content-type': 'application/json' }).end('{}')
+	})
+	const sockets = new Set()
+	server.on('connection', socket => {
+		sockets.add(socket)
+		socket.on('close', () => sockets.delete(socket))
+	})
+	server.listen(0, '127.0.0.1')
+	await once(server, 'listening')
+	collector.endpoint = `http://127.0.0.1:${server.address().port}/v1/logs`
+	try {
+		await fn(collector)
+	}
+	finally {
+		for (const socket of sockets) socket.destroy()
+		server.close()
+	}
+}
+
+/**
+ * @param {{ attributes: { key: string, value: Record<string, unknown> }[] }} record - LogRecord。
+ * @returns {Record<string, unknown>} 属性键 → `AnyValue`。
+ */
+function attributesOf(record) {
+	return Object.fromEntries(record.attributes.map(({ key, value }) => [key, value]))
+}
+
+/**
+ * 条目映射为 LogRecord：级别、正文、fields / 调用处属性，批量 POST 为 OTLP/JSON。
+ */
+async function testOtlpExporterMapping() {
+	console.log('\n=== [OTLP 导出：映射与批量] ===')
+	await withCollector(async (collector) => {
+		const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+		const exporter = createOtlpExporter(vc, {
+			endpoint: collector.endpoint,
+			headers: { authorization: 'Bearer test' },
+			resource: { 'service.name': 'vc-test' },
+			maxBatchSize: 2,
+			flushOnExit: false,
+		})
+		const log = vc.child({ fields: { requestId: 'r1', attempt: 2 } })
+		log.log('hello', { n: 1 })
+		vc.warn('careful')
+		vc.error('broken')
+		vc.writeAs('custom', 'own level')
+		await exporter.close()
+
+		assertEqual(collector.requests.length, 2, '按 maxBatchSize 分批发送')
+		const [first] = collector.requests
+		assertEqual(first.headers['content-type'], 'application/json', '以 JSON 编码')
+		assertEqual(first.headers.authorization, 'Bearer test', '带自定义请求头')
+		const [resourceLogs] = first.body.resourceLogs
+		assertEqual(resourceLogs.resource.attributes[0].key, 'service.name', '带 resource 属性')
+		assertEqual(resourceLogs.scopeLogs[0].scope.name, '@steve02081504/virtual-console', '默认 scope')
+
+		const records = collector.requests.flatMap(request => request.body.resourceLogs[0].scopeLogs[0].logRecords)
+		assertEqual(records.map(record => record.severityNumber).join(), '9,13,17,0', 'severityNumber 由级别映射')
+		assertEqual(records.map(record => record.severityText).join(), 'log,warn,error,custom', 'severityText 为级别')
+		assertEqual(records[0].body.stringValue, 'hello { n: 1 }', 'body 为 toPlainText()')
+		const attributes = attributesOf(records[0])
+		assertEqual(attributes.requestId.stringValue, 'r1', 'fields 写入属性')
+		assertEqual(attributes.attempt.intValue, '2', '整数属性为 intValue')
+		assert(attributes['code.filepath'].stringValue.endsWith('otlp-exporter.mjs'), '调用处写入 code.filepath')
+		assert(Number(attributes['code.lineno'].intValue) > 0, '调用处写入 code.lineno')
+		assert(/^\d+$/.test(records[0].timeUnixNano), 'timeUnixNano 为纳秒字符串')
+		assert(!('traceId' in records[0]), '无 trace 关联时不带 traceId')
+	})
+}
+
+/**
+ * traceId / spanId 在记录方的异步上下文中读取；非 2xx 应答交给 onError。
+ */
+async function testOtlpExporterTraceContext() {
+	console.log('\n=== [OTLP 导出：trace 关联与失败] ===')
+	await withCollector(async (collector) => {
+		const spans = new AsyncLocalStorage()
+		const errors = []
+		const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+		const exporter = createOtlpExporter(vc, {
+			endpoint: collector.endpoint,
+			getTraceContext: () => spans.getStore(),
+			onError: error => errors.push(error),
+			flushOnExit: false,
+		})
+		const traceId = '0af7651916cd43dd8448eb211c80319c'
+		await spans.run({ traceId, spanId: 'b7ad6b7169203331', traceFlags: 1 }, () => vc.hookAsyncContext(async () => {
+			await new Promise(resolve => setTimeout(resolve, 5))
+			console.log('inside span')
+		}))
+		vc.log('outside span')
+		await exporter.flush()
+		const [inside, outside] = collector.requests[0].body.resourceLogs[0].scopeLogs[0].logRecords
+		assertEqual(inside.traceId, traceId, '取当前异步上下文的 traceId')
+		assertEqual(inside.spanId, 'b7ad6b7169203331', '取当前异步上下文的 spanId')
+		assertEqual(inside.flags, 1, 'traceFlags 写入 flags')
+		assert(!('traceId' in outside), '上下文外的条目不带 traceId')
+
+		collector.status = 503
+		vc.log('rejected')
+		await exporter.close()
+		assertEqual(errors.length, 1, '非 2xx 应答交给 onError')
+		assert(String(errors[0]?.message).includes('503'), '错误带状态码')
+	})
+}
+
+/**
+ *
+ */
+export async function runOtlpExporterTests() {
+	await runTestGroup('OTLP 导出', [
+		testOtlpExporterMapping,
+		testOtlpExporterTraceContext,
+	])
+}
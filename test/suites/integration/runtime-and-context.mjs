@@ -1,5 +1,14 @@
+import { subscribe, unsubscribe } from 'node:diagnostics_channel'
+import { once } from 'node:events'
+import process from 'node:process'
+import { Worker } from 'node:worker_threads'
+
 import {
+	ChildProcessLogEntry,
+	CLEAR_CHANNEL_NAME,
+	ENTRY_CHANNEL_NAME,
 	VirtualConsole,
+	WorkerLogEntry,
 	getStackInfo,
 } from '@steve02081504/virtual-console'
 
@@ -73,6 +82,102 @@ async function testConcurrentAsyncIsolation() {
 	assert(vcB.outputEntries[1].args[0] === 'Finished task B', 'vcB 第2条内容正确')
 }
 
+/**
+ * `captureUncaught`：异步抛出的异常与未处理的拒绝按异步上下文记入对应实例，未开启的实例不记录。
+ * @returns {Promise<void>}
+ */
+async function testCaptureUncaught() {
+	console.log('\n=== [captureUncaught 未捕获错误归属] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false, captureUncaught: true })
+	const other = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	// 测试进程自行接管，避免未捕获错误使其退出
+	const swallow = () => { }
+	process.on('uncaughtException', swallow)
+	process.on('unhandledRejection', swallow)
+	try {
+		await vc.hookAsyncContext(async () => {
+			setTimeout(() => { throw new Error('async boom') }, 0)
+			Promise.reject(new Error('lost rejection'))
+			await new Promise(resolve => setTimeout(resolve, 20))
+		})
+		await other.hookAsyncContext(async () => {
+			setTimeout(() => { throw new Error('not captured') }, 0)
+			await new Promise(resolve => setTimeout(resolve, 20))
+		})
+	}
+	finally {
+		process.off('uncaughtException', swallow)
+		process.off('unhandledRejection', swallow)
+	}
+	const entries = vc.query({ methods: ['uncaught'] })
+	assertEqual(entries.length, 2, '异常与拒绝各记一条')
+	assert(entries.every(entry => entry.level === 'error'), 'uncaught 条目级别为 error')
+	assert(entries.some(entry => entry.args[0]?.message === 'async boom'), '记录异步抛出的异常')
+	assert(entries.some(entry => entry.args[0]?.message === 'lost rejection'), '记录未处理的拒绝')
+	assert(entries.every(entry => entry.primaryCallsite?.filePath?.endsWith('runtime-and-context.mjs')), '调用处取自错误栈')
+	assertEqual(other.outputEntries.length, 0, '未开启 captureUncaught 的实例不记录')
+}
+
+/**
+ * `captureWarnings`：进程警告记为活动控制台的 `processWarning` 条目，`fields` 带 name / code / detail。
+ * @returns {Promise<void>}
+ */
+async function testCaptureWarnings() {
+	console.log('\n=== [captureWarnings 进程警告] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false, captureWarnings: true })
+	await vc.hookAsyncContext(async () => {
+		process.emitWarning('virtual-console test warning', { type: 'VirtualConsoleTestWarning', code: 'VC_TEST', detail: 'emitted on purpose' })
+		await new Promise(resolve => setImmediate(resolve))
+	})
+	const [entry] = vc.query({ methods: ['processWarning'] })
+	assert(entry, '记录进程警告')
+	assertEqual(entry.level, 'warn', 'processWarning 条目级别为 warn')
+	assertEqual(entry.fields.name, 'VirtualConsoleTestWarning', 'fields 带 name')
+	assertEqual(entry.fields.code, 'VC_TEST', 'fields 带 code')
+	assertEqual(entry.fields.detail, 'emitted on purpose', 'fields 带 detail')
+	assert(entry.stack.some(frame => frame.filePath?.endsWith('runtime-and-context.mjs')), '调用栈取自警告')
+}
+
+/**
+ * `diagnosticsChannel`：条目与清空发布到 `virtual-console:*` 通道，未开启的实例不发布。
+ * @returns {Promise<void>}
+ */
+async function testDiagnosticsChannel() {
+	console.log('\n=== [diagnostics_channel 发布] ===')
+	const published = []
+	const cleared = []
+	/**
+	 * @param {{ console: VirtualConsole, entry: import('@steve02081504/virtual-console').LogEntry }} message - 条目消息。
+	 * @returns {void}
+	 */
+	const onEntry = message => published.push(message)
+	/**
+	 * @param {{ console: VirtualConsole }} message - 清空消息。
+	 * @returns {void}
+	 */
+	const onClear = message => cleared.push(message)
+	subscribe(ENTRY_CHANNEL_NAME, onEntry)
+	subscribe(CLEAR_CHANNEL_NAME, onClear)
+	try {
+		const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false, diagnosticsChannel: true })
+		const silent = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+		vc.log('published')
+		vc.child({ fields: { requestId: 'r1' } }).warn('from child')
+		silent.log('not published')
+		vc.clear()
+		assertEqual(published.length, 2, '仅开启的实例发布条目')
+		assert(published.every(message => message.console === vc), '消息带根控制台')
+		assertEqual(published[0].entry.args[0], 'published', '消息带条目')
+		assertEqual(published[1].entry.fields.requestId, 'r1', '子控制台条目经根控制台发布')
+		assertEqual(cleared.length, 1, 'clear() 发布清空消息')
+		assertEqual(cleared[0].console, vc, '清空消息带控制台')
+	}
+	finally {
+		unsubscribe(ENTRY_CHANNEL_NAME, onEntry)
+		unsubscribe(CLEAR_CHANNEL_NAME, onClear)
+	}
+}
+
 /**
  * 测试 getStackInfo 函数
  */
@@ -147,6 +252,79 @@ async function testLogEntryStack() {
 		`stdout 首帧函数名应为写入调用者，实际 functionName=${top.functionName}`)
 }
 
+/**
+ * worker 内 installWorkerConsoleBridge 转发的条目以 WorkerLogEntry 写入父控制台，截断值回到 worker 内展开。
+ */
+async function testWorkerBridge() {
+	console.log('\n=== [worker_threads 桥接] ===')
+	const nodeEntry = new URL('../../../node.mjs', import.meta.url).href
+	const worker = new Worker(`
+		const { parentPort } = require('node:worker_threads')
+		import(${JSON.stringify(nodeEntry)}).then(({ defaultConsole, installWorkerConsoleBridge }) => {
+			defaultConsole.options.realConsoleOutput = false
+			installWorkerConsoleBridge()
+			let deep = { leaf: 'bottom' }
+			for (let i = 0; i < 8; i++) deep = { nest: deep }
+			console.log('from worker', deep)
+			console.warn('worker done')
+			parentPort.once('message', () => process.exit())
+		})
+	`, { eval: true })
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	const { threadId } = vc.attachWorker(worker)
+	await vc.waitFor({ levels: 'warn', text: 'worker done' }, { timeout: 5000 })
+	const [entry] = vc.query({ text: 'from worker' })
+	assert(entry instanceof WorkerLogEntry, 'worker 条目为 WorkerLogEntry')
+	assertEqual(entry.threadId, worker.threadId, '条目带 threadId')
+	assertEqual(threadId, worker.threadId, 'attachWorker 返回 threadId')
+	assertEqual(entry.level, 'log', '保留级别')
+	assert(entry.stack.length > 0, '保留 worker 内调用栈')
+	assert(!entry.toPlainText().includes('bottom'), '展开前为截断显示')
+	await entry.expand()
+	assert(entry.toPlainText().includes("leaf: 'bottom'"), '截断值在 worker 内展开')
+	worker.postMessage('exit')
+	await once(worker, 'exit')
+}
+
+/**
+ * `spawn` 将子进程管道输出记为带 `pid` / `label` 的流条目；`ipc` 时接收子进程桥接的结构化条目。
+ * @returns {Promise<void>}
+ */
+async function testChildProcessCapture() {
+	console.log('\n=== [子进程输出捕获] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	const child = vc.spawn(process.execPath, ['-e', "process.stdout.write('child out'); process.stderr.write('child err')"], { label: 'raw' })
+	await once(child, 'close')
+	const [out] = vc.query({ methods: ['stdout'], fields: { label: 'raw' } })
+	const [err] = vc.query({ methods: ['stderr'], fields: { label: 'raw' } })
+	assertEqual(out?.toPlainText(), 'child out', 'stdout 文本记为 stdout 条目')
+	assertEqual(err?.toPlainText(), 'child err', 'stderr 文本记为 stderr 条目')
+	assertEqual(out.fields.pid, child.pid, '条目带 pid')
+
+	const nodeEntry = new URL('../../../node.mjs', import.meta.url).href
+	const bridged = vc.spawn(process.execPath, ['-e', `
+		import(${JSON.stringify(nodeEntry)}).then(({ CHILD_PROCESS_BRIDGE_MESSAGE_TYPE, installChildProcessConsoleBridge }) => {
+			installChildProcessConsoleBridge()
+			let deep = { leaf: 'bottom' }
+			for (let i = 0; i < 8; i++) deep = { nest: deep }
+			console.warn('from child', deep)
+			process.channel.ref() // 桥接会 unref IPC 通道；保持存活直到父进程展开完毕
+			process.on('message', (message) => {
+				if (message?.type !== CHILD_PROCESS_BRIDGE_MESSAGE_TYPE) process.exit()
+			})
+		})
+	`], { label: 'ipc', ipc: true })
+	const entry = await vc.waitFor({ levels: 'warn', text: 'from child' }, { timeout: 5000 })
+	assert(entry instanceof ChildProcessLogEntry, 'IPC 条目为 ChildProcessLogEntry')
+	assertEqual(entry.fields.label, 'ipc', 'IPC 条目带 label')
+	assertEqual(entry.fields.pid, bridged.pid, 'IPC 条目带 pid')
+	assertEqual(vc.query({ fields: { label: 'ipc' }, methods: ['stdout', 'stderr'] }).length, 0, '桥接后不再重复记录原始输出')
+	await entry.expand()
+	assert(entry.toPlainText().includes("leaf: 'bottom'"), '截断值在子进程内展开')
+	if (bridged.connected) bridged.send('exit', () => { })
+	await once(bridged, 'close')
+}
+
 /**
  *
  */
@@ -155,7 +333,12 @@ export async function runRuntimeAndContextTests() {
 		testNodeVirtualConsoleStdoutUsesGetterVirtualStream,
 		testContextIsolation,
 		testConcurrentAsyncIsolation,
+		testCaptureUncaught,
+		testCaptureWarnings,
+		testDiagnosticsChannel,
 		testGetStackInfo,
 		testLogEntryStack,
+		testWorkerBridge,
+		testChildProcessCapture,
 	])
 }
@@ -9,6 +9,7 @@ import {
 	expandSnapshotRef,
 	renderAnsi,
 	renderHtml,
+	renderHtmlReport,
 	renderPlain,
 	serializeArgSnapshot,
 } from '@steve02081504/virtual-console'
@@ -321,6 +322,102 @@ function testApplyExpandedSnapshotsPreservesTraceSegment() {
 	assertEqual(renderPlain(segments), 'at native', '展开后 plain 渲染不变')
 }
 
+/**
+ * 验证 console.table 产生结构化 table 片段，plain/ANSI/HTML 渲染为 Node 风格表格（宽字符按显示宽度对齐）。
+ */
+async function testConsoleTableEntry() {
+	console.log('\n=== [console.table：table 片段与盒线渲染] ===')
+	// 期望文本为 Node `console.table` 的盒线布局，按显示宽度补齐（全角字符与 emoji 占两列）
+	const cases = [
+		[[[{ a: 1, b: 'Y' }, { a: { x: 1 }, c: [1, 2] }]], [
+			'┌─────────┬──────────┬─────┬──────────┐',
+			'│ (index) │ a        │ b   │ c        │',
+			'├─────────┼──────────┼─────┼──────────┤',
+			"│ 0       │ 1        │ 'Y' │          │",
+			'│ 1       │ { x: 1 } │     │ [ 1, 2 ] │',
+			'└─────────┴──────────┴─────┴──────────┘',
+		]],
+		[[[1, { a: 2 }], ['a']], [
+			'┌─────────┬───┐',
+			'│ (index) │ a │',
+			'├─────────┼───┤',
+			'│ 0       │   │',
+			'│ 1       │ 2 │',
+			'└─────────┴───┘',
+		]],
+		[[new Map([['k', 1], ['j', { deep: { x: 1 } }]])], [
+			'┌───────────────────┬─────┬────────────────────┐',
+			'│ (iteration index) │ Key │ Values             │',
+			'├───────────────────┼─────┼────────────────────┤',
+			"│ 0                 │ 'k' │ 1                  │",
+			"│ 1                 │ 'j' │ { deep: [Object] } │",
+			'└───────────────────┴─────┴────────────────────┘',
+		]],
+		[[new Set(['s', 2])], [
+			'┌───────────────────┬────────┐',
+			'│ (iteration index) │ Values │',
+			'├───────────────────┼────────┤',
+			"│ 0                 │ 's'    │",
+			'│ 1                 │ 2      │',
+			'└───────────────────┴────────┘',
+		]],
+		[[{ row: 'primitive', other: { col: true } }], [
+			'┌─────────┬──────┬─────────────┐',
+			'│ (index) │ col  │ Values      │',
+			'├─────────┼──────┼─────────────┤',
+			"│ row     │      │ 'primitive' │",
+			'│ other   │ true │             │',
+			'└─────────┴──────┴─────────────┘',
+		]],
+		[[[{ name: '张三' }, { name: 'bob' }, { name: '🎉x' }]], [
+			'┌─────────┬────────┐',
+			'│ (index) │ name   │',
+			'├─────────┼────────┤',
+			"│ 0       │ '张三' │",
+			"│ 1       │ 'bob'  │",
+			"│ 2       │ '🎉x'  │",
+			'└─────────┴────────┘',
+		]],
+	]
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false, supportsAnsi: false })
+	await vc.hookAsyncContext(() => {
+		for (const [args] of cases) console.table(...args)
+		console.table('not tabular')
+	})
+	assertEqual(vc.outputEntries.length, cases.length + 1, '每次 console.table 调用记录一条')
+	cases.forEach(([, lines], i) => {
+		const entry = vc.outputEntries[i]
+		assertEqual(entry.method, 'table', `第 ${i} 条 method 为 table`)
+		assertEqual(entry.level, 'log', `第 ${i} 条 level 为 log`)
+		assertEqual(entry.toSegments()[0].kind, 'table', `第 ${i} 条首片段为 table`)
+		assertEqual(entry.toPlainText(), lines.join('\n') + '\n', `第 ${i} 条 plain 为盒线表格`)
+		assertEqual(entry.toString(), lines.join('\n') + '\n', `第 ${i} 条关闭 ANSI 时 toString 与 plain 一致`)
+	})
+	const [segment] = vc.outputEntries[0].toSegments()
+	assertEqual(JSON.stringify(segment.columns), '["a","b","c"]', '列按首次出现顺序收集')
+	assertEqual(segment.rows[0].cells[2], null, '缺失单元格为 null')
+	const html = vc.outputEntries[0].toHtml()
+	assertIncludes(html, '<table', 'HTML 输出 <table>')
+	assertIncludes(html, '<th style="border:1px solid gray;padding:0 0.5em;text-align:left">(index)</th>', 'HTML 含索引表头')
+	const fallback = vc.outputEntries[cases.length]
+	assertEqual(fallback.toPlainText(), 'not tabular\n', '非对象数据回退为普通 log 文本')
+}
+
+/**
+ * 验证 table 单元格内的截断对象可经 wire 展开槽位替换。
+ */
+function testApplyExpandedSnapshotsInTableCells() {
+	console.log('\n=== [wire 展开：table 单元格快照槽位] ===')
+	const segments = [{
+		kind: 'table',
+		indexHeader: '(index)',
+		columns: ['v'],
+		rows: [{ key: '0', cells: [{ kind: 'truncated', ref: 'r1', label: 'Object' }] }],
+	}]
+	applyExpandedSnapshotsInSegments(segments, new Map([['r1', { kind: 'number', value: 7 }]]))
+	assertEqual(segments[0].rows[0].cells[0].value, 7, 'table 单元格中的 truncated 节点被替换')
+}
+
 /**
  * 验证 truncated 快照引用与 expandSnapshotRef 可用性。
  */
@@ -365,6 +462,34 @@ async function testTruncatedAndExpand() {
 	assertEqual(DEFAULT_SNAPSHOT_DEPTH, 5, '默认快照深度为 5')
 }
 
+/**
+ * 验证 renderHtmlReport：自包含文档、转义、级别过滤控件、调用处链接与 Traces 区块。
+ */
+function testHtmlReport() {
+	console.log('\n=== [renderHtmlReport] ===')
+	const frames = [{ functionName: 'g', filePath: '/app/z.mjs', line: 2, column: 3, raw: '  at g (/app/z.mjs:2:3)' }]
+	const entries = [
+		newLogEntry({ method: 'log', args: ['hello <b>'], stack: frames, supportsAnsi: false }),
+		newLogEntry({ method: 'warn', args: ['Careful'], stack: frames, supportsAnsi: false }),
+		newLogEntry({ method: 'trace', args: ['where'], stack: frames, supportsAnsi: false }),
+	]
+	const html = renderHtmlReport(entries, { title: 'Run <1>', theme: 'dark' })
+	assert(html.startsWith('<!DOCTYPE html>'), '完整 HTML 文档')
+	assert(!/<(?:script|link)[^>]+(?:src|href)=/.test(html), '无外部资源')
+	assertIncludes(html, '<title>Run &lt;1&gt;</title>', '标题已转义')
+	assertIncludes(html, 'class="theme-dark"', 'theme 选项')
+	assertIncludes(html, 'hello&nbsp;&lt;b&gt;', '正文已转义')
+	assertIncludes(html, 'data-level-filter="warn"', '级别勾选框')
+	assertIncludes(html, 'data-text="careful"', '过滤文本为小写纯文本')
+	assertIncludes(html, 'href="file:///app/z.mjs:2:3"', '调用处链接')
+	assertIncludes(html, 'href="#trace-0"', 'trace 条目链接到栈')
+	assertIncludes(html, '<section id="traces">', 'Traces 区块')
+	assertIncludes(html, 'at g (/app/z.mjs:2:3)', 'Traces 区块含栈帧')
+	const custom = renderHtmlReport(entries, { resolveHref: () => 'https://example.com/src' })
+	assertEqual(custom.split('https://example.com/src').length - 1, 4, 'resolveHref 用于调用处与 trace 栈帧')
+	assertIncludes(custom, 'class="theme-auto"', '默认 theme 为 auto')
+}
+
 /**
  * 运行“快照与渲染一致性”分组测试。
  */
@@ -387,7 +512,10 @@ export async function runSnapshotAndRenderingTests() {
 		testErrorSnapshotStackFramesShape,
 		testErrorSnapshotNoStackBrackets,
 		testTruncatedAndExpand,
+		testConsoleTableEntry,
+		testApplyExpandedSnapshotsInTableCells,
 		testPathToFileURLWindowsDriveUnescapedColon,
 		testCssHex4DigitAlphaDim,
+		testHtmlReport,
 	])
 }
@@ -1,5 +1,7 @@
 import {
+	OfflineLogEntry,
 	VirtualConsole,
+	normalizeEntriesForSnapshot,
 	renderAnsi,
 	renderPlain,
 } from '@steve02081504/virtual-console'
@@ -107,6 +109,532 @@ async function testConsoleDir() {
 	assertIncludes(vc.outputs, '42', 'outputs 聚合含 dir 输出')
 }
 
+/**
+ * 验证 console.group / groupCollapsed / groupEnd 的嵌套记录、缩进与 HTML 折叠结构。
+ */
+async function testConsoleGroupNesting() {
+	console.log('\n=== [console.group 嵌套测试] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	await vc.hookAsyncContext(() => {
+		console.group('outer')
+		console.log('in outer')
+		console.groupCollapsed('inner')
+		console.log('in inner\nsecond line')
+		console.groupEnd()
+		console.groupEnd()
+		console.log('after')
+	})
+	assertEqual(vc.outputEntries.length, 5, 'group 头部各记一条，groupEnd 不记录')
+	assertEqual(vc.outputEntries.map(entry => entry.method).join(), 'group,log,groupCollapsed,log,log', '头部 method 为 group / groupCollapsed')
+	assertEqual(vc.outputEntries.map(entry => entry.groupDepth).join(), '0,1,1,2,0', 'groupDepth 随嵌套变化')
+	assertEqual(vc.outputEntries[3].groupPath.join('/'), 'outer/inner', 'groupPath 为各级标签')
+	assertEqual(vc.outputEntries[0].level, 'log', 'group 头部语义级别为 log')
+	assertEqual(vc.outputs, 'outer\n  in outer\n  inner\n    in inner\n    second line\nafter\n', 'outputs 每行按层级缩进 2 空格')
+	assertIncludes(vc.outputsHtml, '<details open><summary>outer</summary>', 'group 渲染为展开的 <details>')
+	assertIncludes(vc.outputsHtml, '<details><summary>inner</summary>', 'groupCollapsed 渲染为折叠的 <details>')
+	const json = vc.outputEntries[2].toJSON()
+	assertEqual(json.collapsed, true, 'groupCollapsed 的 toJSON 含 collapsed')
+	assertEqual(json.groupPath.join('/'), 'outer', '头部自身的 groupPath 不含自身标签')
+}
+
+/**
+ * 验证 console.assert 仅在失败时记录 error 级条目，并带 `Assertion failed` 前缀与调用处栈。
+ */
+async function testConsoleAssert() {
+	console.log('\n=== [console.assert 捕获测试] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	await vc.hookAsyncContext(() => {
+		console.assert(true, 'never shown')
+		console.assert(1 === 2, 'expected %s', 'equality')
+		console.assert(false)
+	})
+	assertEqual(vc.outputEntries.length, 2, '通过的断言不记录，失败的各记一条')
+	const [failed, bare] = vc.outputEntries
+	assertEqual(failed.method, 'assert', 'method 为 assert')
+	assertEqual(failed.level, 'error', '语义级别为 error')
+	assertEqual(failed.toPlainText(), 'Assertion failed: expected equality\n', '带前缀并照常格式化占位符')
+	assertEqual(bare.toPlainText(), 'Assertion failed\n', '无消息时仅输出前缀')
+	assertIncludes(failed.stack[0]?.filePath ?? '', 'virtual-console.mjs', 'stack 指向断言调用处')
+}
+
+/**
+ * 验证计数器 / 计时器归属于各自实例，记录 `label: N` / `label: 耗时` 条目，未知标签记录 warn 条目。
+ */
+async function testCountersAndTimers() {
+	console.log('\n=== [count / time 计数计时测试] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	const other = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	await vc.hookAsyncContext(() => {
+		console.count()
+		console.count('jobs')
+		console.count('jobs')
+		console.countReset('missing')
+		console.time('load')
+		console.time('load')
+		console.timeLog('load', 'step', 1)
+	})
+	assertEqual(vc.counters.get('jobs'), 2, 'counters 反映计数')
+	assertEqual(vc.counters.get('default'), 1, '无标签时为 default')
+	assert(vc.timers.get('load') >= 0, 'timers 含进行中的计时器耗时')
+	await other.hookAsyncContext(() => { console.count('jobs') })
+	assertEqual(other.counters.get('jobs'), 1, '计数状态不在实例间共享')
+	const plain = vc.outputEntries.map(entry => entry.toPlainText())
+	assertEqual(plain.slice(0, 3).join(''), 'default: 1\njobs: 1\njobs: 2\n', 'count 记录 label: N')
+	assertEqual(vc.outputEntries[0].method, 'count', 'count 条目 method 为 count')
+	assertEqual(vc.outputEntries[0].level, 'log', 'count 条目级别为 log')
+	assertEqual(vc.outputEntries[3].level, 'warn', '未知计数标签记录 warn')
+	assertEqual(plain[3], "Count for 'missing' does not exist\n", 'countReset 警告文本与 Node 一致')
+	assertEqual(plain[4], "Label 'load' already exists for console.time()\n", '重复 time 记录 warn')
+	assert(/^load: \d+(\.\d+)?ms step 1\n$/.test(plain[5]), `timeLog 记录耗时与附加参数：${plain[5]}`)
+	await vc.hookAsyncContext(() => {
+		console.countReset('jobs')
+		console.timeEnd('load')
+		console.timeEnd('load')
+	})
+	assertEqual(vc.counters.get('jobs'), 0, 'countReset 归零')
+	assertEqual(vc.timers.has('load'), false, 'timeEnd 移除计时器')
+	const [timeEnd, missing] = vc.outputEntries.slice(-2)
+	assertEqual(timeEnd.method, 'timeEnd', 'timeEnd 条目 method 为 timeEnd')
+	assertEqual(missing.toPlainText(), "No such label 'load' for console.timeEnd()\n", '未知计时标签记录 warn')
+}
+
+/**
+ * 验证 query 的各过滤字段组合、limit / reverse，以及索引在 maxLogEntries 淘汰与 clear 后保持一致。
+ */
+async function testQuery() {
+	console.log('\n=== [query 条目查询测试] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false, maxLogEntries: 6 })
+	await vc.hookAsyncContext(() => {
+		console.log('evicted soon')
+		console.log('boot ok')
+		console.warn('disk low')
+		console.error('request failed: timeout')
+		console.dir({ id: 7 })
+		console.info('request done')
+		console.error('request failed: refused')
+	})
+	assertEqual(vc.outputEntries.length, 6, '缓冲区已淘汰最旧条目')
+	const texts = entries => entries.map(entry => entry.toPlainText().trim()).join('|')
+	assertEqual(texts(vc.query({ levels: 'error' })), 'request failed: timeout|request failed: refused', 'levels 过滤')
+	assertEqual(texts(vc.query({ levels: ['log'] })), 'boot ok|{ id: 7 }', '被淘汰条目不再出现在索引中')
+	assertEqual(texts(vc.query({ levels: 'log', methods: 'dir' })), '{ id: 7 }', 'levels 与 methods 取交集')
+	assertEqual(texts(vc.query({ text: 'request', reverse: true, limit: 2 })), 'request failed: refused|request done', 'reverse + limit 取最近 N 条')
+	assertEqual(texts(vc.query({ regex: /failed: t/ })), 'request failed: timeout', 'regex 过滤')
+	const [, warnEntry, errorEntry] = vc.outputEntries
+	assertEqual(texts(vc.query({ since: warnEntry.timestamp, until: errorEntry.timestamp, levels: ['warn', 'error'] })).split('|')[0], 'disk low', 'since / until 过滤')
+	assertEqual(vc.query({ file: 'virtual-console.mjs' }).length, 6, 'file 匹配 primaryCallsite.filePath')
+	assertEqual(vc.query({ file: /no-such-file/ }).length, 0, 'file 正则不匹配时为空')
+	vc.outputEntries.splice(0, 1)
+	assertEqual(texts(vc.query({ levels: 'log' })), '{ id: 7 }', '外部改写 outputEntries 后索引自动重建')
+	const live = { n: 1 }
+	await vc.hookAsyncContext(() => console.log('live', live))
+	assertEqual(vc.query({ text: 'n: 1' }).length, 1, 'text 匹配当前渲染')
+	live.n = 2
+	assertEqual(vc.query({ text: 'n: 2' }).length, 1, '参数变化后 text 查询随之更新')
+	vc.clear()
+	assertEqual(vc.query({ levels: 'error' }).length, 0, 'clear 后查询为空')
+}
+
+/**
+ * 验证 addLogEntryListener 的过滤对象与谓词参数。
+ */
+async function testAddLogEntryListenerFilter() {
+	console.log('\n=== [addLogEntryListener 过滤测试] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	const errors = []
+	const matched = []
+	vc.addLogEntryListener(entry => errors.push(entry), { levels: ['error', 'warn'], text: 'db' })
+	vc.addLogEntryListener(entry => matched.push(entry), entry => entry.method === 'log')
+	await vc.hookAsyncContext(() => {
+		console.error('db down')
+		console.error('cache down')
+		console.warn('db slow')
+		console.log('db ok')
+	})
+	assertEqual(errors.map(entry => entry.args[0]).join(), 'db down,db slow', '过滤对象仅放行命中条目')
+	assertEqual(matched.map(entry => entry.args[0]).join(), 'db ok', '谓词函数同样可用')
+}
+
+/**
+ * 验证 entries 异步迭代（含 follow / filter / signal）与 waitFor 的兑现、超时与中止。
+ */
+async function testEntriesAndWaitFor() {
+	console.log('\n=== [entries / waitFor 测试] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	await vc.hookAsyncContext(() => { console.log('boot'); console.warn('slow') })
+	const replayed = []
+	for await (const entry of vc.entries()) replayed.push(entry.args[0])
+	assertEqual(replayed.join(), 'boot,slow', '无 follow 时遍历现有条目后结束')
+
+	const followed = []
+	const following = (async () => {
+		for await (const entry of vc.entries({ follow: true, filter: { levels: 'log' } })) {
+			followed.push(entry.args[0])
+			if (entry.args[0] === 'done') break
+		}
+	})()
+	await vc.hookAsyncContext(() => { console.log('next'); console.warn('skipped'); console.log('done') })
+	await following
+	assertEqual(followed.join(), 'boot,next,done', 'follow 先回放再跟随新条目，filter 生效')
+
+	assertEqual((await vc.waitFor({ levels: 'warn' })).args[0], 'slow', 'waitFor 命中已有条目')
+	const later = vc.waitFor(entry => entry.args[0] === 'later')
+	setTimeout(() => vc.hookAsyncContext(() => console.log('later')), 10)
+	assertEqual((await later).args[0], 'later', 'waitFor 等待之后写入的条目')
+	const timedOut = await vc.waitFor({ text: 'never' }, { timeout: 20 }).then(() => 'resolved', error => error.message)
+	assertEqual(timedOut, 'vc_wait_timeout', 'waitFor 超时后拒绝')
+	const controller = new AbortController()
+	const aborted = vc.waitFor({ text: 'never' }, { signal: controller.signal }).then(() => 'resolved', error => error.message)
+	controller.abort(new Error('stop waiting'))
+	assertEqual(await aborted, 'stop waiting', 'waitFor 中止时以 signal.reason 拒绝')
+
+	const iterationController = new AbortController()
+	const halted = (async () => {
+		for await (const entry of vc.entries({ follow: true, filter: { text: 'never' }, signal: iterationController.signal })) void entry
+	})().then(() => 'finished', error => error.message)
+	iterationController.abort(new Error('stop following'))
+	assertEqual(await halted, 'stop following', 'follow 迭代在中止时抛出 signal.reason')
+}
+
+/**
+ * 验证金标准快照文本在两次相同的捕获之间一致，且不含时间戳、绝对路径、id 与 ref。
+ */
+async function testGoldenText() {
+	console.log('\n=== [金标准快照测试] ===')
+	/**
+	 * @returns {Promise<VirtualConsole>} 记录了同一组输出的新控制台。
+	 */
+	const capture = async () => {
+		const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+		await vc.hookAsyncContext(async () => {
+			console.log('start')
+			await new Promise(resolve => setTimeout(resolve, 5))
+			console.warn('\x1b[33mdeep\x1b[0m', { b: 1, a: { x: { y: { z: { w: {} } } } } })
+		})
+		return vc
+	}
+	const first = await capture()
+	const second = await capture()
+	const options = { format: 'json', sortKeys: true }
+	assertEqual(first.toGoldenText(options), second.toGoldenText(options), '两次相同捕获的 JSON 快照一致')
+	assertEqual(first.toGoldenText({ stripAnsi: true }), second.toGoldenText({ stripAnsi: true }), '两次相同捕获的文本快照一致')
+	const json = first.toGoldenText(options)
+	assert(!json.includes(process.cwd()), '栈路径替换为项目相对路径')
+	assert(!json.includes('"stack"'), '默认省略调用栈')
+	const [projectStart] = normalizeEntriesForSnapshot(first.outputEntries, { stacks: 'project' })
+	assert(projectStart.stack.length > 0 && projectStart.stack.every(frame => !('column' in frame) && !frame.filePath.startsWith('node:')), "stacks: 'project' 只保留无列号的项目帧")
+	assertEqual(projectStart.stack[0].raw, `    at test/suites/integration/virtual-console.mjs:${projectStart.stack[0].line}`, "stacks: 'project' 的 raw 不含列号")
+	const [fullStart] = normalizeEntriesForSnapshot(first.outputEntries, { stacks: 'full' })
+	assert(fullStart.stack.some(frame => frame.filePath.startsWith('node:')), "stacks: 'full' 保留完整栈")
+	assert(!json.includes(first.outputEntries[0].id), 'id 替换为占位符')
+	assertIncludes(json, '"ref": "<ref 0>"', 'ref 按出现顺序替换为占位符')
+	const [start, deep] = normalizeEntriesForSnapshot(first.outputEntries)
+	assert(!('timestamp' in start) && !json.includes('"timestamp"'), '默认省略时间戳')
+	assertEqual(deep.seq, 1, 'seq 从首个条目起计')
+	const [timedStart, timedDeep] = normalizeEntriesForSnapshot(first.outputEntries, { timestamps: true })
+	assertEqual(timedStart.timestamp, 0, 'timestamps: true 时首个条目的时间偏移为 0')
+	assertEqual(timedDeep.timestamp, first.outputEntries[1].timestamp - first.outputEntries[0].timestamp, '其后条目为相对首个条目的偏移')
+	const text = first.toGoldenText({ stripAnsi: true, sortKeys: true })
+	assertIncludes(text, '[log] start\n', '文本格式每条带级别头部')
+	assertIncludes(first.toGoldenText({ stripAnsi: true, timestamps: true }), '[+0ms log] start\n', 'timestamps: true 时头部带偏移')
+	assertIncludes(text, 'warn] deep { a: { x: { y: { z: { w: [Object] } } } }, b: 1 }\n', 'stripAnsi 与 sortKeys 生效')
+}
+
+/**
+ * 验证 redact 规则作用于快照、printf 文本、流文本、fields 与 toJSON，原始 args 保持不变。
+ */
+async function testRedaction() {
+	console.log('\n=== [脱敏测试] ===')
+	const vc = new VirtualConsole({
+		recordOutput: true,
+		realConsoleOutput: false,
+		redact: { keys: ['password', /token$/i], paths: ['db.*.user'], values: [/Bearer \S+/], test: (value, path) => path[0] === 'ssn' },
+	})
+	const credentials = { password: 'hunter2', accessToken: 't0k', db: { main: { user: 'dbadmin', host: 'h' } }, ssn: 123, note: 'auth Bearer xyz' }
+	await vc.hookAsyncContext(async () => {
+		console.log('login %s', 'Bearer tok-a1', credentials)
+		console.log('%j', { password: 'hunter2', id: 1 })
+		vc.child({ fields: { apiToken: 'key-q', requestId: 'r1' } }).log('child')
+		process.stdout.write('Authorization: Bearer s3cret\n')
+	})
+	const [login, json, child, stream] = vc.outputEntries
+	const plain = login.toPlainText()
+	assertIncludes(plain, 'login [REDACTED]', 'values 正则替换 printf 文本')
+	assertIncludes(plain, 'password: [REDACTED]', 'keys 字符串命中')
+	assertIncludes(plain, 'accessToken: [REDACTED]', 'keys 正则命中')
+	assertIncludes(plain, "user: [REDACTED], host: 'h'", 'paths 通配命中')
+	assertIncludes(plain, 'ssn: [REDACTED]', 'test 回调命中')
+	assertIncludes(plain, "note: 'auth [REDACTED]'", '快照字符串中的命中部分被替换')
+	assertEqual(login.toSegments()[3].snapshot.entries[0].value.kind, 'redacted', '命中的值为 redacted 快照')
+	assertIncludes(json.toPlainText(), '"password": "[REDACTED]"', '%j 输出同样脱敏')
+	assertEqual(JSON.stringify(child.fields), '{"apiToken":"[REDACTED]","requestId":"r1"}', 'fields 按键脱敏')
+	assertEqual(stream.toString(), 'Authorization: [REDACTED]\n', '流文本按 values 脱敏')
+	const serialized = JSON.stringify(vc.outputEntries.map(entry => entry.toJSON()))
+	for (const secret of ['hunter2', 't0k', 'dbadmin', 'tok-a1', 'xyz', 'key-q', 's3cret'])
+		assert(!serialized.includes(secret), `toJSON 不含 ${secret}`)
+	assertEqual(login.args[2], credentials, '原始 args 保持不变')
+}
+
+/**
+ * 验证 collapseRepeats 将同一调用处的连续重复输出折叠为一条，并触发更新监听器而非条目监听器。
+ */
+async function testCollapseRepeats() {
+	console.log('\n=== [重复折叠测试] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false, collapseRepeats: true })
+	const appended = []
+	const updates = []
+	vc.addLogEntryListener(entry => appended.push(entry))
+	vc.addUpdateListener(entry => updates.push(entry.repeatCount))
+	await vc.hookAsyncContext(async () => {
+		for (let i = 0; i < 3; i++) console.log('retrying', { attempt: 1 })
+		console.log('retrying', { attempt: 1 })
+		console.log('done')
+		for (let i = 0; i < 2; i++) process.stdout.write('tick\n')
+	})
+	const [repeated, other, done, tick] = vc.outputEntries
+	assertEqual(vc.outputEntries.length, 4, '相同调用处的重复被折叠，其他调用处另起一条')
+	assertEqual(repeated.repeatCount, 3, 'repeatCount 计入全部重复')
+	assert(repeated.lastTimestamp >= repeated.timestamp, 'lastTimestamp 为最近一次重复的时间')
+	assertEqual(repeated.toPlainText(), 'retrying { attempt: 1 } (×3)\n', '纯文本在换行前追加 (×N)')
+	assertEqual(vc.query({ text: '(×3)' })[0], repeated, 'text 查询匹配折叠后的文本')
+	assertEqual(other.repeatCount, 1, '不同调用处不折叠')
+	assertEqual(done.toPlainText(), 'done\n', '未重复的条目不带后缀')
+	assertEqual(tick.toString(), 'tick (×2)\n', '以换行结尾的流条目同样折叠')
+	assertEqual(appended.length, 4, '折叠的重复不触发条目监听器')
+	assertEqual(JSON.stringify(updates), '[2,3,2]', '每次折叠触发更新监听器')
+	assertEqual(repeated.toJSON().repeatCount, 3, 'toJSON 含 repeatCount')
+	const plain = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	await plain.hookAsyncContext(() => {
+		for (let i = 0; i < 2; i++) console.log('same')
+	})
+	assertEqual(plain.outputEntries.length, 2, '默认不折叠')
+}
+
+/**
+ * 验证 use / unuse 中间件按顺序改写、丢弃与扇出条目，异步中间件保持写入顺序，且中间件故障不丢失条目。
+ */
+async function testEntryMiddleware() {
+	console.log('\n=== [条目中间件测试] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false, redact: { keys: ['token'] } })
+	const seen = []
+	let contextStackMatches = false
+	vc.addLogEntryListener(entry => seen.push(entry.level))
+	/**
+	 * 丢弃含 noise 的条目。
+	 * @param {import('@steve02081504/virtual-console/shared').LogEntry} entry - 条目。
+	 * @returns {boolean} 是否保留。
+	 */
+	const dropNoise = entry => !String(entry.args[0]).includes('noise')
+	vc.use(entry => {
+		entry.fields = { ...entry.fields, host: 'h1', token: 'abc' }
+	})
+	vc.use(dropNoise)
+	vc.use((entry, { createEntry, stack }) => {
+		contextStackMatches = stack === entry.stack
+		if (entry.args[0] === 'fail') {
+			entry.level = 'error'
+			return [entry, createEntry('info', ['see runbook'])]
+		}
+	})
+	vc.use(() => { throw new Error('broken middleware') })
+	await vc.hookAsyncContext(() => {
+		console.log('hello')
+		console.log('noise')
+		console.log('fail')
+	})
+	assertEqual(vc.outputEntries.map(entry => entry.toPlainText()).join(''), 'hello\nfail\nsee runbook\n', '丢弃、扇出且故障中间件不影响条目')
+	assertEqual(JSON.stringify(vc.outputEntries[0].fields), '{"host":"h1","token":"[REDACTED]"}', '中间件写入的 fields 仍脱敏')
+	assertEqual(JSON.stringify(seen), '["log","error","info"]', '监听器只收到管线产出的条目，级别已改写')
+	assert(contextStackMatches, '上下文提供条目的调用栈')
+	assertEqual(vc.outputEntries[2].stack, vc.outputEntries[1].stack, '合成条目沿用原条目的调用栈')
+	vc.unuse(dropNoise)
+	await vc.hookAsyncContext(() => console.log('noise again'))
+	assertEqual(vc.outputEntries.at(-1).args[0], 'noise again', 'unuse 后不再丢弃')
+
+	const ordered = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	ordered.use(async entry => {
+		if (entry.args[0] === 'slow') await new Promise(resolve => setTimeout(resolve, 10))
+		entry.args = [`${entry.args[0]}!`]
+	})
+	await ordered.hookAsyncContext(() => {
+		console.log('slow')
+		console.log('fast')
+	})
+	assertEqual(ordered.outputEntries.length, 0, '异步中间件兑现前条目尚未写入')
+	await ordered.flushMiddleware()
+	assertEqual(ordered.outputEntries.map(entry => entry.args[0]).join(','), 'slow!,fast!', '异步中间件保持调用顺序')
+	assertEqual(JSON.stringify(ordered.outputEntries.map(entry => entry.seq)), '[0,1]', 'seq 按写入顺序分配')
+}
+
+/**
+ * 验证 exportEntries 的转储可由 fromJSON / importEntries 重建为同步渲染一致的离线条目，并兼容旧版数组格式。
+ */
+async function testExportImportEntries() {
+	console.log('\n=== [离线导出与载入测试] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	await vc.hookAsyncContext(() => {
+		console.group('setup')
+		console.warn('deep', { a: { b: { c: { d: { e: { f: 1 } } } } } })
+		console.groupEnd()
+		vc.child({ fields: { requestId: 'r1' }, prefix: '[api]' }).error(new Error('boom'))
+		vc.freshLine('progress', '50%')
+		process.stdout.write('raw\n')
+	})
+	const dump = JSON.stringify(vc.exportEntries())
+	assertEqual(JSON.parse(dump).schemaVersion, 1, '转储带 schemaVersion')
+	const restored = VirtualConsole.fromJSON(dump, { recordOutput: true, realConsoleOutput: false })
+	assertEqual(restored.outputEntries.length, vc.outputEntries.length, '条目数一致')
+	for (const [index, entry] of vc.outputEntries.entries()) {
+		const offline = restored.outputEntries[index]
+		assert(offline instanceof OfflineLogEntry, `#${index} 重建为 OfflineLogEntry`)
+		assertEqual(offline.toPlainText(), entry.toPlainText(), `#${index} toPlainText 一致`)
+		assertEqual(offline.toString(), entry.toString(), `#${index} toString 一致`)
+		assertEqual(offline.toHtml(), entry.toHtml(), `#${index} toHtml 一致`)
+		assertEqual(offline.level, entry.level, `#${index} level 一致`)
+	}
+	const [group, deep, error, fresh] = restored.outputEntries
+	assertEqual(group.method, 'group', '保留 method')
+	assertEqual(JSON.stringify(deep.groupPath), '["setup"]', '保留 groupPath')
+	assertIncludes(deep.toPlainText(), '[Object]', '截断节点保持截断显示')
+	assertEqual(JSON.stringify(error.fields), '{"requestId":"r1"}', '保留 fields')
+	assertEqual(error.primaryCallsite?.filePath, vc.outputEntries[2].primaryCallsite?.filePath, '保留 primaryCallsite')
+	assertEqual(fresh.lineId, 'progress', '保留 lineId')
+	assertEqual(JSON.stringify(restored.outputEntries.map(entry => entry.seq)), '[0,1,2,3,4]', '载入时重新分配 seq')
+	assertEqual(restored.query({ levels: 'error' }).length, 1, '载入的条目可被查询')
+	const legacy = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	legacy.importEntries(vc.outputEntries.map(entry => entry.toJSON()))
+	assertEqual(legacy.outputEntries[1].level, 'warn', '旧版 toJSON 数组由 method 推断 level')
+	let unsupported = null
+	try {
+		legacy.importEntries({ schemaVersion: 99, entries: [] })
+	}
+	catch (thrown) {
+		unsupported = thrown
+	}
+	assertEqual(unsupported?.message, 'vc_import_unsupported_schema: 99', '更新版本的转储被拒绝')
+}
+
+/**
+ * 验证捕获期过滤（minLevel / levels / methods / mute）在条目创建前生效，且 filterPassthrough 控制透传。
+ */
+async function testCaptureFilters() {
+	console.log('\n=== [捕获期过滤测试] ===')
+	const captured = []
+	const vc = new VirtualConsole({
+		recordOutput: true,
+		realConsoleOutput: false,
+		minLevel: 'info',
+		mute: [{ text: /deprecated/ }, { filePath: /virtual-console\.mjs$/, method: 'table' }],
+	})
+	vc.addLogEntryListener(entry => captured.push(entry))
+	await vc.hookAsyncContext(() => {
+		console.debug('too verbose')
+		console.log('kept')
+		console.warn('%s is deprecated', 'foo')
+		console.table([{ a: 1 }])
+		console.error('boom')
+	})
+	assertEqual(vc.outputEntries.map(entry => entry.args[0]).join(), 'kept,boom', 'minLevel 与 mute 规则屏蔽条目')
+	assertEqual(captured.length, 2, '被屏蔽的输出不触发监听器')
+	vc.options.minLevel = undefined
+	vc.options.mute = call => call.level === 'debug'
+	vc.options.methods = ['log', 'debug', 'count']
+	await vc.hookAsyncContext(() => {
+		console.debug('still muted')
+		console.info('not in methods')
+		console.count('c')
+		console.log('live options')
+	})
+	assertEqual(vc.outputEntries.map(entry => entry.toPlainText()).slice(2).join(''), 'c: 1\nlive options\n', '运行中修改 options 即时生效')
+
+	const base = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	const filtered = new VirtualConsole({ realConsoleOutput: true, baseConsole: base, levels: ['error'] })
+	await filtered.hookAsyncContext(() => { console.log('forwarded'); console.error('recorded') })
+	assertEqual(base.outputEntries.map(entry => entry.args[0]).join(), 'forwarded,recorded', '默认仍透传被屏蔽的输出')
+	filtered.options.filterPassthrough = true
+	base.clear()
+	await filtered.hookAsyncContext(() => { console.log('dropped'); console.error('recorded again') })
+	assertEqual(base.outputEntries.map(entry => entry.args[0]).join(), 'recorded again', 'filterPassthrough 时被屏蔽的输出不透传')
+	assertEqual(filtered.outputEntries.map(entry => entry.args[0]).join(), 'recorded,recorded again', 'levels 白名单')
+	filtered.use(entry => entry.level === 'error' ? null : entry)
+	base.clear()
+	await filtered.hookAsyncContext(() => { console.error('dropped by middleware'); filtered.writeAs('error', 'written as') })
+	assertEqual(base.outputEntries.map(entry => entry.args[0]).join(), 'dropped by middleware,written as', '被中间件丢弃的条目在 filterPassthrough 时仍透传')
+	assertEqual(filtered.outputEntries.length, 2, '中间件丢弃的条目不写入缓冲区')
+}
+
+/**
+ * 验证 child() 子控制台共享父级缓冲区与监听器，并为条目写入 fields / prefix。
+ */
+async function testChildConsole() {
+	console.log('\n=== [child 子控制台测试] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	const seen = []
+	vc.addLogEntryListener(entry => seen.push(entry))
+	const request = vc.child({ fields: { requestId: 'r1' }, prefix: '[api]' })
+	const job = request.child({ fields: { job: 'resize' }, prefix: '[job]' })
+	await vc.hookAsyncContext(() => console.log('root line'))
+	await request.hookAsyncContext(() => console.log('handling'))
+	await job.hookAsyncContext(() => { console.warn('slow'); console.log({ ok: true }) })
+	assert(request.outputEntries === vc.outputEntries, '子控制台与父级共享缓冲区')
+	assertEqual(vc.outputEntries.length, 4, '子控制台的条目写入父级缓冲区')
+	assertEqual(seen.length, 4, '父级监听器收到子控制台条目')
+	const [rootEntry, requestEntry, jobEntry] = vc.outputEntries
+	assertEqual(Object.keys(rootEntry.fields).length, 0, '普通条目 fields 为空对象')
+	assertEqual(requestEntry.fields.requestId, 'r1', 'fields 写入条目')
+	assertEqual(JSON.stringify(jobEntry.fields), '{"requestId":"r1","job":"resize"}', '嵌套子控制台逐级合并 fields')
+	assertEqual(jobEntry.toPlainText(), '[api] [job] slow\n', 'prefix 逐级拼接并渲染在正文前')
+	assertEqual(JSON.stringify(jobEntry.toJSON().fields), '{"requestId":"r1","job":"resize"}', 'toJSON 含 fields')
+	assertEqual(jobEntry.toJSON().prefix, '[api] [job]', 'toJSON 含 prefix')
+	assertEqual(renderPlain(requestEntry.toSegments(), { fields: requestEntry.fields }), 'requestId=r1 handling\n', '渲染器可展示 fields')
+	assertEqual(vc.query({ fields: { requestId: 'r1' } }).length, 3, 'query 可按 fields 过滤')
+	assertEqual(job.query({ fields: { job: /^res/ }, levels: 'warn' }).length, 1, '子控制台 query 查询共享缓冲区')
+	vc.options.minLevel = 'warn'
+	await request.hookAsyncContext(() => console.log('filtered by shared options'))
+	assertEqual(vc.outputEntries.length, 4, '子控制台共享父级 options')
+	vc.options.minLevel = undefined
+	job.clear()
+	assertEqual(vc.outputEntries.length, 0, '子控制台 clear 清空共享缓冲区')
+	const fresh = new VirtualConsole({ recordOutput: true, realConsoleOutput: false, maxLogEntries: 2 })
+	assert(fresh.outputEntries !== vc.outputEntries && fresh.options !== vc.options, 'child() 之后新建的控制台仍为独立的根控制台')
+	assertEqual(job.child().options.maxLogEntries, Infinity, '孙控制台沿用根控制台配置')
+}
+
+/**
+ * 验证条目写入时分配单调 seq 与全局唯一 id。
+ */
+async function testEntrySeqAndId() {
+	console.log('\n=== [条目 seq / id 测试] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	const request = vc.child({ prefix: '[req]' })
+	await vc.hookAsyncContext(() => { console.log('first'); process.stdout.write('stream\n') })
+	await request.hookAsyncContext(() => console.warn('from child'))
+	await vc.hookAsyncContext(() => vc.freshLine('build', 'step 1'))
+	assertEqual(vc.outputEntries.map(entry => entry.seq).join(','), '0,1,2,3', 'console、流与子控制台条目共用单调递增的 seq')
+	assertEqual(new Set(vc.outputEntries.map(entry => entry.id)).size, 4, '每个条目 id 各不相同')
+	assert(vc.outputEntries.every(entry => typeof entry.id === 'string' && entry.id), 'id 为非空字符串')
+	const fresh = vc.outputEntries[3]
+	assertEqual(fresh.lineId, 'build', 'freshLine 行 id 位于 lineId')
+	const json = fresh.toJSON()
+	assertEqual(json.seq, 3, 'toJSON 含 seq')
+	assertEqual(json.id, fresh.id, 'toJSON 含 id')
+	assertEqual(json.lineId, 'build', 'toJSON 含 lineId')
+	const base = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	const quiet = new VirtualConsole({ baseConsole: base, recordOutput: true, realConsoleOutput: false })
+	quiet.freshLine('build', 'quiet')
+	assertEqual(base.outputEntries.length, 0, '未开启 realConsoleOutput 时 freshLine 不透传')
+	quiet.options.realConsoleOutput = true
+	quiet.freshLine('build', 'loud')
+	assertEqual(base.outputEntries[0]?.lineId, 'build', 'realConsoleOutput 时 freshLine 透传给底层 VirtualConsole')
+	const other = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	await other.hookAsyncContext(() => console.log('other'))
+	assertEqual(other.outputEntries[0].seq, 0, '不同控制台的 seq 各自计数')
+	assert(other.outputEntries[0].id !== vc.outputEntries[0].id, '不同控制台的 id 不会重复')
+	vc.clear()
+	await vc.hookAsyncContext(() => console.log('after clear'))
+	assertEqual(vc.outputEntries[0].seq, 4, 'clear 不重置 seq')
+}
+
 /**
  * 验证 maxLogEntries 限制仅保留最新日志。
  */
@@ -120,6 +648,69 @@ async function testMaxLogEntries() {
 	assert(vc.outputEntries[2].args[0] === 'msg5', '第3条保留 msg5')
 }
 
+/**
+ * 验证环形缓冲区的数组视图，以及 maxLogBytes / maxEntryAgeMs 保留策略。
+ */
+async function testRetentionPolicies() {
+	console.log('\n=== [环形缓冲与保留策略测试] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false, maxLogEntries: 20 })
+	await vc.hookAsyncContext(() => { for (let i = 0; i < 50; i++) console.log(`line ${i}`) })
+	const view = vc.outputEntries
+	assert(Array.isArray(view), 'outputEntries 视图通过 Array.isArray')
+	assertEqual(view.length, 20, '环形缓冲区按 maxLogEntries 淘汰')
+	assertEqual(`${view[0].args[0]}|${view.at(-1).args[0]}`, 'line 30|line 49', '下标与 at 读取最旧 / 最新条目')
+	assertEqual([...view].map(entry => entry.seq).join(','), view.map(entry => entry.seq).join(','), '迭代与数组方法结果一致')
+	const heard = []
+	vc.addLogEntryListener(entry => heard.push(entry))
+	view.splice(0, 10)
+	assertEqual(vc.outputEntries.length, 10, '经视图 splice 修改缓冲区')
+	assertEqual(vc.query({ text: 'line 3' }).length, 0, '经视图修改后 query 同步')
+	const ids = view.map(entry => `${entry.seq}:${entry.id}`).join()
+	vc.outputEntries = view.filter((_, index) => index % 2)
+	assertEqual(vc.outputEntries.length, 5, '赋值替换缓冲区')
+	assertEqual(ids.split(',').filter((_, index) => index % 2).join(), view.map(entry => `${entry.seq}:${entry.id}`).join(), '保留的条目 seq / id 不变')
+	view.length = 0
+	await vc.hookAsyncContext(() => console.log('after'))
+	assertEqual(heard.map(entry => entry.args[0]).join(), 'after', '改写缓冲区不重复通知条目监听器')
+
+	const bytes = new VirtualConsole({ recordOutput: true, realConsoleOutput: false, maxLogBytes: 250_000 })
+	await bytes.hookAsyncContext(() => { for (const mark of 'abc') console.log(mark.repeat(50_000)) })
+	assert(bytes.outputEntries.every(entry => entry.estimatedBytes >= 100_000), 'estimatedBytes 计入参数字符串')
+	assertEqual(bytes.outputEntries.map(entry => entry.args[0][0]).join(''), 'bc', 'maxLogBytes 超出时淘汰最旧条目')
+
+	const aged = new VirtualConsole({ recordOutput: true, realConsoleOutput: false, maxEntryAgeMs: 50 })
+	await aged.hookAsyncContext(() => console.log('old'))
+	await new Promise(resolve => setTimeout(resolve, 80))
+	await aged.hookAsyncContext(() => console.log('new'))
+	assertEqual(aged.outputEntries.map(entry => entry.args[0]).join(','), 'new', 'maxEntryAgeMs 超龄条目在写入时淘汰')
+}
+
+/**
+ * 验证 addEvictListener 在保留策略淘汰条目时触发，clear 不触发。
+ */
+async function testEvictListener() {
+	console.log('\n=== [addEvictListener 测试] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false, maxLogEntries: 2 })
+	const evicted = []
+	const onEvict = entry => evicted.push(entry)
+	vc.child().addEvictListener(onEvict)
+	await vc.hookAsyncContext(() => { console.log('a'); console.log('b'); console.log('c'); console.log('d') })
+	assertEqual(evicted.map(entry => entry.args[0]).join(','), 'a,b', '按淘汰顺序逐条回调（子控制台注册到根）')
+	assert(!vc.outputEntries.includes(evicted[0]), '回调时条目已移出缓冲区')
+	vc.outputEntries.splice(0, 1)
+	assertEqual(evicted.length, 2, '经视图移出的条目在当前同步代码结束后回调')
+	await null
+	assertEqual(evicted.map(entry => entry.args[0]).join(','), 'a,b,c', '经视图移出的条目按淘汰回调')
+	vc.outputEntries = []
+	assertEqual(evicted.map(entry => entry.args[0]).join(','), 'a,b,c,d', '赋值移出的条目立即回调')
+	await vc.hookAsyncContext(() => console.log('e'))
+	vc.clear()
+	assertEqual(evicted.length, 4, 'clear 不触发淘汰回调')
+	vc.removeEvictListener(onEvict)
+	await vc.hookAsyncContext(() => { console.log('f'); console.log('g'); console.log('h') })
+	assertEqual(evicted.length, 4, '移除后不再回调')
+}
+
 /**
  * 验证 clear 会重置缓存并触发 clear 监听器。
  */
@@ -267,12 +858,28 @@ export async function runVirtualConsoleTests() {
 		testSupportsAnsiVcLogComplexObject,
 		testOutputEntries,
 		testConsoleDir,
+		testConsoleGroupNesting,
+		testConsoleAssert,
+		testCountersAndTimers,
+		testCaptureFilters,
+		testChildConsole,
+		testEntrySeqAndId,
 		testMaxLogEntries,
+		testRetentionPolicies,
+		testEvictListener,
 		testClear,
 		testWriteAs,
 		testWriteAsNoDoubleRecord,
 		testProcessStreamRedirection,
 		testAddLogEntryListenerCallbacks,
+		testAddLogEntryListenerFilter,
+		testEntriesAndWaitFor,
+		testGoldenText,
+		testRedaction,
+		testCollapseRepeats,
+		testEntryMiddleware,
+		testExportImportEntries,
+		testQuery,
 		testRecordOutputFalse,
 		testGlobalConsoleProxy,
 		testRendering,
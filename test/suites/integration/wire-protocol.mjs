@@ -203,6 +203,99 @@ async function testLogWireHandlerClientControl() {
 	assertEqual(closeEmitCount, 1, 'closeAllWithFinalJson 触发 close')
 }
 
+/**
+ * 验证宿主按保留策略淘汰条目时 server 广播 vc_log_evicted，dispose 后不再广播。
+ */
+async function testLogWireServerBroadcastsEvictions() {
+	console.log('\n=== [wire：server 广播淘汰条目] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false, maxLogEntries: 2 })
+	const handler = createLogWireWebSocketHandler(vc)
+	/** @type {string[]} */
+	const received = []
+	const mockWs = createMockWebSocket({
+		/**
+		 * 收集 handler 广播文本。
+		 * @param {string} data - 序列化 JSON 文本帧。
+		 * @returns {void}
+		 */
+		onSend: (data) => { received.push(data) },
+	})
+	handler(/** @type {Parameters<typeof handler>[0]} */ mockWs)
+	await vc.hookAsyncContext(() => { console.log('one'); console.log('two'); console.log('three') })
+	const evicted = received.map(text => JSON.parse(text)).filter(message => message.type === logWirePayloadTypes.EVICTED)
+	assertEqual(evicted.length, 1, '淘汰 1 条时广播 1 条 vc_log_evicted')
+	const firstAppend = received.map(text => JSON.parse(text)).find(message => message.type === logWirePayloadTypes.APPEND)
+	assertEqual(JSON.stringify(evicted[0].ids), JSON.stringify([firstAppend.entry.id]), 'ids 为被淘汰条目的 id')
+	handler.dispose()
+	await vc.hookAsyncContext(() => console.log('four'))
+	assertEqual(received.map(text => JSON.parse(text)).filter(message => message.type === logWirePayloadTypes.EVICTED).length, 1, 'dispose 后不再广播淘汰')
+}
+
+/**
+ * 验证 collapseRepeats 折叠重复时 server 广播 vc_log_update，WireLogEntry 可应用该更新。
+ */
+async function testLogWireServerBroadcastsUpdates() {
+	console.log('\n=== [wire：server 广播重复折叠] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false, collapseRepeats: true })
+	const handler = createLogWireWebSocketHandler(vc)
+	/** @type {string[]} */
+	const received = []
+	const mockWs = createMockWebSocket({
+		/**
+		 * 收集 handler 广播文本。
+		 * @param {string} data - 序列化 JSON 文本帧。
+		 * @returns {void}
+		 */
+		onSend: (data) => { received.push(data) },
+	})
+	handler(/** @type {Parameters<typeof handler>[0]} */ mockWs)
+	await vc.hookAsyncContext(() => {
+		for (let i = 0; i < 3; i++) console.log('again')
+	})
+	const messages = received.map(text => JSON.parse(text))
+	assertEqual(messages.filter(message => message.type === logWirePayloadTypes.APPEND).length, 1, '重复只追加 1 条')
+	const updates = messages.filter(message => message.type === logWirePayloadTypes.UPDATED)
+	assertEqual(updates.length, 2, '每次折叠广播 1 条 vc_log_update')
+	const appended = messages.find(message => message.type === logWirePayloadTypes.APPEND).entry
+	assertEqual(updates[1].id, appended.id, 'vc_log_update 指向已追加条目的 id')
+	assertEqual(updates[1].repeatCount, 3, 'vc_log_update 携带最新 repeatCount')
+	const wireEntry = new WireLogEntry(appended, { requestExpand: async () => null, supportsAnsi: false })
+	wireEntry.applyUpdate(updates[1])
+	assertEqual(await wireEntry.renderPlain(), 'again (×3)\n', 'applyUpdate 后渲染带 (×N)')
+	handler.dispose()
+}
+
+/**
+ * 验证 freshLine 载荷兼容旧版客户端：`id` 仍为行 id，唯一 id 位于 `entryId`；新版 WireLogEntry 两者都能读出。
+ */
+async function testLogWireFreshLineIdCompat() {
+	console.log('\n=== [wire：freshLine id 兼容] ===')
+	const vc = new VirtualConsole({ recordOutput: true, realConsoleOutput: false })
+	const handler = createLogWireWebSocketHandler(vc)
+	/** @type {string[]} */
+	const received = []
+	const mockWs = createMockWebSocket({
+		/**
+		 * 收集 handler 广播文本。
+		 * @param {string} data - 序列化 JSON 文本帧。
+		 * @returns {void}
+		 */
+		onSend: (data) => { received.push(data) },
+	})
+	handler(/** @type {Parameters<typeof handler>[0]} */ mockWs)
+	vc.freshLine('build', 'step 1')
+	const { entry: payload } = received.map(text => JSON.parse(text)).find(message => message.type === logWirePayloadTypes.APPEND)
+	const [recorded] = vc.outputEntries
+	assertEqual(payload.id, 'build', '旧版客户端仍从 id 读到行 id')
+	assertEqual(payload.entryId, recorded.id, 'entryId 为条目唯一 id')
+	const wireEntry = createWireLogEntryFromJson(payload, { requestExpand: async () => null, supportsAnsi: false })
+	assertEqual(wireEntry.id, recorded.id, 'WireLogEntry.id 取自 entryId')
+	assertEqual(wireEntry.lineId, 'build', 'WireLogEntry.lineId 为行 id')
+	const legacy = createWireLogEntryFromJson({ method: 'freshLine', id: 'build', segments: [] }, { requestExpand: async () => null, supportsAnsi: false })
+	assertEqual(legacy.lineId, 'build', '旧版宿主载荷的 id 仍作为行 id')
+	handler.dispose()
+}
+
 /**
  * 验证 server 侧连接建立/断开生命周期回调。
  */
@@ -530,7 +623,7 @@ async function testWireHelpers() {
 	})
 	assert(ext, 'extensionHandlers 分发自定义 type')
 	const w = createWireLogEntryFromJson({
-		id: 0, level: 'log', method: 'log', timestamp: 1, segments: [{ kind: 'text', text: 'hi' }],
+		id: 'e0', seq: 7, level: 'log', method: 'log', timestamp: 1, segments: [{ kind: 'text', text: 'hi' }],
 	}, {
 		/**
 		 * 此用例不应触发展开请求。
@@ -543,6 +636,9 @@ async function testWireHelpers() {
 	assertEqual(await w.renderString(), 'hi', 'WireLogEntry renderString')
 	assertIncludes(await w.renderHtml(), 'hi', 'WireLogEntry renderHtml')
 	assertEqual(w.segments.length, 1, 'segments 长度')
+	assertEqual(w.id, 'e0', 'WireLogEntry 携带条目 id')
+	assertEqual(w.seq, 7, 'WireLogEntry 携带 seq')
+	assertEqual(JSON.stringify([w.toJSON().id, w.toJSON().seq]), '["e0",7]', 'WireLogEntry toJSON 含 id 与 seq')
 
 	// 深度链：0(root)->1->2->3->4(truncated ref_deep)
 	/** @type {Array<number | undefined>} */
@@ -661,6 +757,10 @@ async function testAttachLogWireDispatchAndExpand() {
 	/** @type {WireLogEntry[]} */
 	const appends = []
 	let clearCalls = 0
+	/** @type {string[][]} */
+	const evictions = []
+	/** @type {object[]} */
+	const updates = []
 	let parseErrors = 0
 	let dispatchErrors = 0
 	let fatalFallbackErrors = 0
@@ -688,6 +788,18 @@ async function testAttachLogWireDispatchAndExpand() {
 		 * @returns {void}
 		 */
 		onClear: () => { clearCalls++ },
+		/**
+		 * 处理 evict 事件。
+		 * @param {string[]} ids - 被淘汰条目的 id。
+		 * @returns {void}
+		 */
+		onEvict: (ids) => { evictions.push(ids) },
+		/**
+		 * 处理 update 事件。
+		 * @param {object} update - 条目的重复次数与最近时间戳。
+		 * @returns {void}
+		 */
+		onUpdate: (update) => { updates.push(update) },
 		/**
 		 * 处理 unknown 事件。
 		 * @returns {void}
@@ -708,6 +820,8 @@ async function testAttachLogWireDispatchAndExpand() {
 	await emitWireMessage(ws, JSON.stringify({ type: logWirePayloadTypes.SNAPSHOT, entries: [{ id: 1, level: 'log', method: 'log', timestamp: 1, segments: [{ kind: 'text', text: 's1' }] }] }))
 	await emitWireMessage(ws, JSON.stringify({ type: logWirePayloadTypes.APPEND, entry: { id: 2, level: 'warn', method: 'warn', timestamp: 2, segments: [{ kind: 'text', text: 'a1' }] } }))
 	await emitWireMessage(ws, JSON.stringify({ type: logWirePayloadTypes.CLEARED }))
+	await emitWireMessage(ws, JSON.stringify({ type: logWirePayloadTypes.EVICTED, ids: ['e1', 'e2'] }))
+	await emitWireMessage(ws, JSON.stringify({ type: logWirePayloadTypes.UPDATED, id: 'e3', repeatCount: 4, lastTimestamp: 5 }))
 	await emitWireMessage(ws, '{"type":')
 	await emitWireMessage(ws, JSON.stringify({ type: logWirePayloadTypes.SNAPSHOT, entries: [{ id: 9, level: 'log', method: 'log', timestamp: 9, segments: [{ kind: 'text', text: 'dispatch_err' }] }] }))
 	await emitWireMessage(ws, JSON.stringify({ type: 'my_custom_type', x: 1 }))
@@ -717,6 +831,8 @@ async function testAttachLogWireDispatchAndExpand() {
 	assertEqual(appends.length, 1, 'append 回调触发 1 次')
 	assertEqual(await appends[0].renderString(), 'a1', 'append 条目可渲染')
 	assertEqual(clearCalls, 1, 'clear 回调触发 1 次')
+	assertEqual(JSON.stringify(evictions), '[["e1","e2"]]', 'evict 回调收到 id 列表')
+	assertEqual(JSON.stringify(updates), '[{"id":"e3","repeatCount":4,"lastTimestamp":5}]', 'update 回调收到 id 与重复次数')
 	assertEqual(parseErrors, 1, '非法 JSON 触发 parse error')
 	assertEqual(dispatchErrors, 1, '分发/回调异常触发 dispatch error')
 	assertEqual(unknownCalls, 1, '未知 type 触发 onUnknown')
@@ -826,6 +942,9 @@ export async function runWireProtocolTests() {
 	await runTestGroup('wire 协议（server + client）', [
 		testCreateLogWireWebSocketHandlerWithProxy,
 		testLogWireHandlerClientControl,
+		testLogWireServerBroadcastsEvictions,
+		testLogWireServerBroadcastsUpdates,
+		testLogWireFreshLineIdCompat,
 		testLogWireServerLifecycleHooks,
 		testLogWireServerBuiltInClientMessages,
 		testLogWireServerLifecycleAsyncHooksAreAbsorbed,